@@ -5,26 +5,52 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Training Portal <no-reply@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const DB_PATH = process.env.DB_PATH || './training_portal.db';
+// `node server.js --retrain-model` trains a new completion model and exits without starting the server
+const RETRAIN_MODEL_ONLY = process.argv.includes('--retrain-model');
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Database Setup
-const db = new sqlite3.Database('./training_portal.db', (err) => {
+// Database Setup; databaseReady resolves once the tables exist (the tests wait for it)
+let markDatabaseReady;
+const databaseReady = new Promise(resolve => { markDatabaseReady = resolve; });
+const db = new sqlite3.Database(DB_PATH, (err) => {
     if (err) {
         console.error('Error opening database:', err);
     } else {
         console.log('Connected to SQLite database');
-        initializeDatabase();
+        // Write-ahead logging lets the two connections below read while the other writes
+        db.run('PRAGMA journal_mode = WAL', (err) => {
+            if (err) console.error('Could not enable write-ahead logging:', err.message);
+            initializeDatabase();
+        });
     }
 });
 
+// Transactions run on their own connection, so statements from other requests never join one
+// (and are never rolled back with it); a write on either connection waits for the other's to finish
+const transactionDb = new sqlite3.Database(DB_PATH);
+const DB_BUSY_TIMEOUT_MS = 5000;
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+
 // Initialize Database Tables (same as before, plus AI tables)
 function initializeDatabase() {
     db.serialize(() => {
@@ -36,7 +62,17 @@ function initializeDatabase() {
             password TEXT NOT NULL,
             full_name TEXT NOT NULL,
             role TEXT NOT NULL CHECK(role IN ('student', 'teacher', 'admin')),
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            is_active INTEGER NOT NULL DEFAULT 1,
+            deactivated_at DATETIME,
+            token_version INTEGER NOT NULL DEFAULT 0,
+            failed_login_count INTEGER NOT NULL DEFAULT 0,
+            last_failed_login_at DATETIME,
+            locked_until DATETIME,
+            totp_secret TEXT,
+            totp_enabled INTEGER NOT NULL DEFAULT 0,
+            totp_last_step INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME
         )`);
 
         db.run(`CREATE TABLE IF NOT EXISTS batches (
@@ -45,9 +81,22 @@ function initializeDatabase() {
             instructor_id INTEGER,
             duration TEXT NOT NULL,
             start_date DATE NOT NULL,
+            end_date DATE,
+            schedule_days TEXT NOT NULL DEFAULT 'mon,tue,wed,thu,fri',
             status TEXT NOT NULL CHECK(status IN ('active', 'upcoming', 'completed')),
             max_participants INTEGER DEFAULT 100,
+            report_edit_window_days INTEGER NOT NULL DEFAULT 7,
+            requires_approval INTEGER NOT NULL DEFAULT 0,
+            difficulty TEXT NOT NULL DEFAULT 'beginner' CHECK(difficulty IN ('beginner', 'intermediate', 'advanced')),
+            tags TEXT,
+            prerequisites TEXT,
+            certificate_min_attendance REAL,
+            certificate_min_reports INTEGER,
+            certificate_min_hours REAL,
+            certificate_min_score REAL,
+            archived_at DATETIME,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (instructor_id) REFERENCES users(id)
         )`);
 
@@ -55,9 +104,13 @@ function initializeDatabase() {
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             user_id INTEGER NOT NULL,
             batch_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'approved' CHECK(status IN ('pending', 'approved', 'rejected', 'dropped', 'completed')),
             enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            status_changed_at DATETIME,
+            status_changed_by INTEGER,
             FOREIGN KEY (user_id) REFERENCES users(id),
             FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (status_changed_by) REFERENCES users(id),
             UNIQUE(user_id, batch_id)
         )`);
 
@@ -70,13 +123,346 @@ function initializeDatabase() {
             challenges TEXT,
             hours_worked REAL NOT NULL,
             notes TEXT,
+            review_status TEXT NOT NULL DEFAULT 'submitted' CHECK(review_status IN ('submitted', 'approved', 'needs_revision')),
+            reviewed_by INTEGER,
+            reviewed_at DATETIME,
+            is_backdated INTEGER NOT NULL DEFAULT 0,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id),
             FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (reviewed_by) REFERENCES users(id),
             UNIQUE(user_id, batch_id, report_date)
         )`);
 
+        // Append-only snapshots of every version of a report
+        db.run(`CREATE TABLE IF NOT EXISTS report_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            report_id INTEGER NOT NULL,
+            revision_number INTEGER NOT NULL,
+            edited_by INTEGER NOT NULL,
+            tasks_completed TEXT NOT NULL,
+            challenges TEXT,
+            hours_worked REAL NOT NULL,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (report_id) REFERENCES daily_reports(id),
+            FOREIGN KEY (edited_by) REFERENCES users(id),
+            UNIQUE(report_id, revision_number)
+        )`);
+
+        // Instructor feedback on reports; parent_id makes replies threaded
+        db.run(`CREATE TABLE IF NOT EXISTS report_comments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            report_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            parent_id INTEGER,
+            comment TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (report_id) REFERENCES daily_reports(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (parent_id) REFERENCES report_comments(id)
+        )`);
+
+        // Days off inside a batch's schedule (public holidays, breaks)
+        db.run(`CREATE TABLE IF NOT EXISTS batch_holidays (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            holiday_date DATE NOT NULL,
+            description TEXT,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            UNIQUE(batch_id, holiday_date)
+        )`);
+
+        // Attendance per student per session day
+        db.run(`CREATE TABLE IF NOT EXISTS attendance (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            session_date DATE NOT NULL,
+            status TEXT NOT NULL CHECK(status IN ('present', 'absent', 'late', 'excused')),
+            notes TEXT,
+            marked_by INTEGER NOT NULL,
+            marked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (marked_by) REFERENCES users(id),
+            UNIQUE(batch_id, user_id, session_date)
+        )`);
+
+        // Coursework set by instructors; rubric is a JSON list of { criterion, max_points }
+        db.run(`CREATE TABLE IF NOT EXISTS assignments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            due_date DATE NOT NULL,
+            max_score REAL NOT NULL DEFAULT 100,
+            rubric TEXT,
+            created_by INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS assignment_submissions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            assignment_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            content TEXT,
+            is_late INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'submitted' CHECK(status IN ('submitted', 'graded')),
+            score REAL,
+            rubric_scores TEXT,
+            feedback TEXT,
+            graded_by INTEGER,
+            graded_at DATETIME,
+            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (assignment_id) REFERENCES assignments(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (graded_by) REFERENCES users(id),
+            UNIQUE(assignment_id, user_id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS submission_attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            submission_id INTEGER NOT NULL,
+            original_name TEXT NOT NULL,
+            stored_name TEXT NOT NULL,
+            mime_type TEXT,
+            size INTEGER NOT NULL,
+            uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (submission_id) REFERENCES assignment_submissions(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS quizzes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            time_limit_minutes INTEGER,
+            max_attempts INTEGER NOT NULL DEFAULT 1,
+            is_published INTEGER NOT NULL DEFAULT 0,
+            created_by INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS quiz_questions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            quiz_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            question_type TEXT NOT NULL CHECK(question_type IN ('multiple_choice', 'multi_select', 'true_false', 'short_answer')),
+            prompt TEXT NOT NULL,
+            options TEXT,
+            correct_answer TEXT NOT NULL,
+            points REAL NOT NULL DEFAULT 1,
+            FOREIGN KEY (quiz_id) REFERENCES quizzes(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS quiz_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            quiz_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            attempt_number INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'submitted', 'expired')),
+            started_at DATETIME NOT NULL,
+            expires_at DATETIME,
+            submitted_at DATETIME,
+            score REAL,
+            max_score REAL,
+            percentage REAL,
+            FOREIGN KEY (quiz_id) REFERENCES quizzes(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(quiz_id, user_id, attempt_number)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS quiz_answers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            attempt_id INTEGER NOT NULL,
+            question_id INTEGER NOT NULL,
+            answer TEXT,
+            is_correct INTEGER NOT NULL DEFAULT 0,
+            points_awarded REAL NOT NULL DEFAULT 0,
+            FOREIGN KEY (attempt_id) REFERENCES quiz_attempts(id),
+            FOREIGN KEY (question_id) REFERENCES quiz_questions(id),
+            UNIQUE(attempt_id, question_id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS curriculum_modules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            position INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS lessons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            module_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT,
+            links TEXT,
+            estimated_hours REAL,
+            position INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (module_id) REFERENCES curriculum_modules(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS lesson_completions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lesson_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (lesson_id) REFERENCES lessons(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(lesson_id, user_id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS certificates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            verification_code TEXT UNIQUE NOT NULL,
+            attendance_rate REAL,
+            report_count INTEGER NOT NULL DEFAULT 0,
+            total_hours REAL NOT NULL DEFAULT 0,
+            average_score REAL,
+            issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(batch_id, user_id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS batch_waitlist (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(batch_id, user_id)
+        )`);
+
+        // Co-instructors and teaching assistants; the instructor of record stays on batches.instructor_id
+        db.run(`CREATE TABLE IF NOT EXISTS batch_staff (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            role TEXT NOT NULL CHECK(role IN ('co_instructor', 'teaching_assistant')),
+            added_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (added_by) REFERENCES users(id),
+            UNIQUE(batch_id, user_id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            message TEXT NOT NULL,
+            link TEXT,
+            is_read INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        // Notification types a user has turned off (no row = enabled)
+        db.run(`CREATE TABLE IF NOT EXISTS notification_preferences (
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, type),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS app_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Append-only: the triggers below reject updates and deletes. Actors are stored by id and
+        // username without a foreign key so entries outlive deleted accounts.
+        db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id INTEGER,
+            actor_username TEXT,
+            action TEXT NOT NULL,
+            target_type TEXT,
+            target_id TEXT,
+            details TEXT,
+            ip_address TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+        db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS failed_logins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL,
+            user_id INTEGER,
+            ip_address TEXT,
+            user_agent TEXT,
+            reason TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            refresh_token_hash TEXT UNIQUE NOT NULL,
+            previous_token_hash TEXT,
+            user_agent TEXT,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS password_reset_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
         // NEW: AI Analysis table
         db.run(`CREATE TABLE IF NOT EXISTS ai_insights (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -89,12 +475,134 @@ function initializeDatabase() {
             FOREIGN KEY (batch_id) REFERENCES batches(id)
         )`);
 
+        // Per-batch overrides of the at-risk alert rules (rules without a row use their defaults)
+        db.run(`CREATE TABLE IF NOT EXISTS batch_alert_rules (
+            batch_id INTEGER NOT NULL,
+            rule_type TEXT NOT NULL,
+            is_enabled INTEGER NOT NULL DEFAULT 1,
+            severity TEXT NOT NULL CHECK(severity IN ('low', 'medium', 'high')),
+            params TEXT NOT NULL,
+            updated_by INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (batch_id, rule_type),
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (updated_by) REFERENCES users(id)
+        )`);
+
+        db.run(`CREATE TABLE IF NOT EXISTS student_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            rule_type TEXT NOT NULL,
+            severity TEXT NOT NULL CHECK(severity IN ('low', 'medium', 'high')),
+            message TEXT NOT NULL,
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'acknowledged', 'resolved')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            acknowledged_by INTEGER,
+            acknowledged_at DATETIME,
+            acknowledgement_note TEXT,
+            resolved_by INTEGER,
+            resolved_at DATETIME,
+            resolution_note TEXT,
+            FOREIGN KEY (batch_id) REFERENCES batches(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id),
+            FOREIGN KEY (resolved_by) REFERENCES users(id)
+        )`);
+
+        // Versions of the trained completion-prediction model; at most one is active
+        db.run(`CREATE TABLE IF NOT EXISTS completion_models (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            version INTEGER UNIQUE NOT NULL,
+            algorithm TEXT NOT NULL,
+            features TEXT NOT NULL,
+            parameters TEXT NOT NULL,
+            metrics TEXT NOT NULL,
+            training_batches INTEGER NOT NULL,
+            holdout_batches INTEGER NOT NULL,
+            samples INTEGER NOT NULL,
+            is_active INTEGER NOT NULL DEFAULT 0,
+            trained_by INTEGER,
+            trained_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trained_by) REFERENCES users(id)
+        )`);
+
+        // Columns added after the first release (no-op on fresh databases)
+        addColumnIfMissing('batches', 'archived_at DATETIME');
+        addColumnIfMissing('batches', 'updated_at DATETIME');
+        addColumnIfMissing('batches', 'end_date DATE');
+        addColumnIfMissing('batches', "schedule_days TEXT NOT NULL DEFAULT 'mon,tue,wed,thu,fri'");
+        addColumnIfMissing('daily_reports', "review_status TEXT NOT NULL DEFAULT 'submitted' CHECK(review_status IN ('submitted', 'approved', 'needs_revision'))");
+        addColumnIfMissing('daily_reports', 'reviewed_by INTEGER REFERENCES users(id)');
+        addColumnIfMissing('daily_reports', 'reviewed_at DATETIME');
+        addColumnIfMissing('daily_reports', 'is_backdated INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('batches', 'report_edit_window_days INTEGER NOT NULL DEFAULT 7');
+        addColumnIfMissing('batches', 'certificate_min_attendance REAL');
+        addColumnIfMissing('batches', 'certificate_min_reports INTEGER');
+        addColumnIfMissing('batches', 'certificate_min_hours REAL');
+        addColumnIfMissing('batches', 'certificate_min_score REAL');
+        addColumnIfMissing('batches', 'requires_approval INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('batches', "difficulty TEXT NOT NULL DEFAULT 'beginner' CHECK(difficulty IN ('beginner', 'intermediate', 'advanced'))");
+        addColumnIfMissing('batches', 'tags TEXT');
+        addColumnIfMissing('batches', 'prerequisites TEXT');
+        addColumnIfMissing('enrollments', "status TEXT NOT NULL DEFAULT 'approved' CHECK(status IN ('pending', 'approved', 'rejected', 'dropped', 'completed'))");
+        addColumnIfMissing('enrollments', 'status_changed_at DATETIME');
+        addColumnIfMissing('enrollments', 'status_changed_by INTEGER REFERENCES users(id)');
+        addColumnIfMissing('users', 'is_active INTEGER NOT NULL DEFAULT 1');
+        addColumnIfMissing('users', 'deactivated_at DATETIME');
+        addColumnIfMissing('users', 'token_version INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'updated_at DATETIME');
+        addColumnIfMissing('users', 'failed_login_count INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'last_failed_login_at DATETIME');
+        addColumnIfMissing('users', 'locked_until DATETIME');
+        addColumnIfMissing('users', 'totp_secret TEXT');
+        addColumnIfMissing('users', 'totp_enabled INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'totp_last_step INTEGER');
+        addColumnIfMissing('student_alerts', 'acknowledgement_note TEXT');
+
         // Create indexes
         db.run(`CREATE INDEX IF NOT EXISTS idx_reports_date ON daily_reports(report_date)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_failed_logins_ip ON failed_logins(ip_address, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_password_reset_requests_email ON password_reset_requests(email, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip ON password_reset_requests(ip_address, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_reports_user ON daily_reports(user_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_reports_batch ON daily_reports(batch_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_enrollments_user ON enrollments(user_id)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_enrollments_batch ON enrollments(batch_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_enrollments_status ON enrollments(batch_id, status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_holidays_batch ON batch_holidays(batch_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_reports_review ON daily_reports(review_status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_comments_report ON report_comments(report_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_revisions_report ON report_revisions(report_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_attendance_batch_date ON attendance(batch_id, session_date)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_assignments_batch ON assignments(batch_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_assignment ON assignment_submissions(assignment_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_quizzes_batch ON quizzes(batch_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id, position)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(user_id, quiz_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_modules_batch ON curriculum_modules(batch_id, position)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_lessons_module ON lessons(module_id, position)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_completions_user ON lesson_completions(user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_certificates_user ON certificates(user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_waitlist_batch ON batch_waitlist(batch_id, id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_batch_staff_user ON batch_staff(user_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_ai_insights_user ON ai_insights(user_id, insight_type, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_ai_insights_batch ON ai_insights(batch_id, insight_type, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_student_alerts_batch ON student_alerts(batch_id, status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_student_alerts_user ON student_alerts(user_id, batch_id, rule_type)`);
+
+        // Reports submitted before revision tracking get their current state as revision 1
+        db.run(`INSERT INTO report_revisions (report_id, revision_number, edited_by, tasks_completed, challenges, hours_worked, notes, created_at)
+                SELECT r.id, 1, r.user_id, r.tasks_completed, r.challenges, r.hours_worked, r.notes, r.updated_at
+                FROM daily_reports r
+                WHERE NOT EXISTS (SELECT 1 FROM report_revisions WHERE report_id = r.id)`);
 
         console.log('Database tables initialized with AI features');
 
@@ -110,24 +618,120 @@ function initializeDatabase() {
                 insertSampleData();
             }
         });
+
+        backfillBatchEndDates();
+        if (RETRAIN_MODEL_ONLY) return retrainFromCommandLine();
+        startBatchStatusScheduler();
+        startInsightSnapshotScheduler();
+        db.get('SELECT 1', () => markDatabaseReady());
+    });
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so ignore the duplicate column error
+function addColumnIfMissing(table, columnDefinition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error adding column to ${table}:`, err.message);
+        }
+    });
+}
+
+// Transactions share transactionDb, so they run one at a time
+const pendingTransactions = [];
+let transactionOpen = false;
+
+// While a transaction is open, statements on the shared connection wait here instead of in SQLite's busy
+// handler, where each would hold one of the few worker threads and could leave none for the transaction
+const deferredStatements = [];
+let statementsInFlight = 0;
+let whenSharedConnectionIdle = null;
+
+['run', 'get', 'all'].forEach(method => {
+    const direct = db[method];
+    db[method] = function(sql, ...args) {
+        if (transactionOpen) {
+            deferredStatements.push(() => db[method](sql, ...args));
+            return db;
+        }
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        statementsInFlight++;
+        return direct.call(db, sql, ...args, function(err, ...results) {
+            statementsInFlight--;
+            if (statementsInFlight === 0 && whenSharedConnectionIdle) {
+                const idle = whenSharedConnectionIdle;
+                whenSharedConnectionIdle = null;
+                idle();
+            }
+            if (callback) return callback.call(this, err, ...results);
+            if (err) db.emit('error', err);
+        });
+    };
+});
+
+// Run work(tx, done) inside BEGIN/COMMIT, where every statement of the transaction goes through `tx`;
+// done(err) rolls everything back instead
+function runInTransaction(work, callback) {
+    pendingTransactions.push({ work: work, callback: callback });
+    if (!transactionOpen) startNextTransaction();
+}
+
+function startNextTransaction() {
+    // Statements held back by the last transaction run first, in the order they were issued
+    transactionOpen = false;
+    db.serialize(() => deferredStatements.splice(0).forEach(statement => statement()));
+
+    const next = pendingTransactions.shift();
+    if (!next) return;
+    transactionOpen = true;
+
+    const finish = (err, result) => {
+        next.callback(err, result);
+        startNextTransaction();
+    };
+    const begin = () => transactionDb.run('BEGIN IMMEDIATE', (err) => {
+        if (err) return finish(err);
+        next.work(transactionDb, (err, result) => {
+            if (err) return transactionDb.run('ROLLBACK', () => finish(err));
+            transactionDb.run('COMMIT', (err) => {
+                if (err) return transactionDb.run('ROLLBACK', () => finish(err));
+                finish(null, result);
+            });
+        });
     });
+    // Let statements already sent on the shared connection finish before taking the write lock
+    if (statementsInFlight === 0) begin();
+    else whenSharedConnectionIdle = begin;
+}
+
+// Run [sql, params] pairs in order in one transaction, stopping at the first error
+function runStatementsInTransaction(statements, callback) {
+    runInTransaction((tx, done) => {
+        const run = (index) => {
+            if (index === statements.length) return done(null);
+            const [sql, params] = statements[index];
+            tx.run(sql, params, (err) => err ? done(err) : run(index + 1));
+        };
+        run(0);
+    }, callback);
 }
 
 function insertSampleData() {
     const sampleBatches = [
-        ['Web Development Fundamentals', 1, '8 weeks', '2026-01-15', 'active', 30],
-        ['Advanced React & Node.js', 1, '10 weeks', '2026-01-08', 'active', 25],
-        ['Data Science with Python', 1, '12 weeks', '2026-01-22', 'active', 20],
-        ['UI/UX Design Mastery', 1, '6 weeks', '2026-01-05', 'active', 30],
-        ['Cloud Computing & DevOps', 1, '8 weeks', '2026-01-20', 'active', 20],
-        ['Mobile App Development', 1, '10 weeks', '2026-01-10', 'active', 25],
-        ['Machine Learning Basics', 1, '12 weeks', '2026-02-15', 'upcoming', 20],
-        ['Cybersecurity Essentials', 1, '8 weeks', '2026-02-20', 'upcoming', 25]
+        ['Web Development Fundamentals', 1, '8 weeks', '2026-01-15', 'active', 30, 'beginner', 'html,css,javascript,web', null],
+        ['Advanced React & Node.js', 1, '10 weeks', '2026-01-08', 'active', 25, 'advanced', 'react,node.js,javascript,web', 'javascript'],
+        ['Data Science with Python', 1, '12 weeks', '2026-01-22', 'active', 20, 'intermediate', 'python,data-analysis,statistics', null],
+        ['UI/UX Design Mastery', 1, '6 weeks', '2026-01-05', 'active', 30, 'beginner', 'design,ux,figma', null],
+        ['Cloud Computing & DevOps', 1, '8 weeks', '2026-01-20', 'active', 20, 'intermediate', 'cloud,devops,docker,linux', 'linux'],
+        ['Mobile App Development', 1, '10 weeks', '2026-01-10', 'active', 25, 'intermediate', 'mobile,javascript,react', 'javascript'],
+        ['Machine Learning Basics', 1, '12 weeks', '2026-02-15', 'upcoming', 20, 'intermediate', 'machine-learning,python,statistics', 'python'],
+        ['Cybersecurity Essentials', 1, '8 weeks', '2026-02-20', 'upcoming', 25, 'beginner', 'security,networking,linux', null]
     ];
 
-    const stmt = db.prepare(`INSERT INTO batches (name, instructor_id, duration, start_date, status, max_participants) 
-                             VALUES (?, ?, ?, ?, ?, ?)`);
-    sampleBatches.forEach(batch => stmt.run(batch));
+    const stmt = db.prepare(`INSERT INTO batches (name, instructor_id, duration, start_date, end_date, status, max_participants, difficulty, tags, prerequisites) 
+                             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    sampleBatches.forEach(([name, instructorId, duration, startDate, status, capacity, difficulty, tags, prerequisites]) => stmt.run(
+        [name, instructorId, duration, startDate, calculateBatchEndDate(startDate, duration), status, capacity, difficulty, tags, prerequisites]
+    ));
     stmt.finalize();
     console.log('Sample batches inserted');
 }
@@ -141,15 +745,44 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
         if (err) {
+            // 401 tells the client to use its refresh token
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ error: 'Access token expired' });
+            }
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
-        req.user = user;
-        next();
+
+        // Re-check the account and session so deactivation, role changes and logout apply to tokens already issued
+        db.get(`SELECT u.id, u.username, u.role, u.is_active, u.token_version, s.id as session_id
+                FROM users u
+                LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+                    AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+                WHERE u.id = ?`,
+            [payload.sid || null, payload.id], (err, user) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Server error' });
+                }
+                if (!user || !user.is_active || !user.session_id || (payload.tokenVersion || 0) !== user.token_version) {
+                    return res.status(401).json({ error: 'Account is deactivated or the session was revoked' });
+                }
+                req.user = { id: user.id, username: user.username, role: user.role, sessionId: user.session_id };
+                next();
+            }
+        );
     });
 }
 
+// Short-lived access token bound to a session; the session's refresh token renews it
+function issueToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, username: user.username, role: user.role, tokenVersion: user.token_version, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
 function authorizeRole(...roles) {
     return (req, res, next) => {
         if (!roles.includes(req.user.role)) {
@@ -159,103 +792,595 @@ function authorizeRole(...roles) {
     };
 }
 
-// ============ AI HELPER FUNCTIONS ============
+// ============ BATCH LIFECYCLE ============
 
-// AI: Analyze student progress
-function analyzeStudentProgress(userId, callback) {
-    const query = `
-        SELECT 
-            COUNT(*) as total_reports,
-            AVG(hours_worked) as avg_hours,
-            SUM(hours_worked) as total_hours,
-            MIN(report_date) as first_report,
-            MAX(report_date) as last_report
-        FROM daily_reports
-        WHERE user_id = ?
-    `;
+const BATCH_STATUSES = ['active', 'upcoming', 'completed'];
+const BATCH_STATUS_ORDER = { upcoming: 0, active: 1, completed: 2 };
+const BATCH_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const MAX_BATCH_TAGS = 10;
+const BATCH_STATUS_INTERVAL_MS = parseInt(process.env.BATCH_STATUS_INTERVAL_MS) || 60 * 60 * 1000;
 
-    db.get(query, [userId], (err, stats) => {
-        if (err) return callback(err);
+const ENROLLMENT_STATUSES = ['pending', 'approved', 'rejected', 'dropped', 'completed'];
+// Enrollments that hold a seat and give access to the batch (prefix with the table alias, e.g. e.${ACTIVE_ENROLLMENT})
+const ACTIVE_ENROLLMENT = "status IN ('approved', 'completed')";
 
-        // Get recent challenges
-        db.all(`SELECT challenges FROM daily_reports 
-                WHERE user_id = ? AND challenges IS NOT NULL AND challenges != ''
-                ORDER BY report_date DESC LIMIT 10`, 
-            [userId], (err, challenges) => {
-                
-                const analysis = {
-                    totalReports: stats.total_reports,
-                    averageHours: stats.avg_hours ? stats.avg_hours.toFixed(2) : 0,
-                    totalHours: stats.total_hours || 0,
-                    consistency: calculateConsistency(stats.total_reports, stats.first_report, stats.last_report),
-                    commonChallenges: extractCommonChallenges(challenges),
-                    performanceLevel: getPerformanceLevel(stats.avg_hours, stats.total_reports),
-                    recommendations: generateRecommendations(stats.avg_hours, stats.total_reports, challenges)
-                };
+// Everything attached to a batch, children first; each statement takes the batch id
+const BATCH_DELETE_STATEMENTS = [
+    'DELETE FROM report_comments WHERE report_id IN (SELECT id FROM daily_reports WHERE batch_id = ?)',
+    'DELETE FROM report_revisions WHERE report_id IN (SELECT id FROM daily_reports WHERE batch_id = ?)',
+    `DELETE FROM submission_attachments WHERE submission_id IN (
+        SELECT s.id FROM assignment_submissions s
+        INNER JOIN assignments a ON s.assignment_id = a.id
+        WHERE a.batch_id = ?)`,
+    'DELETE FROM assignment_submissions WHERE assignment_id IN (SELECT id FROM assignments WHERE batch_id = ?)',
+    'DELETE FROM assignments WHERE batch_id = ?',
+    `DELETE FROM quiz_answers WHERE attempt_id IN (
+        SELECT t.id FROM quiz_attempts t
+        INNER JOIN quizzes q ON t.quiz_id = q.id
+        WHERE q.batch_id = ?)`,
+    'DELETE FROM quiz_attempts WHERE quiz_id IN (SELECT id FROM quizzes WHERE batch_id = ?)',
+    'DELETE FROM quiz_questions WHERE quiz_id IN (SELECT id FROM quizzes WHERE batch_id = ?)',
+    'DELETE FROM quizzes WHERE batch_id = ?',
+    `DELETE FROM lesson_completions WHERE lesson_id IN (
+        SELECT l.id FROM lessons l
+        INNER JOIN curriculum_modules m ON l.module_id = m.id
+        WHERE m.batch_id = ?)`,
+    'DELETE FROM lessons WHERE module_id IN (SELECT id FROM curriculum_modules WHERE batch_id = ?)',
+    'DELETE FROM curriculum_modules WHERE batch_id = ?',
+    'DELETE FROM certificates WHERE batch_id = ?',
+    'DELETE FROM ai_insights WHERE batch_id = ?',
+    'DELETE FROM student_alerts WHERE batch_id = ?',
+    'DELETE FROM batch_alert_rules WHERE batch_id = ?',
+    'DELETE FROM daily_reports WHERE batch_id = ?',
+    'DELETE FROM enrollments WHERE batch_id = ?',
+    'DELETE FROM batch_waitlist WHERE batch_id = ?',
+    'DELETE FROM batch_staff WHERE batch_id = ?',
+    'DELETE FROM batch_holidays WHERE batch_id = ?',
+    'DELETE FROM attendance WHERE batch_id = ?'
+];
 
-                callback(null, analysis);
-            }
-        );
-    });
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_SCHEDULE_DAYS = 'mon,tue,wed,thu,fri';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
 }
 
-function calculateConsistency(totalReports, firstReport, lastReport) {
-    if (!firstReport || !lastReport) return 0;
-    
-    const daysDiff = Math.floor((new Date(lastReport) - new Date(firstReport)) / (1000 * 60 * 60 * 24)) + 1;
-    const consistency = (totalReports / daysDiff) * 100;
-    
-    return Math.min(consistency, 100).toFixed(0);
+// Parse free-text durations such as "8 weeks", "10 days" or "3 months"
+function parseDuration(duration) {
+    const match = String(duration || '').trim().toLowerCase()
+        .match(/^(\d+)\s*(day|week|month|year)s?$/);
+    if (!match) return null;
+    return { amount: parseInt(match[1]), unit: match[2] };
 }
 
-function extractCommonChallenges(challengeRecords) {
-    if (!challengeRecords || challengeRecords.length === 0) return [];
-    
-    const keywords = {};
-    const commonWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'had', 'have', 'has', 'some', 'difficulty'];
-    
-    challengeRecords.forEach(record => {
-        if (record.challenges) {
-            const words = record.challenges.toLowerCase()
-                .replace(/[^\w\s]/g, '')
-                .split(/\s+/)
-                .filter(word => word.length > 3 && !commonWords.includes(word));
-            
-            words.forEach(word => {
-                keywords[word] = (keywords[word] || 0) + 1;
-            });
-        }
+// Last day (inclusive) of a batch starting on startDate and running for duration
+function calculateBatchEndDate(startDate, duration) {
+    const parsed = parseDuration(duration);
+    const end = new Date(`${startDate}T00:00:00Z`);
+    if (!parsed || isNaN(end)) return null;
+
+    if (parsed.unit === 'day') end.setUTCDate(end.getUTCDate() + parsed.amount);
+    if (parsed.unit === 'week') end.setUTCDate(end.getUTCDate() + parsed.amount * 7);
+    if (parsed.unit === 'month') end.setUTCMonth(end.getUTCMonth() + parsed.amount);
+    if (parsed.unit === 'year') end.setUTCFullYear(end.getUTCFullYear() + parsed.amount);
+    end.setUTCDate(end.getUTCDate() - 1);
+
+    return toDateString(end);
+}
+
+// Human-readable duration for an inclusive date range, e.g. "8 weeks" or "10 days"
+function describeDuration(startDate, endDate) {
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1;
+    if (days % 7 === 0) return `${days / 7} week${days === 7 ? '' : 's'}`;
+    return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+// Batches created before end_date existed only have the free-text duration
+function getBatchEndDate(batch) {
+    return batch.end_date || calculateBatchEndDate(batch.start_date, batch.duration);
+}
+
+function backfillBatchEndDates() {
+    db.all('SELECT id, start_date, duration FROM batches WHERE end_date IS NULL', [], (err, batches) => {
+        if (err || batches.length === 0) return;
+
+        const stmt = db.prepare('UPDATE batches SET end_date = ? WHERE id = ?');
+        batches.forEach(batch => {
+            const endDate = calculateBatchEndDate(batch.start_date, batch.duration);
+            if (endDate) stmt.run([endDate, batch.id]);
+        });
+        stmt.finalize();
     });
-    
-    return Object.entries(keywords)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([word, count]) => ({ challenge: word, frequency: count }));
 }
 
-function getPerformanceLevel(avgHours, totalReports) {
-    if (!avgHours || !totalReports) return 'No Data';
-    
-    if (avgHours >= 7 && totalReports >= 20) return 'Excellent';
-    if (avgHours >= 6 && totalReports >= 15) return 'Very Good';
-    if (avgHours >= 5 && totalReports >= 10) return 'Good';
-    if (avgHours >= 4 && totalReports >= 5) return 'Average';
-    return 'Needs Improvement';
+function parseScheduleDays(scheduleDays) {
+    return String(scheduleDays || DEFAULT_SCHEDULE_DAYS)
+        .split(',')
+        .map(day => day.trim().toLowerCase())
+        .filter(day => WEEKDAYS.includes(day));
 }
 
-function generateRecommendations(avgHours, totalReports, challenges) {
-    const recommendations = [];
-    
-    if (avgHours < 5) {
-        recommendations.push('Consider increasing daily study time to at least 5-6 hours for better learning outcomes.');
-    }
-    
-    if (totalReports < 10) {
-        recommendations.push('Build a consistent daily reporting habit to track your progress effectively.');
-    }
-    
-    if (challenges && challenges.length > 0) {
-        recommendations.push('Focus on overcoming recurring challenges - consider seeking help from instructors or peers.');
+// All session dates of a batch: scheduled weekdays between start and end, minus holidays.
+// Pass untilDate to stop early (inclusive), e.g. to count sessions held so far.
+function getBatchSessionDates(batch, holidayDates, untilDate) {
+    const endDate = getBatchEndDate(batch);
+    if (!endDate) return [];
+
+    const lastDate = untilDate && untilDate < endDate ? untilDate : endDate;
+    const scheduleDays = parseScheduleDays(batch.schedule_days);
+    const holidays = new Set(holidayDates);
+    const sessions = [];
+
+    for (let day = new Date(`${batch.start_date}T00:00:00Z`); toDateString(day) <= lastDate; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = toDateString(day);
+        if (scheduleDays.includes(WEEKDAYS[day.getUTCDay()]) && !holidays.has(date)) {
+            sessions.push(date);
+        }
+    }
+
+    return sessions;
+}
+
+// Load batches with their holiday dates, for session calendar calculations
+function loadBatchCalendars(batchIds, callback) {
+    if (batchIds.length === 0) return callback(null, []);
+
+    const placeholders = batchIds.map(() => '?').join(', ');
+    db.all(`SELECT * FROM batches WHERE id IN (${placeholders})`, batchIds, (err, batches) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT batch_id, holiday_date, description FROM batch_holidays
+                WHERE batch_id IN (${placeholders}) ORDER BY holiday_date`,
+            batchIds, (err, holidays) => {
+                if (err) return callback(err);
+
+                callback(null, batches.map(batch => ({
+                    ...batch,
+                    holidays: holidays.filter(h => h.batch_id === batch.id)
+                })));
+            }
+        );
+    });
+}
+
+// Sessions held so far across a student's batches (or a single batch)
+function countExpectedSessions(userId, batchId, callback) {
+    let query = `SELECT batch_id FROM enrollments WHERE user_id = ? AND ${ACTIVE_ENROLLMENT}`;
+    const params = [userId];
+    if (batchId) {
+        query += ' AND batch_id = ?';
+        params.push(batchId);
+    }
+
+    db.all(query, params, (err, enrollments) => {
+        if (err) return callback(err);
+
+        loadBatchCalendars(enrollments.map(e => e.batch_id), (err, batches) => {
+            if (err) return callback(err);
+
+            const today = toDateString(new Date());
+            callback(null, batches.reduce((counts, batch) => {
+                const holidayDates = batch.holidays.map(h => h.holiday_date);
+                counts.toDate += getBatchSessionDates(batch, holidayDates, today).length;
+                counts.total += getBatchSessionDates(batch, holidayDates).length;
+                return counts;
+            }, { toDate: 0, total: 0 }));
+        });
+    });
+}
+
+function getExpectedBatchStatus(batch, today) {
+    if (batch.start_date > today) return 'upcoming';
+
+    const endDate = getBatchEndDate(batch);
+    if (endDate && endDate < today) return 'completed';
+    return 'active';
+}
+
+// Move batches forward (upcoming -> active -> completed) based on their dates.
+// Never moves a batch backwards, so manual early completion sticks.
+function updateBatchStatuses(callback) {
+    const done = callback || (() => {});
+    const today = toDateString(new Date());
+
+    db.all(`SELECT id, name, duration, start_date, end_date, status FROM batches
+            WHERE archived_at IS NULL AND status != 'completed'`,
+        [], (err, batches) => {
+            if (err) {
+                console.error('Failed to update batch statuses:', err.message);
+                return done(err);
+            }
+
+            const transitions = batches
+                .map(batch => ({ batch, status: getExpectedBatchStatus(batch, today) }))
+                .filter(t => BATCH_STATUS_ORDER[t.status] > BATCH_STATUS_ORDER[t.batch.status]);
+
+            if (transitions.length === 0) return done(null, []);
+
+            const stmt = db.prepare('UPDATE batches SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+            transitions.forEach(t => {
+                stmt.run([t.status, t.batch.id]);
+                console.log(`Batch "${t.batch.name}" moved from ${t.batch.status} to ${t.status}`);
+            });
+            stmt.finalize((err) => {
+                if (!err) {
+                    transitions
+                        .filter(t => t.status === 'completed')
+                        .forEach(t => completeBatch(t.batch));
+                    transitions
+                        .filter(t => t.status === 'active')
+                        .forEach(t => notifyBatchStarted(t.batch));
+                }
+                done(err, transitions.map(t => ({
+                    batchId: t.batch.id,
+                    from: t.batch.status,
+                    to: t.status
+                })));
+            });
+        }
+    );
+}
+
+// A finished batch: approved students become completed, then certificates are issued
+function completeBatch(batch) {
+    db.run(`UPDATE enrollments SET status = 'completed', status_changed_at = CURRENT_TIMESTAMP
+            WHERE batch_id = ? AND status = 'approved'`,
+        [batch.id], (err) => {
+            if (err) {
+                return console.error(`Failed to complete enrollments for "${batch.name}":`, err.message);
+            }
+            issueCertificates(batch.id, logIssuedCertificates(batch));
+        }
+    );
+}
+
+// Status changes first, so batches that start today are already active for the later checks
+function runBatchScheduledJobs() {
+    updateBatchStatuses(() => {
+        notifyMissedReports();
+        evaluateAlertRules(null, () => sendAlertDigests());
+    });
+}
+
+function startBatchStatusScheduler() {
+    runBatchScheduledJobs();
+    setInterval(runBatchScheduledJobs, BATCH_STATUS_INTERVAL_MS).unref();
+}
+
+// ============ TEXT ANALYSIS ============
+
+// English function words plus words that show up in almost every challenge ("had some trouble with...")
+const STOP_WORDS = new Set(`a about above after again against all almost also although am an and any are as at be because been
+before being below between both but by can cannot could did do does doing done dont down during each either else enough even
+ever every few for from further get gets getting got had has have having he her here hers herself him himself his how however
+i if im in into is isnt it its itself ive just least less let like lot lots made make makes making many may me might mine more
+most much must my myself na need needed needs neither no nobody none nor not nothing now of off often on once one only or other
+our ours ourselves out over own per quite rather really same she should so some something still such than that the their theirs
+them themselves then there these they this those though through thus to too under until up upon us very via was we were what
+when where whether which while who whom whose why will with within without would yet you your yours yourself yourselves
+able unable bit little today yesterday tomorrow day days week trying tried try tries understand understanding understood
+figure figuring issue issues problem problems trouble troubles difficulty difficulties difficult hard challenge challenges
+challenging struggle struggled struggling stuck work working worked thing things way n/a`.split(/\s+/));
+
+// Sentence punctuation ends a phrase; "." only when it is not inside a word such as node.js
+const PHRASE_BREAKS = /[,;:!?()[\]{}"\n]+|\.(?=\s|$)|\s[-–]\s/;
+const MAX_PHRASE_WORDS = 3;
+
+const STEM_STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e',
+    ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous',
+    aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEM_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEM_C = '[^aeiou][^aeiouy]*';
+const STEM_V = '[aeiouy][aeiou]*';
+const STEM_MEASURE_GT0 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}`);
+const STEM_MEASURE_EQ1 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}(${STEM_V})?$`);
+const STEM_MEASURE_GT1 = new RegExp(`^(${STEM_C})?${STEM_V}${STEM_C}${STEM_V}${STEM_C}`);
+const STEM_HAS_VOWEL = new RegExp(`^(${STEM_C})?[aeiouy]`);
+const STEM_CVC = new RegExp(`^${STEM_C}[aeiouy][^aeiouwxy]$`);
+
+// Porter stemmer, so "deploying", "deployed" and "deployment" all become "deploy". Step 1c uses the
+// Porter2 rule (y after a consonant only) to keep "deploy" from turning into "deploi".
+// Words with digits or symbols (node.js, c++, es6) are left alone.
+function stemWord(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let w = word[0] === 'y' ? 'Y' + word.slice(1) : word;
+    let match;
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+    else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+    // Step 1b: -eed, -ed, -ing
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (STEM_MEASURE_GT0.test(match[1])) w = w.slice(0, -1);
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && STEM_HAS_VOWEL.test(match[1])) {
+        w = match[1];
+        if (/(at|bl|iz)$/.test(w)) w += 'e';
+        else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+        else if (STEM_CVC.test(w)) w += 'e';
+    }
+
+    // Step 1c: y -> i
+    if ((match = /^(.+[^aeiou])y$/.exec(w))) w = match[1] + 'i';
+
+    // Steps 2 and 3: map double suffixes to single ones
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+        STEM_MEASURE_GT0.test(match[1])) {
+        w = match[1] + STEM_STEP2[match[2]];
+    }
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && STEM_MEASURE_GT0.test(match[1])) {
+        w = match[1] + STEM_STEP3[match[2]];
+    }
+
+    // Step 4: drop suffixes of longer stems
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+        if (STEM_MEASURE_GT1.test(match[1])) w = match[1];
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && STEM_MEASURE_GT1.test(match[1] + match[2])) {
+        w = match[1] + match[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const stem = match[1];
+        if (STEM_MEASURE_GT1.test(stem) || (STEM_MEASURE_EQ1.test(stem) && !STEM_CVC.test(stem))) w = stem;
+    }
+    if (/ll$/.test(w) && STEM_MEASURE_GT1.test(w)) w = w.slice(0, -1);
+
+    return w[0] === 'Y' ? 'y' + w.slice(1) : w;
+}
+
+// Candidate phrases of a text: every run of 1-3 words not broken by punctuation or a stop word,
+// keyed by their stems ("React hooks" and "react hook" share the key "react hook").
+// Returns a Map of key to the words as written.
+function extractPhrases(text) {
+    const phrases = new Map();
+
+    String(text || '').toLowerCase().replace(/['’]/g, '').split(PHRASE_BREAKS).forEach(fragment => {
+        let run = [];
+        const flush = () => {
+            for (let length = 1; length <= MAX_PHRASE_WORDS; length++) {
+                for (let i = 0; i + length <= run.length; i++) {
+                    const words = run.slice(i, i + length);
+                    const key = words.map(w => w.stem).join(' ');
+                    if (!phrases.has(key)) phrases.set(key, words.map(w => w.word).join(' '));
+                }
+            }
+            run = [];
+        };
+
+        fragment.split(/[^a-z0-9+#./]+/).forEach(token => {
+            const word = token.replace(/^[./]+|[./]+$/g, '');
+            if (word.length < 2 || STOP_WORDS.has(word) || /^[\d./]+$/.test(word)) return flush();
+            run.push({ word: word, stem: stemWord(word) });
+        });
+        flush();
+    });
+    return phrases;
+}
+
+// How many texts contain each phrase, for inverse document frequency
+function buildPhraseCorpus(texts) {
+    const frequencies = new Map();
+    texts.forEach(text => extractPhrases(text).forEach((form, key) => {
+        frequencies.set(key, (frequencies.get(key) || 0) + 1);
+    }));
+    return { documents: texts.length, frequencies: frequencies };
+}
+
+// Smoothed IDF: phrases found in most challenges ("time", "error") weigh less than specific ones
+function inverseDocumentFrequency(corpus, key) {
+    return Math.log((1 + corpus.documents) / (1 + (corpus.frequencies.get(key) || 0))) + 1;
+}
+
+// TF-IDF vector of one text's phrases, scaled to unit length
+function getPhraseVector(phrases, corpus) {
+    const vector = new Map();
+    phrases.forEach((form, key) => vector.set(key, inverseDocumentFrequency(corpus, key)));
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+    vector.forEach((weight, key) => vector.set(key, weight / norm));
+    return vector;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    a.forEach((weight, key) => {
+        normA += weight * weight;
+        if (b.has(key)) dot += weight * b.get(key);
+    });
+    b.forEach(weight => normB += weight * weight);
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Greedy clustering: each vector joins the cluster whose centroid is most similar,
+// or starts a new one when none reaches `threshold`
+function clusterVectors(vectors, threshold) {
+    const clusters = [];
+    vectors.forEach((vector, index) => {
+        let best = null;
+        let bestSimilarity = threshold;
+        clusters.forEach(cluster => {
+            const similarity = cosineSimilarity(vector, cluster.centroid);
+            if (similarity >= bestSimilarity) {
+                best = cluster;
+                bestSimilarity = similarity;
+            }
+        });
+        if (!best) clusters.push(best = { members: [], centroid: new Map() });
+        best.members.push(index);
+        vector.forEach((weight, key) => best.centroid.set(key, (best.centroid.get(key) || 0) + weight));
+    });
+    return clusters;
+}
+
+// Phrases of a set of texts ranked by `weigh(key, count)` (count = texts containing it). A phrase is
+// dropped when a longer phrase containing it is at least as common, so "react hooks" hides "react".
+function rankPhrases(phraseSets, weigh) {
+    const counts = new Map();
+    phraseSets.forEach(phrases => phrases.forEach((form, key) => {
+        const entry = counts.get(key) || { key: key, count: 0, forms: {} };
+        entry.count++;
+        entry.forms[form] = (entry.forms[form] || 0) + 1;
+        counts.set(key, entry);
+    }));
+
+    const entries = [...counts.values()];
+    return entries
+        .filter(entry => !entries.some(other => other.key.length > entry.key.length && other.count >= entry.count &&
+            ` ${other.key} `.includes(` ${entry.key} `)))
+        .map(entry => ({
+            phrase: Object.entries(entry.forms).sort((a, b) => b[1] - a[1])[0][0],
+            count: entry.count,
+            score: weigh(entry.key, entry.count)
+        }))
+        .sort((a, b) => b.score - a.score || b.phrase.split(' ').length - a.phrase.split(' ').length);
+}
+
+// ============ AI HELPER FUNCTIONS ============
+
+// AI: Analyze student progress
+function analyzeStudentProgress(userId, callback) {
+    const query = `
+        SELECT 
+            COUNT(*) as total_reports,
+            AVG(hours_worked) as avg_hours,
+            SUM(hours_worked) as total_hours,
+            MIN(report_date) as first_report,
+            MAX(report_date) as last_report
+        FROM daily_reports
+        WHERE user_id = ?
+    `;
+
+    db.get(query, [userId], (err, stats) => {
+        if (err) return callback(err);
+
+        countExpectedSessions(userId, null, (err, sessions) => {
+            if (err) return callback(err);
+
+            getQuizPerformance(userId, null, (err, quiz) => {
+                if (err) return callback(err);
+
+                // Get recent challenges
+                db.all(`SELECT challenges FROM daily_reports 
+                        WHERE user_id = ? AND challenges IS NOT NULL AND challenges != ''
+                        ORDER BY report_date DESC LIMIT 10`, 
+                    [userId], (err, challenges) => {
+                        
+                        const analysis = {
+                            totalReports: stats.total_reports,
+                            expectedReports: sessions.toDate,
+                            averageHours: stats.avg_hours ? stats.avg_hours.toFixed(2) : 0,
+                            totalHours: stats.total_hours || 0,
+                            consistency: calculateConsistency(stats.total_reports, sessions.toDate),
+                            quizzesTaken: quiz.quizzesTaken,
+                            averageQuizScore: quiz.averageScore,
+                            commonChallenges: extractCommonChallenges(challenges),
+                            performanceLevel: getPerformanceLevel(stats.avg_hours, stats.total_reports, quiz.averageScore),
+                            recommendations: generateRecommendations(stats.avg_hours, stats.total_reports, challenges, quiz.averageScore)
+                        };
+
+                        callback(null, analysis);
+                    }
+                );
+            });
+        });
+    });
+}
+
+// Average of the best finished attempt per quiz (optionally within one batch);
+// averageScore is null when no quiz has been taken
+function getQuizPerformance(userId, batchId, callback) {
+    let query = `
+        SELECT COUNT(*) as quizzes_taken, AVG(best) as average_score
+        FROM (
+            SELECT MAX(t.percentage) as best
+            FROM quiz_attempts t
+            INNER JOIN quizzes q ON t.quiz_id = q.id
+            WHERE t.user_id = ? AND t.status != 'in_progress'
+    `;
+    const params = [userId];
+
+    if (batchId) {
+        query += ' AND q.batch_id = ?';
+        params.push(batchId);
+    }
+    query += ' GROUP BY t.quiz_id)';
+
+    db.get(query, params, (err, row) => {
+        if (err) return callback(err);
+        callback(null, {
+            quizzesTaken: row.quizzes_taken,
+            averageScore: row.quizzes_taken > 0 ? Math.round(row.average_score) : null
+        });
+    });
+}
+
+// Share of scheduled session days (so far) that have a report
+function calculateConsistency(totalReports, expectedReports) {
+    if (!expectedReports) return 0;
+    
+    const consistency = (totalReports / expectedReports) * 100;
+    
+    return Math.min(consistency, 100).toFixed(0);
+}
+
+// Phrases mentioned in the most reports, longer phrases first on a tie
+function extractCommonChallenges(challengeRecords) {
+    if (!challengeRecords || challengeRecords.length === 0) return [];
+
+    return rankPhrases(challengeRecords.map(record => extractPhrases(record.challenges)), (key, count) => count)
+        .slice(0, 5)
+        .map(entry => ({ challenge: entry.phrase, frequency: entry.count }));
+}
+
+const PERFORMANCE_LEVELS = ['Needs Improvement', 'Average', 'Good', 'Very Good', 'Excellent'];
+
+// Effort (hours and reports) and quiz results each map to a level;
+// when both are known the level is their average, rounded down
+function getPerformanceLevel(avgHours, totalReports, averageQuizScore) {
+    const hasEffort = !!(avgHours && totalReports);
+    const hasScore = averageQuizScore !== null && averageQuizScore !== undefined;
+    if (!hasEffort && !hasScore) return 'No Data';
+
+    let effortLevel = 0;
+    if (avgHours >= 7 && totalReports >= 20) effortLevel = 4;
+    else if (avgHours >= 6 && totalReports >= 15) effortLevel = 3;
+    else if (avgHours >= 5 && totalReports >= 10) effortLevel = 2;
+    else if (avgHours >= 4 && totalReports >= 5) effortLevel = 1;
+
+    let scoreLevel = 0;
+    if (averageQuizScore >= 90) scoreLevel = 4;
+    else if (averageQuizScore >= 80) scoreLevel = 3;
+    else if (averageQuizScore >= 70) scoreLevel = 2;
+    else if (averageQuizScore >= 60) scoreLevel = 1;
+
+    if (!hasScore) return PERFORMANCE_LEVELS[effortLevel];
+    if (!hasEffort) return PERFORMANCE_LEVELS[scoreLevel];
+    return PERFORMANCE_LEVELS[Math.floor((effortLevel + scoreLevel) / 2)];
+}
+
+function generateRecommendations(avgHours, totalReports, challenges, averageQuizScore) {
+    const recommendations = [];
+    
+    if (averageQuizScore !== null && averageQuizScore !== undefined && averageQuizScore < 60) {
+        recommendations.push('Quiz scores are low - revisit the course material and retake quizzes where attempts remain.');
+    }
+    
+    if (avgHours < 5) {
+        recommendations.push('Consider increasing daily study time to at least 5-6 hours for better learning outcomes.');
+    }
+    
+    if (totalReports < 10) {
+        recommendations.push('Build a consistent daily reporting habit to track your progress effectively.');
+    }
+    
+    if (challenges && challenges.length > 0) {
+        recommendations.push('Focus on overcoming recurring challenges - consider seeking help from instructors or peers.');
     }
     
     if (avgHours >= 8) {
@@ -273,47 +1398,200 @@ function generateRecommendations(avgHours, totalReports, challenges) {
     return recommendations;
 }
 
-// AI: Generate smart batch recommendations
-function generateBatchRecommendations(userId, callback) {
-    // Get user's enrolled batches
-    db.all(`SELECT b.name, b.id 
-            FROM batches b
-            INNER JOIN enrollments e ON b.id = e.batch_id
-            WHERE e.user_id = ?`, 
-        [userId], (err, enrolledBatches) => {
+// How much each source adds to an interest; report mentions are capped per tag
+const INTEREST_WEIGHTS = { finished: 3, enrolled: 2, dropped: 0.5, reportMention: 0.5 };
+const MAX_REPORT_MENTION_WEIGHT = 3;
+// Reports mentioning a topic this often count as some experience with it
+const SKILL_MENTION_THRESHOLD = 3;
+const RECOMMENDATION_WEIGHTS = { similarity: 0.55, prerequisites: 0.3, difficulty: 0.15 };
+const MAX_RECOMMENDATIONS = 10;
+
+// Report text in a form where tags can be found as whole words ("machine-learning" as "machine learning")
+function normalizeReportText(text) {
+    return ` ${String(text || '').toLowerCase().replace(/\.(?=\s|$)/g, ' ').replace(/[^a-z0-9+#.]+/g, ' ')} `;
+}
+
+function textMentionsTag(text, tag) {
+    return text.includes(` ${tag.replace(/-/g, ' ')} `);
+}
+
+// AI: Interests from the student's batches (by their tags) and reports (tags mentioned in them),
+// plus the topics and difficulty level they have finished
+function buildInterestProfile(userId, callback) {
+    db.all(`SELECT b.id, b.name, b.status, b.difficulty, b.tags, e.status as enrollment_status,
+                   (SELECT id FROM certificates WHERE batch_id = b.id AND user_id = e.user_id) as certificate_id
+            FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE e.user_id = ? AND e.status IN ('approved', 'completed', 'dropped')`,
+        [userId], (err, enrollments) => {
             if (err) return callback(err);
-            
-            // Get available batches
-            db.all(`SELECT b.*, 
-                    (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id) as current_enrollment
-                    FROM batches b
-                    WHERE b.status = 'active' OR b.status = 'upcoming'`, 
-                [], (err, allBatches) => {
-                    if (err) return callback(err);
-                    
-                    const enrolledIds = enrolledBatches.map(b => b.id);
-                    const availableBatches = allBatches.filter(b => !enrolledIds.includes(b.id));
-                    
-                    // Simple recommendation: suggest batches with availability
-                    const recommendations = availableBatches
-                        .filter(b => b.current_enrollment < b.max_participants)
-                        .map(b => ({
+
+            db.all('SELECT tags, prerequisites FROM batches WHERE archived_at IS NULL', [], (err, batches) => {
+                if (err) return callback(err);
+
+                db.all(`SELECT tasks_completed, challenges, notes FROM daily_reports
+                        WHERE user_id = ? ORDER BY report_date DESC LIMIT 200`,
+                    [userId], (err, reports) => {
+                        if (err) return callback(err);
+
+                        const interests = {};
+                        const interest = (tag) => interests[tag] = interests[tag] || { tag: tag, weight: 0, batches: [], reportMentions: 0 };
+                        const finishedTopics = new Set();
+                        const currentTopics = new Set();
+                        let level = -1;
+
+                        enrollments.forEach(e => {
+                            const finished = e.enrollment_status === 'completed' || e.certificate_id ||
+                                (e.enrollment_status === 'approved' && e.status === 'completed');
+                            const kind = e.enrollment_status === 'dropped' ? 'dropped' : finished ? 'finished' : 'enrolled';
+                            splitTags(e.tags).forEach(tag => {
+                                interest(tag).weight += INTEREST_WEIGHTS[kind];
+                                interest(tag).batches.push(e.name);
+                                if (kind === 'finished') finishedTopics.add(tag);
+                                if (kind === 'enrolled') currentTopics.add(tag);
+                            });
+                            if (kind === 'finished') level = Math.max(level, BATCH_DIFFICULTIES.indexOf(e.difficulty));
+                        });
+
+                        const vocabulary = new Set(batches.flatMap(b => [...splitTags(b.tags), ...splitTags(b.prerequisites)]));
+                        const texts = reports.map(r => normalizeReportText(`${r.tasks_completed} ${r.challenges || ''} ${r.notes || ''}`));
+                        vocabulary.forEach(tag => {
+                            const mentions = texts.filter(text => textMentionsTag(text, tag)).length;
+                            if (mentions === 0) return;
+                            interest(tag).reportMentions = mentions;
+                            interest(tag).weight += Math.min(mentions * INTEREST_WEIGHTS.reportMention, MAX_REPORT_MENTION_WEIGHT);
+                        });
+
+                        const list = Object.values(interests).sort((a, b) => b.weight - a.weight);
+                        const top = list.length > 0 ? list[0].weight : 1;
+                        callback(null, {
+                            interests: list.map(i => ({ ...i, weight: Number((i.weight / top).toFixed(2)) })),
+                            finishedTopics: [...finishedTopics],
+                            currentTopics: [...currentTopics],
+                            reportedTopics: list.filter(i => i.reportMentions >= SKILL_MENTION_THRESHOLD).map(i => i.tag),
+                            level: level >= 0 ? BATCH_DIFFICULTIES[level] : null,
+                            reportsAnalyzed: reports.length
+                        });
+                    }
+                );
+            });
+        }
+    );
+}
+
+// Cosine similarity between the interest weights and the batch's tags (each weighing 1)
+function getInterestSimilarity(profile, tags) {
+    if (tags.length === 0 || profile.interests.length === 0) return 0;
+    const norm = Math.sqrt(profile.interests.reduce((sum, i) => sum + i.weight * i.weight, 0));
+    const overlap = profile.interests.filter(i => tags.includes(i.tag)).reduce((sum, i) => sum + i.weight, 0);
+    return overlap / (norm * Math.sqrt(tags.length));
+}
+
+// Prerequisites count fully when finished, half when in progress or mentioned often in reports
+function getPrerequisiteFit(profile, prerequisites) {
+    const fit = { required: prerequisites, met: [], inProgress: [], fromReports: [], missing: [] };
+    prerequisites.forEach(tag => {
+        if (profile.finishedTopics.includes(tag)) fit.met.push(tag);
+        else if (profile.currentTopics.includes(tag)) fit.inProgress.push(tag);
+        else if (profile.reportedTopics.includes(tag)) fit.fromReports.push(tag);
+        else fit.missing.push(tag);
+    });
+    fit.fit = prerequisites.length === 0 ? 1
+        : (fit.met.length + 0.5 * (fit.inProgress.length + fit.fromReports.length)) / prerequisites.length;
+    return fit;
+}
+
+// Best fit is one level above the hardest batch finished (beginner for new students)
+function getDifficultyFit(profile, difficulty) {
+    const level = profile.level ? BATCH_DIFFICULTIES.indexOf(profile.level) : -1;
+    const target = Math.min(level + 1, BATCH_DIFFICULTIES.length - 1);
+    const index = BATCH_DIFFICULTIES.indexOf(difficulty);
+
+    if (index === target) {
+        return { score: 1, note: level < 0 ? `${difficulty} level, a good place to start`
+            : index > level ? `${difficulty} level, the next step after your ${profile.level} batches` : `${difficulty} level, matching your experience` };
+    }
+    if (index === level) return { score: 0.7, note: `${difficulty} level, the same as batches you have finished` };
+    if (index < level) return { score: 0.4, note: `${difficulty} level, below the ${profile.level} batches you have finished` };
+    const next = BATCH_DIFFICULTIES[target];
+    return { score: 0.1, note: `${difficulty} level, which may be too advanced until you finish ${/^[aeiou]/.test(next) ? 'an' : 'a'} ${next} batch` };
+}
+
+function describeRecommendation(profile, matched, prerequisites, difficulty) {
+    const parts = [];
+    if (matched.length > 0) parts.push(`Matches your interest in ${matched.join(', ')}`);
+    else if (profile.interests.length > 0) parts.push('A new topic for you');
+
+    if (prerequisites.required.length === 0) parts.push('No prerequisites');
+    else if (prerequisites.met.length === prerequisites.required.length) {
+        parts.push(`You have finished the prerequisites (${prerequisites.met.join(', ')})`);
+    } else {
+        const status = [];
+        if (prerequisites.met.length > 0) status.push(`${prerequisites.met.join(', ')} finished`);
+        if (prerequisites.inProgress.length > 0) status.push(`${prerequisites.inProgress.join(', ')} in progress`);
+        if (prerequisites.fromReports.length > 0) status.push(`${prerequisites.fromReports.join(', ')} mentioned in your reports`);
+        if (prerequisites.missing.length > 0) status.push(`${prerequisites.missing.join(', ')} missing`);
+        parts.push(`Prerequisites: ${status.join('; ')}`);
+    }
+
+    parts.push(difficulty.note.charAt(0).toUpperCase() + difficulty.note.slice(1));
+    return parts.join('. ') + '.';
+}
+
+// AI: Rank open batches the student has not joined by interest similarity, prerequisite fit and difficulty
+function generateBatchRecommendations(userId, limit, callback) {
+    buildInterestProfile(userId, (err, profile) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT b.*,
+                (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as current_enrollment
+                FROM batches b
+                WHERE (b.status = 'active' OR b.status = 'upcoming') AND b.archived_at IS NULL
+                  AND b.id NOT IN (SELECT batch_id FROM enrollments WHERE user_id = ? AND status IN ('pending', 'approved', 'completed'))
+                  AND b.id NOT IN (SELECT batch_id FROM batch_waitlist WHERE user_id = ?)`,
+            [userId, userId], (err, batches) => {
+                if (err) return callback(err);
+
+                const recommendations = batches
+                    .filter(b => b.current_enrollment < b.max_participants)
+                    .map(b => {
+                        const tags = splitTags(b.tags);
+                        const matched = profile.interests.filter(i => tags.includes(i.tag)).map(i => i.tag);
+                        const similarity = getInterestSimilarity(profile, tags);
+                        const prerequisites = getPrerequisiteFit(profile, splitTags(b.prerequisites));
+                        const difficulty = getDifficultyFit(profile, b.difficulty);
+                        const score = RECOMMENDATION_WEIGHTS.similarity * similarity +
+                            RECOMMENDATION_WEIGHTS.prerequisites * prerequisites.fit +
+                            RECOMMENDATION_WEIGHTS.difficulty * difficulty.score;
+
+                        return {
                             batchId: b.id,
                             batchName: b.name,
-                            reason: 'Based on your learning interests and batch availability',
+                            reason: describeRecommendation(profile, matched, prerequisites, difficulty),
                             availability: b.max_participants - b.current_enrollment,
-                            startDate: b.start_date
-                        }))
-                        .slice(0, 3);
-                    
-                    callback(null, recommendations);
-                }
-            );
-        }
-    );
+                            startDate: b.start_date,
+                            difficulty: b.difficulty,
+                            tags: tags,
+                            score: Math.round(score * 100),
+                            explanation: {
+                                matchedInterests: matched,
+                                similarity: Number(similarity.toFixed(2)),
+                                prerequisites: { ...prerequisites, fit: Number(prerequisites.fit.toFixed(2)) },
+                                difficultyFit: difficulty.score
+                            }
+                        };
+                    })
+                    .sort((a, b) => b.score - a.score || a.startDate.localeCompare(b.startDate))
+                    .slice(0, limit);
+
+                callback(null, recommendations);
+            }
+        );
+    });
 }
 
-// AI: Predict completion rate
+// AI: Predict completion rate. Uses the active trained model (see COMPLETION MODEL) once the
+// student has had a session, and the rule ladder below otherwise.
 function predictCompletionRate(userId, batchId, callback) {
     const query = `
         SELECT 
@@ -325,602 +1603,7551 @@ function predictCompletionRate(userId, batchId, callback) {
     
     db.get(query, [userId, batchId], (err, data) => {
         if (err) return callback(err);
-        
-        // Simple prediction model
-        let completionProbability = 0;
-        
-        if (data.reports_count >= 15 && data.avg_hours >= 6) {
-            completionProbability = 95;
-        } else if (data.reports_count >= 10 && data.avg_hours >= 5) {
-            completionProbability = 80;
-        } else if (data.reports_count >= 5 && data.avg_hours >= 4) {
-            completionProbability = 60;
-        } else if (data.reports_count > 0) {
-            completionProbability = 40;
-        } else {
-            completionProbability = 20;
-        }
-        
-        callback(null, {
-            completionProbability: completionProbability,
-            reportsSubmitted: data.reports_count,
-            averageHours: data.avg_hours ? data.avg_hours.toFixed(2) : 0,
-            prediction: completionProbability >= 70 ? 'High likelihood of completion' : 
-                       completionProbability >= 50 ? 'Moderate likelihood of completion' : 
-                       'Needs more engagement'
+
+        countExpectedSessions(userId, batchId, (err, sessions) => {
+            if (err) return callback(err);
+
+            getActiveCompletionModel((err, model) => {
+                if (err) return callback(err);
+
+                const respond = (completionProbability, modelInfo, explanation) => callback(null, {
+                    completionProbability: completionProbability,
+                    reportsSubmitted: data.reports_count,
+                    expectedReportsToDate: sessions.toDate,
+                    expectedReportsTotal: sessions.total,
+                    averageHours: data.avg_hours ? data.avg_hours.toFixed(2) : 0,
+                    prediction: completionProbability >= 70 ? 'High likelihood of completion' : 
+                               completionProbability >= 50 ? 'Moderate likelihood of completion' : 
+                               'Needs more engagement',
+                    model: modelInfo,
+                    explanation: explanation
+                });
+                const ruleBased = () => respond(getRuleBasedCompletion(data, sessions), null, []);
+
+                if (!model) return ruleBased();
+                db.get('SELECT date(enrolled_at) as enrolled_on FROM enrollments WHERE user_id = ? AND batch_id = ?',
+                    [userId, batchId], (err, enrollment) => {
+                        if (err) return callback(err);
+
+                        const target = { user_id: userId, batch_id: Number(batchId), enrolled_on: enrollment ? enrollment.enrolled_on : null };
+                        loadCompletionData([target], (err, enrollments) => {
+                            if (err) return callback(err);
+
+                            const features = enrollments.length > 0
+                                ? extractCompletionFeatures(enrollments[0], toDateString(new Date()))
+                                : null;
+                            if (!features) return ruleBased();
+
+                            respond(
+                                Math.round(scoreCompletion(model, features) * 100),
+                                { version: model.version, algorithm: model.algorithm, trainedAt: model.trainedAt },
+                                explainCompletionPrediction(model, features)
+                            );
+                        });
+                    }
+                );
+            });
         });
     });
 }
 
-// ============ AI API ROUTES ============
+// Simple prediction model based on the share of sessions reported so far
+function getRuleBasedCompletion(data, sessions) {
+    const reportRate = sessions.toDate > 0 ? data.reports_count / sessions.toDate : 0;
 
-// Get AI-powered student analysis
-app.get('/api/ai/student-analysis', authenticateToken, (req, res) => {
-    analyzeStudentProgress(req.user.id, (err, analysis) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to analyze progress' });
-        }
-        res.json(analysis);
-    });
-});
+    if (reportRate >= 0.9 && data.avg_hours >= 6) return 95;
+    if (reportRate >= 0.7 && data.avg_hours >= 5) return 80;
+    if (reportRate >= 0.4 && data.avg_hours >= 4) return 60;
+    if (data.reports_count > 0) return 40;
+    return 20;
+}
 
-// Get AI batch recommendations
-app.get('/api/ai/batch-recommendations', authenticateToken, (req, res) => {
-    generateBatchRecommendations(req.user.id, (err, recommendations) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to generate recommendations' });
+// Engagement, attendance and open at-risk alerts of every student in a batch
+function computeClassInsights(batchId, callback) {
+    const query = `
+        SELECT 
+            u.id, u.full_name,
+            COUNT(r.id) as total_reports,
+            AVG(r.hours_worked) as avg_hours,
+            MAX(r.report_date) as last_report
+        FROM users u
+        INNER JOIN enrollments e ON u.id = e.user_id
+        LEFT JOIN daily_reports r ON u.id = r.user_id AND r.batch_id = e.batch_id
+        WHERE e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}
+        GROUP BY u.id
+    `;
+    
+    db.all(query, [batchId], (err, students) => {
+        if (err) return callback(err);
+
+        getAttendanceSummary(batchId, (err, attendance) => {
+            if (err) return callback(err);
+
+            db.all(`SELECT id, user_id, rule_type, severity, message FROM student_alerts
+                    WHERE batch_id = ? AND status != 'resolved'`,
+                [batchId], (err, alerts) => {
+                    if (err) return callback(err);
+
+                    const insights = students.map(student => {
+                        const studentAttendance = attendance.students[student.id];
+                        const studentAlerts = alerts
+                            .filter(a => a.user_id === student.id)
+                            .map(a => ({ alertId: a.id, rule: a.rule_type, severity: a.severity, message: a.message }));
+
+                        return {
+                            studentId: student.id,
+                            studentName: student.full_name,
+                            totalReports: student.total_reports,
+                            averageHours: student.avg_hours ? student.avg_hours.toFixed(2) : 0,
+                            lastReportDate: student.last_report,
+                            attendanceRate: studentAttendance ? studentAttendance.attendanceRate : null,
+                            engagementLevel: student.total_reports >= 15 ? 'High' : 
+                                           student.total_reports >= 10 ? 'Medium' : 'Low',
+                            needsAttention: studentAlerts.length > 0,
+                            alerts: studentAlerts
+                        };
+                    });
+
+                    const rates = insights.map(s => s.attendanceRate).filter(rate => rate !== null);
+
+                    callback(null, {
+                        batchId: batchId,
+                        totalStudents: insights.length,
+                        highEngagement: insights.filter(s => s.engagementLevel === 'High').length,
+                        needsAttention: insights.filter(s => s.needsAttention).length,
+                        sessionsMarked: attendance.sessionsMarked,
+                        averageAttendance: rates.length > 0
+                            ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length)
+                            : null,
+                        students: insights
+                    });
+                }
+            );
+        });
+    });
+}
+
+const BLOCKER_SIMILARITY_THRESHOLD = 0.2;
+const BLOCKER_WINDOW_DAYS = 30;
+const MIN_BLOCKER_REPORTS = 2;
+const MAX_BLOCKERS = 20;
+// Latest challenges across all batches, used as the background for IDF
+const BLOCKER_CORPUS_SIZE = 5000;
+
+// AI: Group a batch's reported challenges into blockers. Similar challenges (cosine similarity of
+// their TF-IDF phrase vectors) form one cluster, which is named after its most distinctive phrases
+// and ranked by how many students ran into it.
+function findTopBlockers(batchId, options, callback) {
+    db.all(`SELECT r.id, r.user_id, r.report_date, r.challenges, u.full_name as student_name
+            FROM daily_reports r
+            INNER JOIN users u ON r.user_id = u.id
+            WHERE r.batch_id = ? AND r.report_date >= ? AND r.report_date <= ?
+              AND r.challenges IS NOT NULL AND TRIM(r.challenges) != ''
+            ORDER BY r.report_date, r.id`,
+        [batchId, options.from, options.to], (err, reports) => {
+            if (err) return callback(err);
+
+            db.all(`SELECT challenges FROM daily_reports WHERE challenges IS NOT NULL AND TRIM(challenges) != ''
+                    ORDER BY id DESC LIMIT ?`,
+                [BLOCKER_CORPUS_SIZE], (err, corpusReports) => {
+                    if (err) return callback(err);
+
+                    const corpus = buildPhraseCorpus(corpusReports.map(r => r.challenges));
+                    const analyzed = reports
+                        .map(report => ({ report: report, phrases: extractPhrases(report.challenges) }))
+                        .filter(entry => entry.phrases.size > 0);
+                    const clusters = clusterVectors(analyzed.map(entry => getPhraseVector(entry.phrases, corpus)), BLOCKER_SIMILARITY_THRESHOLD);
+                    const studentsReporting = new Set(analyzed.map(entry => entry.report.user_id)).size;
+
+                    const blockers = clusters
+                        .filter(cluster => cluster.members.length >= MIN_BLOCKER_REPORTS)
+                        .map(cluster => {
+                            const members = cluster.members.map(index => analyzed[index]);
+                            // Longer phrases say more about the blocker ("react hooks" over "react")
+                            const phrases = rankPhrases(members.map(m => m.phrases), (key, count) =>
+                                count * inverseDocumentFrequency(corpus, key) * (1 + 0.5 * (key.split(' ').length - 1)));
+                            const students = new Map(members.map(m => [m.report.user_id, m.report.student_name]));
+
+                            return {
+                                label: phrases[0].phrase,
+                                phrases: phrases.slice(0, 5).map(p => p.phrase),
+                                studentCount: students.size,
+                                studentShare: Math.round((students.size / studentsReporting) * 100),
+                                reportCount: members.length,
+                                firstReported: members[0].report.report_date,
+                                lastReported: members[members.length - 1].report.report_date,
+                                students: [...students].map(([id, name]) => ({ id: id, name: name })),
+                                examples: members.slice(-3).reverse().map(m => ({
+                                    reportId: m.report.id,
+                                    studentName: m.report.student_name,
+                                    reportDate: m.report.report_date,
+                                    challenges: m.report.challenges.length > 200 ? m.report.challenges.slice(0, 197) + '...' : m.report.challenges
+                                }))
+                            };
+                        })
+                        .sort((a, b) => b.studentCount - a.studentCount || b.reportCount - a.reportCount ||
+                            b.lastReported.localeCompare(a.lastReported))
+                        .slice(0, options.limit);
+
+                    callback(null, {
+                        batchId: Number(batchId),
+                        from: options.from,
+                        to: options.to,
+                        reportsAnalyzed: analyzed.length,
+                        studentsReporting: studentsReporting,
+                        blockers: blockers
+                    });
+                }
+            );
+        }
+    );
+}
+
+// ============ AI API ROUTES ============
+
+// Get AI-powered student analysis
+app.get('/api/ai/student-analysis', authenticateToken, (req, res) => {
+    analyzeStudentProgress(req.user.id, (err, analysis) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to analyze progress' });
+        }
+        res.json(analysis);
+    });
+});
+
+// Get AI batch recommendations
+app.get('/api/ai/batch-recommendations', authenticateToken, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 3, MAX_RECOMMENDATIONS);
+    generateBatchRecommendations(req.user.id, Math.max(limit, 1), (err, recommendations) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to generate recommendations' });
+        }
+        res.json(recommendations);
+    });
+});
+
+// Get the current user's interest profile used for recommendations
+app.get('/api/ai/interest-profile', authenticateToken, (req, res) => {
+    buildInterestProfile(req.user.id, (err, profile) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to build interest profile' });
+        }
+        res.json(profile);
+    });
+});
+
+// Get AI completion prediction
+app.get('/api/ai/completion-prediction/:batchId', authenticateToken, (req, res) => {
+    const batchId = req.params.batchId;
+    
+    predictCompletionRate(req.user.id, batchId, (err, prediction) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to predict completion' });
+        }
+        res.json(prediction);
+    });
+});
+
+// Get AI insights for all students (batch staff and admins)
+app.get('/api/ai/class-insights/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    computeClassInsights(req.params.batchId, (err, insights) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to get class insights' });
+        }
+        res.json(insights);
+    });
+});
+
+// Get the blockers most students in a batch report (?from=, ?to=, default the last 30 days; ?limit=)
+app.get('/api/ai/top-blockers/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates' });
+    }
+
+    findTopBlockers(req.batch.id, {
+        from: from || toDateString(new Date(Date.now() - BLOCKER_WINDOW_DAYS * DAY_MS)),
+        to: to || toDateString(new Date()),
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), MAX_BLOCKERS)
+    }, (err, result) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to analyze challenges' });
+        }
+        res.json(result);
+    });
+});
+
+// ============ AI INSIGHT SNAPSHOTS ============
+
+const INSIGHT_SNAPSHOT_INTERVAL_MS = parseInt(process.env.INSIGHT_SNAPSHOT_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const INSIGHT_HISTORY_PERIODS = ['day', 'week'];
+const MAX_INSIGHT_HISTORY_POINTS = 104;
+
+// Fields of each snapshot type that the history endpoints return
+const INSIGHT_HISTORY_FIELDS = {
+    student_analysis: ['performanceLevel', 'consistency', 'averageHours', 'totalReports', 'averageQuizScore'],
+    completion_prediction: ['completionProbability', 'prediction', 'reportsSubmitted', 'expectedReportsToDate'],
+    class_insights: ['totalStudents', 'highEngagement', 'needsAttention', 'averageAttendance', 'sessionsMarked']
+};
+
+function saveInsight(userId, batchId, type, data, callback) {
+    db.run('INSERT INTO ai_insights (user_id, batch_id, insight_type, insight_data) VALUES (?, ?, ?, ?)',
+        [userId, batchId, type, JSON.stringify(data)], callback);
+}
+
+// Snapshot every student analysis, completion prediction and class insight of running batches.
+// Keeps one snapshot per student, enrollment and batch per day, so reruns only fill in what is missing.
+// Class snapshots are filed under the batch's instructor, so batches without one are skipped.
+function snapshotInsights(callback) {
+    const done = callback || (() => {});
+
+    db.all(`SELECT e.user_id, e.batch_id, b.instructor_id
+            FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE e.status = 'approved' AND b.status = 'active' AND b.archived_at IS NULL`,
+        [], (err, enrollments) => {
+            if (err) {
+                console.error('Failed to snapshot AI insights:', err.message);
+                return done(err);
+            }
+
+            db.all(`SELECT user_id, batch_id, insight_type FROM ai_insights WHERE date(created_at) = date('now')`,
+                [], (err, existing) => {
+                    if (err) {
+                        console.error('Failed to snapshot AI insights:', err.message);
+                        return done(err);
+                    }
+
+                    const taken = new Set(existing.map(i => `${i.insight_type}:${i.user_id}:${i.batch_id || ''}`));
+                    const tasks = [];
+                    const addTask = (type, userId, batchId, compute) => {
+                        const key = `${type}:${userId}:${batchId || ''}`;
+                        if (taken.has(key)) return;
+                        taken.add(key);
+                        tasks.push({ type, userId, batchId, compute });
+                    };
+
+                    enrollments.forEach(e => {
+                        addTask('student_analysis', e.user_id, null, cb => analyzeStudentProgress(e.user_id, cb));
+                        addTask('completion_prediction', e.user_id, e.batch_id, cb => predictCompletionRate(e.user_id, e.batch_id, cb));
+                        if (e.instructor_id) {
+                            addTask('class_insights', e.instructor_id, e.batch_id, cb => computeClassInsights(e.batch_id, cb));
+                        }
+                    });
+
+                    // One at a time, so a large portal does not flood the database
+                    let saved = 0;
+                    const runNext = (index) => {
+                        if (index >= tasks.length) {
+                            if (saved > 0) console.log(`Saved ${saved} AI insight snapshots`);
+                            return done(null, saved);
+                        }
+                        const task = tasks[index];
+                        task.compute((err, data) => {
+                            if (err) {
+                                console.error(`Failed to compute ${task.type} for user ${task.userId}:`, err.message);
+                                return runNext(index + 1);
+                            }
+                            saveInsight(task.userId, task.batchId, task.type, data, (err) => {
+                                if (err) console.error(`Failed to save ${task.type} snapshot:`, err.message);
+                                else saved++;
+                                runNext(index + 1);
+                            });
+                        });
+                    };
+                    runNext(0);
+                }
+            );
+        }
+    );
+}
+
+function startInsightSnapshotScheduler() {
+    snapshotInsights();
+    setInterval(snapshotInsights, INSIGHT_SNAPSHOT_INTERVAL_MS).unref();
+}
+
+// Monday of the date's week, or the date itself for daily history
+function getHistoryPeriodKey(date, period) {
+    if (period === 'day') return date;
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+    return toDateString(day);
+}
+
+// ?period=day|week (default week), ?from=, ?to=, ?limit=
+function parseHistoryQuery(query) {
+    const period = query.period || 'week';
+    if (!INSIGHT_HISTORY_PERIODS.includes(period)) {
+        return { error: `period must be one of: ${INSIGHT_HISTORY_PERIODS.join(', ')}` };
+    }
+    if ((query.from && !isValidDateString(query.from)) || (query.to && !isValidDateString(query.to))) {
+        return { error: 'from and to must be valid YYYY-MM-DD dates' };
+    }
+
+    const conditions = [];
+    const params = [];
+    if (query.from) {
+        conditions.push('i.created_at >= ?');
+        params.push(query.from);
+    }
+    if (query.to) {
+        conditions.push("i.created_at < date(?, '+1 day')");
+        params.push(query.to);
+    }
+    return {
+        period: period,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 12, 1), MAX_INSIGHT_HISTORY_POINTS),
+        where: conditions.map(c => ` AND ${c}`).join(''),
+        params: params
+    };
+}
+
+function getHistoryChange(field, value, previous) {
+    if (field === 'performanceLevel') {
+        const from = PERFORMANCE_LEVELS.indexOf(previous);
+        const to = PERFORMANCE_LEVELS.indexOf(value);
+        return from === -1 || to === -1 ? null : to - from;
+    }
+    if (value === null || previous === null || value === undefined || previous === undefined) return null;
+    if (isNaN(Number(value)) || isNaN(Number(previous))) return null;
+    return Math.round((Number(value) - Number(previous)) * 100) / 100;
+}
+
+// Latest snapshot per period (oldest first) with the change of each field since the previous period.
+// performanceLevel changes are in levels, e.g. 1 for "Good" -> "Very Good".
+function buildInsightHistory(rows, history) {
+    const latest = new Map();
+    rows.forEach(row => latest.set(getHistoryPeriodKey(row.created_at.slice(0, 10), history.period), row));
+
+    const fields = rows.length > 0 ? INSIGHT_HISTORY_FIELDS[rows[0].insight_type] : [];
+    const points = [...latest.entries()].map(([period, row]) => {
+        const data = JSON.parse(row.insight_data);
+        const point = { period: period, recordedAt: row.created_at };
+        fields.forEach(field => {
+            point[field] = data[field] === undefined ? null : data[field];
+        });
+        return point;
+    });
+
+    points.forEach((point, index) => {
+        const previous = points[index - 1];
+        point.change = {};
+        fields.forEach(field => {
+            point.change[field] = previous ? getHistoryChange(field, point[field], previous[field]) : null;
+        });
+    });
+
+    return points.slice(-history.limit);
+}
+
+// A student's analysis and per-batch completion history; batchScope limits the batches (teachers)
+function loadStudentHistory(userId, history, batchScope, callback) {
+    let query = `SELECT i.*, b.name as batch_name
+                 FROM ai_insights i
+                 LEFT JOIN batches b ON i.batch_id = b.id
+                 WHERE i.user_id = ? AND i.insight_type IN ('student_analysis', 'completion_prediction')${history.where}`;
+    const params = [userId, ...history.params];
+    if (batchScope) {
+        query += ` AND i.batch_id IN (${batchScope.query})`;
+        params.push(...batchScope.params);
+    }
+    query += ' ORDER BY i.created_at ASC, i.id ASC';
+
+    db.all(query, params, (err, rows) => {
+        if (err) return callback(err);
+
+        const byBatch = new Map();
+        rows.filter(r => r.insight_type === 'completion_prediction').forEach(row => {
+            if (!byBatch.has(row.batch_id)) byBatch.set(row.batch_id, { batchId: row.batch_id, batchName: row.batch_name, rows: [] });
+            byBatch.get(row.batch_id).rows.push(row);
+        });
+
+        callback(null, {
+            userId: Number(userId),
+            period: history.period,
+            studentAnalysis: buildInsightHistory(rows.filter(r => r.insight_type === 'student_analysis'), history),
+            completionPredictions: [...byBatch.values()].map(b => ({
+                batchId: b.batchId,
+                batchName: b.batchName,
+                history: buildInsightHistory(b.rows, history)
+            }))
+        });
+    });
+}
+
+// The current user's performance level and completion probability over time
+app.get('/api/ai/history', authenticateToken, (req, res) => {
+    const history = parseHistoryQuery(req.query);
+    if (history.error) {
+        return res.status(400).json({ error: history.error });
+    }
+
+    loadStudentHistory(req.user.id, history, null, (err, result) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch insight history' });
+        }
+        res.json(result);
+    });
+});
+
+// A student's history (teachers see it for students in batches they staff, limited to those batches'
+// completion predictions; the batch-independent analysis history stays with the student and admins)
+app.get('/api/ai/history/students/:userId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const history = parseHistoryQuery(req.query);
+    if (history.error) {
+        return res.status(400).json({ error: history.error });
+    }
+
+    const batchScope = req.user.role === 'admin' ? null : { query: STAFFED_BATCH_IDS, params: [req.user.id, req.user.id] };
+    const checkAccess = (next) => {
+        if (!batchScope) return next();
+        db.get(`SELECT 1 FROM enrollments WHERE user_id = ? AND batch_id IN (${STAFFED_BATCH_IDS})`,
+            [req.params.userId, ...batchScope.params], (err, shared) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch insight history' });
+                }
+                if (!shared) {
+                    return res.status(404).json({ error: 'Student not found in your batches' });
+                }
+                next();
+            }
+        );
+    };
+
+    checkAccess(() => {
+        loadStudentHistory(req.params.userId, history, batchScope, (err, result) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch insight history' });
+            }
+            res.json(result);
+        });
+    });
+});
+
+// Class insight totals over time
+app.get('/api/ai/history/class/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    const history = parseHistoryQuery(req.query);
+    if (history.error) {
+        return res.status(400).json({ error: history.error });
+    }
+
+    db.all(`SELECT i.* FROM ai_insights i
+            WHERE i.batch_id = ? AND i.insight_type = 'class_insights'${history.where}
+            ORDER BY i.created_at ASC, i.id ASC`,
+        [req.batch.id, ...history.params], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch insight history' });
+            }
+            res.json({
+                batchId: req.batch.id,
+                batchName: req.batch.name,
+                period: history.period,
+                history: buildInsightHistory(rows, history)
+            });
+        }
+    );
+});
+
+// Take today's snapshots now instead of waiting for the scheduler
+app.post('/api/admin/ai/snapshots', authenticateToken, authorizeRole('admin'), (req, res) => {
+    snapshotInsights((err, saved) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to snapshot AI insights' });
+        }
+        res.json({ message: `Saved ${saved} snapshots`, saved: saved });
+    });
+});
+
+// ============ COMPLETION MODEL ============
+
+// Logistic regression fitted in plain JS on finished batches. A student counts as having
+// completed a batch when they received its certificate; dropping out or missing the criteria counts as not.
+const COMPLETION_FEATURES = [
+    { name: 'progress', label: 'Share of the batch already held' },
+    { name: 'reportRate', label: 'Sessions with a daily report' },
+    { name: 'recentReportRate', label: 'Reports in the last 5 sessions' },
+    { name: 'averageHours', label: 'Average hours per report' },
+    { name: 'hourTrend', label: 'Change in hours per report over the last 10 reports' },
+    { name: 'longestGap', label: 'Longest run of sessions without a report' },
+    { name: 'sessionsSinceLastReport', label: 'Sessions since the last report' },
+    { name: 'attendanceRate', label: 'Attendance rate' },
+    { name: 'batchLength', label: 'Sessions in the batch' }
+];
+// Points in a finished batch (share of the student's sessions) at which training samples are taken
+const COMPLETION_TRAINING_CHECKPOINTS = [0.25, 0.5, 0.75];
+// The most recently finished batches are held out to measure the model
+const COMPLETION_HOLDOUT_SHARE = 0.2;
+const MIN_COMPLETION_TRAINING_SAMPLES = 20;
+const COMPLETION_TRAINING = { iterations: 1000, learningRate: 0.5, l2: 0.01 };
+const RECENT_SESSIONS = 5;
+const HOUR_TREND_REPORTS = 10;
+
+// Least-squares slope of the values against their position
+function calculateSlope(values) {
+    if (values.length < 3) return 0;
+    const meanX = (values.length - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / values.length;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((v, x) => {
+        numerator += (x - meanX) * (v - meanY);
+        denominator += (x - meanX) * (x - meanX);
+    });
+    return numerator / denominator;
+}
+
+// Reports, attendance and calendar for each { user_id, batch_id, enrolled_on } enrollment
+function loadCompletionData(enrollments, callback) {
+    if (enrollments.length === 0) return callback(null, []);
+
+    const batchIds = [...new Set(enrollments.map(e => e.batch_id))];
+    const placeholders = batchIds.map(() => '?').join(', ');
+    loadBatchCalendars(batchIds, (err, batches) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT user_id, batch_id, report_date, hours_worked, challenges FROM daily_reports
+                WHERE batch_id IN (${placeholders}) ORDER BY report_date`,
+            batchIds, (err, reports) => {
+                if (err) return callback(err);
+
+                db.all(`SELECT user_id, batch_id, session_date, status FROM attendance WHERE batch_id IN (${placeholders})`,
+                    batchIds, (err, attendance) => {
+                        if (err) return callback(err);
+
+                        const byEnrollment = (rows) => rows.reduce((groups, row) => {
+                            const key = `${row.user_id}:${row.batch_id}`;
+                            (groups[key] = groups[key] || []).push(row);
+                            return groups;
+                        }, {});
+                        const reportsByKey = byEnrollment(reports);
+                        const attendanceByKey = byEnrollment(attendance);
+
+                        callback(null, enrollments
+                            .map(enrollment => {
+                                const key = `${enrollment.user_id}:${enrollment.batch_id}`;
+                                const batch = batches.find(b => b.id === enrollment.batch_id);
+                                if (!batch) return null;
+                                const studentReports = reportsByKey[key] || [];
+                                // Reports can predate the enrollment row (e.g. imported students)
+                                const joined = [enrollment.enrolled_on, studentReports.length > 0 ? studentReports[0].report_date : null]
+                                    .filter(Boolean).sort()[0];
+                                return {
+                                    enrollment: enrollment,
+                                    batch: batch,
+                                    reports: studentReports,
+                                    attendance: attendanceByKey[key] || [],
+                                    startedOn: joined && joined > batch.start_date ? joined : batch.start_date
+                                };
+                            })
+                            .filter(Boolean));
+                    }
+                );
+            }
+        );
+    });
+}
+
+// The student's sessions in the batch, from the day they joined
+function getStudentSessions(data) {
+    return getBatchSessionDates(data.batch, data.batch.holidays.map(h => h.holiday_date))
+        .filter(date => date >= data.startedOn);
+}
+
+// Features of one enrollment as of a date; null before the student's first session
+function extractCompletionFeatures(data, asOf) {
+    const sessions = getStudentSessions(data);
+    const held = sessions.filter(date => date <= asOf);
+    if (held.length === 0) return null;
+
+    const reports = data.reports.filter(r => r.report_date >= data.startedOn && r.report_date <= asOf);
+    const reportedDates = new Set(reports.map(r => r.report_date));
+    const recent = held.slice(-RECENT_SESSIONS);
+    const hours = reports.map(r => Number(r.hours_worked) || 0);
+
+    // After the loop `gap` is the current run of sessions without a report
+    let longestGap = 0;
+    let gap = 0;
+    held.forEach(date => {
+        gap = reportedDates.has(date) ? 0 : gap + 1;
+        longestGap = Math.max(longestGap, gap);
+    });
+
+    // Excused sessions are left out; without any marked session the report rate stands in
+    const marked = data.attendance.filter(a => a.session_date <= asOf && a.status !== 'excused');
+    const attended = marked.filter(a => a.status === 'present' || a.status === 'late').length;
+    const reportRate = Math.min(reports.length / held.length, 1);
+
+    return {
+        progress: held.length / sessions.length,
+        reportRate: reportRate,
+        recentReportRate: recent.filter(date => reportedDates.has(date)).length / recent.length,
+        averageHours: hours.length > 0 ? hours.reduce((sum, h) => sum + h, 0) / hours.length : 0,
+        hourTrend: calculateSlope(hours.slice(-HOUR_TREND_REPORTS)),
+        longestGap: longestGap / held.length,
+        sessionsSinceLastReport: gap,
+        attendanceRate: marked.length > 0 ? attended / marked.length : reportRate,
+        batchLength: sessions.length
+    };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+// Feature values in the model's order, scaled with its training means and standard deviations
+function standardizeFeatures(model, features) {
+    return model.features.map((name, i) => ((features[name] || 0) - model.means[i]) / model.stds[i]);
+}
+
+function scoreCompletion(model, features) {
+    const x = standardizeFeatures(model, features);
+    return sigmoid(x.reduce((z, value, i) => z + value * model.weights[i], model.intercept));
+}
+
+// Each feature's push on the log-odds relative to an average student, largest first
+function explainCompletionPrediction(model, features) {
+    const x = standardizeFeatures(model, features);
+    return model.features
+        .map((name, i) => {
+            const definition = COMPLETION_FEATURES.find(f => f.name === name);
+            const contribution = model.weights[i] * x[i];
+            return {
+                feature: name,
+                label: definition ? definition.label : name,
+                value: Math.round((features[name] || 0) * 1000) / 1000,
+                contribution: Math.round(contribution * 1000) / 1000,
+                effect: contribution >= 0 ? 'raises' : 'lowers'
+            };
+        })
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+// Batch gradient descent with L2 regularization on standardized features
+function fitLogisticRegression(samples, featureNames) {
+    const k = featureNames.length;
+    const n = samples.length;
+    const means = featureNames.map((_, i) => samples.reduce((sum, s) => sum + s.x[i], 0) / n);
+    const stds = featureNames.map((_, i) => {
+        const variance = samples.reduce((sum, s) => sum + (s.x[i] - means[i]) ** 2, 0) / n;
+        return Math.sqrt(variance) || 1;
+    });
+    const xs = samples.map(s => s.x.map((v, i) => (v - means[i]) / stds[i]));
+
+    const { iterations, learningRate, l2 } = COMPLETION_TRAINING;
+    let weights = new Array(k).fill(0);
+    let intercept = 0;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const gradient = new Array(k).fill(0);
+        let interceptGradient = 0;
+        xs.forEach((x, j) => {
+            const error = sigmoid(x.reduce((z, v, i) => z + v * weights[i], intercept)) - samples[j].y;
+            interceptGradient += error;
+            x.forEach((v, i) => {
+                gradient[i] += error * v;
+            });
+        });
+        weights = weights.map((w, i) => w - learningRate * (gradient[i] / n + l2 * w));
+        intercept -= learningRate * interceptGradient / n;
+    }
+
+    return { features: featureNames, means, stds, weights, intercept };
+}
+
+// Area under the ROC curve from rank sums (ties share their average rank)
+function calculateAuc(scored) {
+    const positives = scored.filter(s => s.y === 1).length;
+    const negatives = scored.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    const sorted = [...scored].sort((a, b) => a.p - b.p);
+    let rankSum = 0;
+    for (let i = 0; i < sorted.length;) {
+        let j = i;
+        while (j + 1 < sorted.length && sorted[j + 1].p === sorted[i].p) j++;
+        const averageRank = (i + j) / 2 + 1;
+        for (let t = i; t <= j; t++) {
+            if (sorted[t].y === 1) rankSum += averageRank;
+        }
+        i = j + 1;
+    }
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+// Accuracy, precision and recall at 50%, plus log loss, Brier score and AUC
+function evaluateCompletionModel(model, samples) {
+    if (samples.length === 0) return null;
+
+    const round = (value) => value === null ? null : Math.round(value * 10000) / 10000;
+    const scored = samples.map(s => ({
+        p: sigmoid(s.x.reduce((z, v, i) => z + (v - model.means[i]) / model.stds[i] * model.weights[i], model.intercept)),
+        y: s.y
+    }));
+    const predicted = scored.filter(s => s.p >= 0.5);
+    const truePositives = predicted.filter(s => s.y === 1).length;
+    const positives = scored.filter(s => s.y === 1).length;
+    const correct = scored.filter(s => (s.p >= 0.5 ? 1 : 0) === s.y).length;
+    const epsilon = 1e-15;
+
+    return {
+        samples: scored.length,
+        positives: positives,
+        accuracy: round(correct / scored.length),
+        precision: round(predicted.length > 0 ? truePositives / predicted.length : null),
+        recall: round(positives > 0 ? truePositives / positives : null),
+        logLoss: round(-scored.reduce((sum, s) => {
+            const p = Math.min(Math.max(s.p, epsilon), 1 - epsilon);
+            return sum + (s.y === 1 ? Math.log(p) : Math.log(1 - p));
+        }, 0) / scored.length),
+        brierScore: round(scored.reduce((sum, s) => sum + (s.p - s.y) ** 2, 0) / scored.length),
+        auc: round(calculateAuc(scored))
+    };
+}
+
+// Training samples of every finished or dropped enrollment in completed batches.
+// Dropped students only contribute checkpoints from before they left.
+function buildCompletionSamples(callback) {
+    db.all(`SELECT e.user_id, e.batch_id, e.status, date(e.enrolled_at) as enrolled_on,
+                   date(e.status_changed_at) as left_on, b.end_date,
+                   EXISTS (SELECT 1 FROM certificates c WHERE c.batch_id = e.batch_id AND c.user_id = e.user_id) as certified
+            FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE b.status = 'completed' AND e.status IN ('completed', 'dropped')`,
+        [], (err, enrollments) => {
+            if (err) return callback(err);
+
+            loadCompletionData(enrollments, (err, history) => {
+                if (err) return callback(err);
+
+                const samples = [];
+                history.forEach(data => {
+                    const sessions = getStudentSessions(data);
+                    COMPLETION_TRAINING_CHECKPOINTS.forEach(share => {
+                        const asOf = sessions[Math.ceil(share * sessions.length) - 1];
+                        if (!asOf) return;
+                        if (data.enrollment.status === 'dropped' && data.enrollment.left_on && asOf >= data.enrollment.left_on) return;
+
+                        const features = extractCompletionFeatures(data, asOf);
+                        if (!features) return;
+                        samples.push({
+                            batchId: data.batch.id,
+                            endDate: getBatchEndDate(data.batch),
+                            x: COMPLETION_FEATURES.map(f => features[f.name]),
+                            y: data.enrollment.certified ? 1 : 0
+                        });
+                    });
+                });
+                callback(null, samples);
+            });
+        }
+    );
+}
+
+// Fit a new model version. Returns { error } when there is not enough history yet.
+function trainCompletionModel(trainedBy, activate, callback) {
+    buildCompletionSamples((err, samples) => {
+        if (err) return callback(err);
+
+        const classes = new Set(samples.map(s => s.y));
+        if (samples.length < MIN_COMPLETION_TRAINING_SAMPLES || classes.size < 2) {
+            return callback(null, {
+                error: `Not enough history to train: need ${MIN_COMPLETION_TRAINING_SAMPLES} samples from completed batches ` +
+                    `with students who did and did not complete (have ${samples.length})`
+            });
+        }
+
+        // Hold out the latest batches, so the metrics show how the model does on batches it has not seen
+        const batchOrder = [...new Map(samples.map(s => [s.batchId, s.endDate])).entries()]
+            .sort((a, b) => String(a[1]).localeCompare(String(b[1])) || a[0] - b[0])
+            .map(([batchId]) => batchId);
+        const holdoutCount = batchOrder.length >= 3 ? Math.max(1, Math.round(batchOrder.length * COMPLETION_HOLDOUT_SHARE)) : 0;
+        const holdoutIds = new Set(batchOrder.slice(batchOrder.length - holdoutCount));
+        const training = samples.filter(s => !holdoutIds.has(s.batchId));
+        const holdout = samples.filter(s => holdoutIds.has(s.batchId));
+
+        const model = fitLogisticRegression(training, COMPLETION_FEATURES.map(f => f.name));
+        const metrics = {
+            training: evaluateCompletionModel(model, training),
+            holdout: evaluateCompletionModel(model, holdout)
+        };
+
+        db.get('SELECT COALESCE(MAX(version), 0) + 1 as version FROM completion_models', [], (err, row) => {
+            if (err) return callback(err);
+
+            db.run(`INSERT INTO completion_models (version, algorithm, features, parameters, metrics, training_batches,
+                                                   holdout_batches, samples, trained_by)
+                    VALUES (?, 'logistic_regression', ?, ?, ?, ?, ?, ?, ?)`,
+                [row.version, JSON.stringify(model.features),
+                 JSON.stringify({ means: model.means, stds: model.stds, weights: model.weights, intercept: model.intercept }),
+                 JSON.stringify(metrics), batchOrder.length - holdoutCount, holdoutCount, samples.length, trainedBy],
+                (err) => {
+                    if (err) return callback(err);
+                    if (!activate) return callback(null, { version: row.version, metrics: metrics });
+
+                    activateCompletionModel(row.version, (err) => {
+                        if (err) return callback(err);
+                        callback(null, { version: row.version, metrics: metrics });
+                    });
+                }
+            );
+        });
+    });
+}
+
+function activateCompletionModel(version, callback) {
+    db.serialize(() => {
+        db.run('UPDATE completion_models SET is_active = 0 WHERE is_active = 1');
+        db.run('UPDATE completion_models SET is_active = 1 WHERE version = ?', [version], callback);
+    });
+}
+
+function parseCompletionModel(row) {
+    return {
+        version: row.version,
+        algorithm: row.algorithm,
+        trainedAt: row.trained_at,
+        features: JSON.parse(row.features),
+        ...JSON.parse(row.parameters)
+    };
+}
+
+// Read on every prediction, so a model trained with --retrain-model is picked up by a running server
+function getActiveCompletionModel(callback) {
+    db.get('SELECT * FROM completion_models WHERE is_active = 1', [], (err, row) => {
+        if (err) return callback(err);
+        callback(null, row ? parseCompletionModel(row) : null);
+    });
+}
+
+function formatCompletionModel(row) {
+    return {
+        version: row.version,
+        algorithm: row.algorithm,
+        isActive: Boolean(row.is_active),
+        trainedAt: row.trained_at,
+        trainedBy: row.trained_by_username || null,
+        samples: row.samples,
+        trainingBatches: row.training_batches,
+        holdoutBatches: row.holdout_batches,
+        metrics: JSON.parse(row.metrics)
+    };
+}
+
+function retrainFromCommandLine() {
+    console.log('Training completion model...');
+    trainCompletionModel(null, true, (err, result) => {
+        if (err || result.error) {
+            console.error('Training failed:', err ? err.message : result.error);
+        } else {
+            console.log(`Completion model v${result.version} trained and activated`);
+            console.log(JSON.stringify(result.metrics, null, 2));
+        }
+        db.close(() => process.exit(err || result.error ? 1 : 0));
+    });
+}
+
+// Model versions, newest first
+app.get('/api/admin/completion-models', authenticateToken, authorizeRole('admin'), (req, res) => {
+    db.all(`SELECT m.*, u.username as trained_by_username FROM completion_models m
+            LEFT JOIN users u ON m.trained_by = u.id
+            ORDER BY m.version DESC`,
+        [], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch completion models' });
+            }
+            res.json(rows.map(formatCompletionModel));
+        }
+    );
+});
+
+// One version with its coefficients per feature
+app.get('/api/admin/completion-models/:version', authenticateToken, authorizeRole('admin'), (req, res) => {
+    db.get(`SELECT m.*, u.username as trained_by_username FROM completion_models m
+            LEFT JOIN users u ON m.trained_by = u.id
+            WHERE m.version = ?`,
+        [req.params.version], (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch completion model' });
+            }
+            if (!row) {
+                return res.status(404).json({ error: 'Model version not found' });
+            }
+            const model = parseCompletionModel(row);
+            res.json({
+                ...formatCompletionModel(row),
+                intercept: model.intercept,
+                coefficients: model.features.map((name, i) => ({
+                    feature: name,
+                    weight: model.weights[i],
+                    mean: model.means[i],
+                    std: model.stds[i]
+                }))
+            });
+        }
+    );
+});
+
+// Train a new version on all completed batches; it becomes active unless `activate` is false
+app.post('/api/admin/completion-models/train', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const activate = req.body.activate !== false;
+
+    trainCompletionModel(req.user.id, activate, (err, result) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to train completion model' });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        logAudit(req, req.user, 'model.train', 'completion_model', result.version, { activated: activate });
+        res.status(201).json({
+            message: `Completion model v${result.version} trained${activate ? ' and activated' : ''}`,
+            version: result.version,
+            metrics: result.metrics
+        });
+    });
+});
+
+// Switch predictions to another version, e.g. to roll back
+app.post('/api/admin/completion-models/:version/activate', authenticateToken, authorizeRole('admin'), (req, res) => {
+    db.get('SELECT version FROM completion_models WHERE version = ?', [req.params.version], (err, row) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to activate completion model' });
+        }
+        if (!row) {
+            return res.status(404).json({ error: 'Model version not found' });
+        }
+        activateCompletionModel(row.version, (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to activate completion model' });
+            }
+            logAudit(req, req.user, 'model.activate', 'completion_model', row.version);
+            res.json({ message: `Completion model v${row.version} is now active` });
+        });
+    });
+});
+
+// ============ AT-RISK ALERTS ============
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+// A manually resolved alert is not raised again for the same student and rule for this long
+const ALERT_RESOLVE_COOLDOWN_DAYS = 7;
+
+// Rules every batch starts with; PUT /api/batches/:batchId/alert-rules overrides them per batch
+const ALERT_RULES = {
+    missed_reports: {
+        description: 'No daily report for a number of session days in a row',
+        severity: 'high',
+        params: { sessions: 3 }
+    },
+    hours_drop: {
+        description: "Average hours of the latest reports fell by a percentage against the student's earlier average",
+        severity: 'medium',
+        params: { percent: 40, recentReports: 3, minHistory: 5 }
+    },
+    repeated_challenge: {
+        description: 'The same challenge phrase in several of the latest reports',
+        severity: 'medium',
+        params: { occurrences: 3, withinReports: 10 }
+    },
+    low_attendance: {
+        description: 'Attendance rate below a percentage once enough sessions are marked',
+        severity: 'high',
+        params: { percent: 75, minSessions: 3 }
+    }
+};
+
+function averageOf(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Each check gets the student's data (see loadCompletionData), the rule's params and today's date,
+// and returns { message, details } when the rule matches
+const ALERT_RULE_CHECKS = {
+    // Today is left out: the student may still report for it
+    missed_reports: (data, params, today) => {
+        const held = getStudentSessions(data).filter(date => date < today);
+        const reported = new Set(data.reports.map(r => r.report_date));
+        let missed = 0;
+        while (missed < held.length && !reported.has(held[held.length - 1 - missed])) missed++;
+        if (missed < params.sessions) return null;
+
+        return {
+            message: `No daily report for ${missed} session days in a row`,
+            details: { missedSessions: missed, since: held[held.length - missed] }
+        };
+    },
+
+    hours_drop: (data, params) => {
+        const hours = data.reports.map(r => Number(r.hours_worked) || 0);
+        const recent = hours.slice(-params.recentReports);
+        const earlier = hours.slice(0, -params.recentReports);
+        if (recent.length < params.recentReports || earlier.length < params.minHistory) return null;
+
+        const before = averageOf(earlier);
+        const now = averageOf(recent);
+        if (before <= 0 || now > before * (1 - params.percent / 100)) return null;
+
+        const drop = Math.round((1 - now / before) * 100);
+        return {
+            message: `Hours dropped ${drop}% (${now.toFixed(1)}h in the last ${recent.length} reports vs. ${before.toFixed(1)}h before)`,
+            details: { dropPercent: drop, recentAverage: Number(now.toFixed(2)), earlierAverage: Number(before.toFixed(2)) }
+        };
+    },
+
+    repeated_challenge: (data, params) => {
+        const recent = data.reports.slice(-params.withinReports);
+        const [top] = extractCommonChallenges(recent.filter(report => report.challenges));
+        if (!top || top.frequency < params.occurrences) return null;
+
+        return {
+            message: `"${top.challenge}" came up as a challenge in ${top.frequency} of the last ${recent.length} reports`,
+            details: { phrase: top.challenge, occurrences: top.frequency, reports: recent.length }
+        };
+    },
+
+    // Same rate as getAttendanceSummary: marked sessions count, unmarked students are absent
+    low_attendance: (data, params, today, sessionsMarked) => {
+        const excused = data.attendance.filter(a => a.status === 'excused').length;
+        const attended = data.attendance.filter(a => a.status === 'present' || a.status === 'late').length;
+        const countable = sessionsMarked - excused;
+        if (countable < params.minSessions) return null;
+
+        const rate = Math.round((attended / countable) * 100);
+        if (rate >= params.percent) return null;
+        return {
+            message: `Attendance is ${rate}% (${attended} of ${countable} sessions)`,
+            details: { attendanceRate: rate, attended: attended, sessions: countable }
+        };
+    }
+};
+
+// Effective rules per batch id: defaults with the batch's overrides applied
+function loadAlertRules(batchIds, callback) {
+    if (batchIds.length === 0) return callback(null, {});
+
+    db.all(`SELECT * FROM batch_alert_rules WHERE batch_id IN (${batchIds.map(() => '?').join(', ')})`,
+        batchIds, (err, rows) => {
+            if (err) return callback(err);
+
+            const rules = {};
+            batchIds.forEach(batchId => {
+                rules[batchId] = Object.entries(ALERT_RULES).map(([type, rule]) => {
+                    const override = rows.find(r => r.batch_id === Number(batchId) && r.rule_type === type);
+                    return {
+                        rule: type,
+                        description: rule.description,
+                        enabled: override ? Boolean(override.is_enabled) : true,
+                        severity: override ? override.severity : rule.severity,
+                        params: { ...rule.params, ...(override ? JSON.parse(override.params) : {}) },
+                        customized: Boolean(override)
+                    };
+                });
+            });
+            callback(null, rules);
+        }
+    );
+}
+
+// Run every enabled rule for the approved students of running batches (or only `batchIds`).
+// New matches open an alert, matches with an unresolved alert refresh it, and unresolved
+// alerts whose condition has cleared are resolved automatically.
+function evaluateAlertRules(batchIds, callback) {
+    const done = callback || (() => {});
+    const fail = (err) => {
+        console.error('Failed to evaluate alert rules:', err.message);
+        done(err);
+    };
+
+    let query = `SELECT e.user_id, e.batch_id, date(e.enrolled_at) as enrolled_on
+                 FROM enrollments e
+                 INNER JOIN batches b ON e.batch_id = b.id
+                 WHERE e.status = 'approved' AND b.status = 'active' AND b.archived_at IS NULL`;
+    const params = [];
+    if (batchIds) {
+        query += ` AND e.batch_id IN (${batchIds.map(() => '?').join(', ')})`;
+        params.push(...batchIds);
+    }
+
+    db.all(query, params, (err, enrollments) => {
+        if (err) return fail(err);
+        const activeBatchIds = [...new Set(enrollments.map(e => e.batch_id))];
+        if (activeBatchIds.length === 0) return done(null, { raised: 0, refreshed: 0, cleared: 0 });
+        const placeholders = activeBatchIds.map(() => '?').join(', ');
+
+        loadCompletionData(enrollments, (err, students) => {
+            if (err) return fail(err);
+
+            loadAlertRules(activeBatchIds, (err, rulesByBatch) => {
+                if (err) return fail(err);
+
+                db.all(`SELECT batch_id, COUNT(DISTINCT session_date) as sessions FROM attendance
+                        WHERE batch_id IN (${placeholders}) GROUP BY batch_id`,
+                    activeBatchIds, (err, marked) => {
+                        if (err) return fail(err);
+
+                        db.all(`SELECT * FROM student_alerts WHERE batch_id IN (${placeholders})
+                                AND (status != 'resolved' OR (resolved_by IS NOT NULL AND resolved_at >= datetime('now', ?)))`,
+                            [...activeBatchIds, `-${ALERT_RESOLVE_COOLDOWN_DAYS} days`], (err, alerts) => {
+                                if (err) return fail(err);
+
+                                const today = toDateString(new Date());
+                                const counts = { raised: 0, refreshed: 0, cleared: 0 };
+                                // Only writes that succeed are counted
+                                const write = (outcome, sql, params) => db.run(sql, params, (err) => {
+                                    if (err) return console.error(`Failed to save ${outcome} at-risk alert:`, err.message);
+                                    counts[outcome]++;
+                                });
+
+                                db.serialize(() => {
+                                    students.forEach(data => {
+                                        const { user_id: userId, batch_id: batchId } = data.enrollment;
+                                        const batchMarked = marked.find(m => m.batch_id === batchId);
+
+                                        rulesByBatch[batchId].filter(rule => rule.enabled).forEach(rule => {
+                                            const match = ALERT_RULE_CHECKS[rule.rule](data, rule.params, today, batchMarked ? batchMarked.sessions : 0);
+                                            const related = alerts.filter(a => a.batch_id === batchId && a.user_id === userId && a.rule_type === rule.rule);
+                                            const unresolved = related.find(a => a.status !== 'resolved');
+
+                                            if (unresolved && match) {
+                                                write('refreshed', `UPDATE student_alerts SET message = ?, details = ?, severity = ?, last_detected_at = CURRENT_TIMESTAMP
+                                                        WHERE id = ?`,
+                                                    [match.message, JSON.stringify(match.details), rule.severity, unresolved.id]);
+                                            } else if (unresolved) {
+                                                write('cleared', `UPDATE student_alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP,
+                                                        resolution_note = 'Cleared automatically: the rule no longer matches'
+                                                        WHERE id = ?`, [unresolved.id]);
+                                            } else if (match && related.length === 0) {
+                                                write('raised', `INSERT INTO student_alerts (batch_id, user_id, rule_type, severity, message, details)
+                                                        VALUES (?, ?, ?, ?, ?, ?)`,
+                                                    [batchId, userId, rule.rule, rule.severity, match.message, JSON.stringify(match.details)]);
+                                            }
+                                        });
+                                    });
+                                    // Queued behind the statements above
+                                    db.get('SELECT 1', (err) => {
+                                        if (err) return fail(err);
+                                        if (counts.raised > 0) console.log(`Raised ${counts.raised} at-risk alerts`);
+                                        done(null, counts);
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+        });
+    });
+}
+
+// One digest a day for each instructor and co-instructor with unresolved alerts, as a
+// notification and an email. Turning off the alert_digest notification stops both.
+function sendAlertDigests(callback) {
+    const done = callback || (() => {});
+
+    db.all(`SELECT u.id as user_id, u.email, u.full_name, b.id as batch_id, b.name as batch_name,
+                   SUM(CASE WHEN a.status = 'open' THEN 1 ELSE 0 END) as open_count,
+                   SUM(CASE WHEN a.status = 'acknowledged' THEN 1 ELSE 0 END) as acknowledged_count,
+                   SUM(CASE WHEN a.severity = 'high' THEN 1 ELSE 0 END) as high_count,
+                   SUM(CASE WHEN a.created_at >= datetime('now', '-1 day') THEN 1 ELSE 0 END) as new_count
+            FROM student_alerts a
+            INNER JOIN batches b ON a.batch_id = b.id
+            INNER JOIN users u ON u.id = b.instructor_id
+                OR u.id IN (SELECT user_id FROM batch_staff WHERE batch_id = b.id AND role = 'co_instructor')
+            WHERE a.status != 'resolved' AND b.archived_at IS NULL AND u.is_active = 1
+              AND u.id NOT IN (SELECT user_id FROM notifications WHERE type = 'alert_digest' AND date(created_at) = date('now'))
+              AND u.id NOT IN (SELECT user_id FROM notification_preferences WHERE type = 'alert_digest' AND enabled = 0)
+            GROUP BY u.id, b.id
+            ORDER BY u.id, b.name`,
+        [], (err, rows) => {
+            if (err) {
+                console.error('Failed to send alert digests:', err.message);
+                return done(err);
+            }
+
+            const byUser = new Map();
+            rows.forEach(row => {
+                if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+                byUser.get(row.user_id).push(row);
+            });
+
+            let remaining = byUser.size;
+            let sent = 0;
+            if (remaining === 0) return done(null, 0);
+
+            byUser.forEach((batches, userId) => {
+                const total = batches.reduce((sum, b) => sum + b.open_count + b.acknowledged_count, 0);
+                const fresh = batches.reduce((sum, b) => sum + b.new_count, 0);
+                const lines = batches.map(b =>
+                    `- ${b.batch_name}: ${b.open_count} open, ${b.acknowledged_count} acknowledged ` +
+                    `(${b.high_count} high severity, ${b.new_count} new)`);
+
+                // Today's digest notification is what stops a second digest, so the email only goes out once it is saved
+                createNotification(userId, 'alert_digest',
+                    `${total} unresolved at-risk alert${total === 1 ? '' : 's'} in ${batches.length} batch${batches.length === 1 ? '' : 'es'} ` +
+                    `(${fresh} new since yesterday).`, 'my-batches', (err) => {
+                        if (!err) {
+                            sent++;
+                            sendMail(batches[0].email, 'Daily at-risk student digest',
+                                `Hello ${batches[0].full_name},\n\nStudents in your batches who need attention:\n\n${lines.join('\n')}\n\n` +
+                                `Review the alerts in the Training Portal: ${APP_URL}\n`,
+                                (err) => {
+                                    if (err) console.error(`Failed to email alert digest to user ${userId}:`, err.message);
+                                });
+                        }
+                        if (--remaining === 0) done(null, sent);
+                    });
+            });
+        }
+    );
+}
+
+function formatAlert(alert) {
+    return {
+        id: alert.id,
+        batchId: alert.batch_id,
+        batchName: alert.batch_name,
+        studentId: alert.user_id,
+        studentName: alert.student_name,
+        rule: alert.rule_type,
+        severity: alert.severity,
+        message: alert.message,
+        details: alert.details ? JSON.parse(alert.details) : null,
+        status: alert.status,
+        createdAt: alert.created_at,
+        lastDetectedAt: alert.last_detected_at,
+        acknowledgedBy: alert.acknowledged_by_name || null,
+        acknowledgedAt: alert.acknowledged_at,
+        acknowledgementNote: alert.acknowledgement_note,
+        resolvedBy: alert.resolved_by_name || null,
+        resolvedAt: alert.resolved_at,
+        resolutionNote: alert.resolution_note
+    };
+}
+
+// Alerts matching `where`, highest severity first (?status=open|acknowledged|resolved|all, default unresolved; ?severity=)
+function sendAlertList(req, res, where, params) {
+    const { status, severity } = req.query;
+    if (status && status !== 'all' && !ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: all, ${ALERT_STATUSES.join(', ')}` });
+    }
+    if (severity && !ALERT_SEVERITIES.includes(severity)) {
+        return res.status(400).json({ error: `Severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+    }
+
+    const conditions = [where];
+    if (!status) conditions.push("a.status != 'resolved'");
+    else if (status !== 'all') {
+        conditions.push('a.status = ?');
+        params.push(status);
+    }
+    if (severity) {
+        conditions.push('a.severity = ?');
+        params.push(severity);
+    }
+
+    db.all(`SELECT a.*, b.name as batch_name, s.full_name as student_name,
+                   ack.full_name as acknowledged_by_name, res.full_name as resolved_by_name
+            FROM student_alerts a
+            INNER JOIN batches b ON a.batch_id = b.id
+            INNER JOIN users s ON a.user_id = s.id
+            LEFT JOIN users ack ON a.acknowledged_by = ack.id
+            LEFT JOIN users res ON a.resolved_by = res.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY CASE a.severity WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, a.last_detected_at DESC
+            LIMIT 500`,
+        params, (err, alerts) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch alerts' });
+            }
+            res.json(alerts.map(formatAlert));
+        }
+    );
+}
+
+// An alert the current user may act on (`teach` on its batch)
+function findAlert(req, res, callback) {
+    db.get(`SELECT a.*, ${BATCH_ROLE_COLUMN}
+            FROM student_alerts a
+            INNER JOIN batches b ON a.batch_id = b.id
+            WHERE a.id = ?`,
+        [req.user.id, req.user.id, req.params.alertId], (err, alert) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch alert' });
+            }
+            if (!alert || !canAccessBatch(req.user, alert.batch_role, 'view')) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            if (!canAccessBatch(req.user, alert.batch_role, 'teach')) {
+                return res.status(403).json({ error: BATCH_ACCESS_ERRORS.teach });
+            }
+            callback(alert);
+        }
+    );
+}
+
+// The batch's rules with their current settings
+app.get('/api/batches/:batchId/alert-rules', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    loadAlertRules([req.batch.id], (err, rules) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch alert rules' });
+        }
+        res.json(rules[req.batch.id]);
+    });
+});
+
+// Change rules: { "rules": { "missed_reports": { "enabled": true, "severity": "high", "params": { "sessions": 4 } } } }
+app.put('/api/batches/:batchId/alert-rules', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('manage'), (req, res) => {
+    const { rules } = req.body;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules) || Object.keys(rules).length === 0) {
+        return res.status(400).json({ error: 'rules must be an object of rule name to settings' });
+    }
+
+    const unknown = Object.keys(rules).filter(type => !ALERT_RULES[type]);
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown rules: ${unknown.join(', ')}` });
+    }
+    for (const [type, settings] of Object.entries(rules)) {
+        if (!settings || typeof settings !== 'object') {
+            return res.status(400).json({ error: `Settings for ${type} must be an object` });
+        }
+        if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+            return res.status(400).json({ error: `${type}.enabled must be true or false` });
+        }
+        if (settings.severity !== undefined && !ALERT_SEVERITIES.includes(settings.severity)) {
+            return res.status(400).json({ error: `${type}.severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+        }
+        const badParam = Object.entries(settings.params || {}).find(([name, value]) =>
+            ALERT_RULES[type].params[name] === undefined || !Number.isInteger(value) || value < 1 ||
+            (name === 'percent' && value > 100));
+        if (badParam) {
+            return res.status(400).json({
+                error: `${type}.params.${badParam[0]} must be a positive whole number` +
+                    (badParam[0] === 'percent' ? ' up to 100' : '') +
+                    `; known params: ${Object.keys(ALERT_RULES[type].params).join(', ')}`
+            });
+        }
+    }
+
+    loadAlertRules([req.batch.id], (err, current) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update alert rules' });
+        }
+
+        db.serialize(() => {
+            const stmt = db.prepare(`INSERT INTO batch_alert_rules (batch_id, rule_type, is_enabled, severity, params, updated_by)
+                                     VALUES (?, ?, ?, ?, ?, ?)
+                                     ON CONFLICT(batch_id, rule_type) DO UPDATE SET
+                                         is_enabled = excluded.is_enabled, severity = excluded.severity, params = excluded.params,
+                                         updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`);
+            Object.entries(rules).forEach(([type, settings]) => {
+                const rule = current[req.batch.id].find(r => r.rule === type);
+                stmt.run([req.batch.id, type,
+                    (settings.enabled !== undefined ? settings.enabled : rule.enabled) ? 1 : 0,
+                    settings.severity || rule.severity,
+                    JSON.stringify({ ...rule.params, ...(settings.params || {}) }),
+                    req.user.id]);
+            });
+            stmt.finalize((err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update alert rules' });
+                }
+                logAudit(req, req.user, 'batch.alert_rules', 'batch', req.batch.id, rules);
+                loadAlertRules([req.batch.id], (err, updated) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to fetch alert rules' });
+                    }
+                    res.json({ message: 'Alert rules updated', rules: updated[req.batch.id] });
+                });
+            });
+        });
+    });
+});
+
+// Alerts of one batch
+app.get('/api/batches/:batchId/alerts', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    sendAlertList(req, res, 'a.batch_id = ?', [req.batch.id]);
+});
+
+// Re-run the rules for one batch now
+app.post('/api/batches/:batchId/alerts/evaluate', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('teach'), (req, res) => {
+    evaluateAlertRules([req.batch.id], (err, counts) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to evaluate alert rules' });
+        }
+        res.json({ message: 'Alert rules evaluated', ...counts });
+    });
+});
+
+// Alerts across the batches the user staffs (all batches for admins), optionally one `?batch_id=`
+app.get('/api/alerts', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const conditions = [];
+    const params = [];
+    if (req.user.role !== 'admin') {
+        conditions.push(`a.batch_id IN (${STAFFED_BATCH_IDS})`);
+        params.push(req.user.id, req.user.id);
+    }
+    if (req.query.batch_id) {
+        conditions.push('a.batch_id = ?');
+        params.push(req.query.batch_id);
+    }
+    sendAlertList(req, res, conditions.length > 0 ? conditions.join(' AND ') : '1 = 1', params);
+});
+
+app.post('/api/alerts/:alertId/acknowledge', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findAlert(req, res, (alert) => {
+        if (alert.status !== 'open') {
+            return res.status(400).json({ error: `Alert is already ${alert.status}` });
+        }
+        const note = String(req.body.note || '').trim();
+
+        db.run(`UPDATE student_alerts SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP,
+                acknowledgement_note = ?
+                WHERE id = ?`,
+            [req.user.id, note || null, alert.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to acknowledge alert' });
+                }
+                res.json({ message: 'Alert acknowledged' });
+            }
+        );
+    });
+});
+
+// Close an alert with a note on what was done; the rule stays quiet for this student for a week
+app.post('/api/alerts/:alertId/resolve', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const note = String(req.body.note || '').trim();
+    if (!note) {
+        return res.status(400).json({ error: 'A resolution note is required' });
+    }
+
+    findAlert(req, res, (alert) => {
+        if (alert.status === 'resolved') {
+            return res.status(400).json({ error: 'Alert is already resolved' });
+        }
+
+        db.run(`UPDATE student_alerts SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_note = ?
+                WHERE id = ?`,
+            [req.user.id, note, alert.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to resolve alert' });
+                }
+                res.json({ message: 'Alert resolved' });
+            }
+        );
+    });
+});
+
+// ============ ORIGINAL API ROUTES (from previous server.js) ============
+
+// User Registration
+app.post('/api/register', async (req, res) => {
+    const { username, email, password, full_name, role } = req.body;
+
+    if (!username || !email || !password || !full_name || !role) {
+        return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (!['student', 'teacher'].includes(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        db.run(`INSERT INTO users (username, email, password, full_name, role) 
+                VALUES (?, ?, ?, ?, ?)`,
+            [username, email, hashedPassword, full_name, role],
+            function(err) {
+                if (err) {
+                    if (err.message.includes('UNIQUE')) {
+                        return res.status(400).json({ error: 'Username or email already exists' });
+                    }
+                    return res.status(500).json({ error: 'Registration failed' });
+                }
+                res.status(201).json({ 
+                    message: 'User registered successfully',
+                    userId: this.lastID 
+                });
+            }
+        );
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// User Login
+app.post('/api/login', checkLoginThrottle, (req, res) => {
+    const { password } = req.body;
+    const user = req.loginUser;
+
+    // Unknown usernames still pay for a bcrypt comparison so response times match
+    if (!user) {
+        return bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => {
+            recordFailedLogin(req, null, 'unknown_user', () => {
+                if (req.unknownLoginCount + 1 >= ACCOUNT_LOCKOUT_THRESHOLD) {
+                    return res.status(423).json({
+                        error: `Too many failed attempts. Account locked for ${ACCOUNT_LOCKOUT_MINUTES} minutes.`
+                    });
+                }
+                res.status(401).json({ error: 'Invalid credentials' });
+            });
+        }).catch(() => res.status(500).json({ error: 'Server error' }));
+    }
+
+    bcrypt.compare(password, user.password).then(validPassword => {
+        if (!validPassword) {
+            return recordFailedLogin(req, user, 'wrong_password', (lockedMinutes) => {
+                if (lockedMinutes) {
+                    return res.status(423).json({
+                        error: `Too many failed attempts. Account locked for ${lockedMinutes} minutes.`
+                    });
+                }
+                res.status(401).json({ error: 'Invalid credentials' });
+            });
+        }
+
+        if (!user.is_active) {
+            return recordFailedLogin(req, user, 'inactive', () => {
+                res.status(403).json({ error: 'Account is deactivated' });
+            });
+        }
+
+        // Accounts with 2FA (or whose role requires it) get a challenge instead of tokens
+        isTwoFactorRequired(user, (err, required) => {
+            if (err) {
+                return res.status(500).json({ error: 'Server error' });
+            }
+            if (user.totp_enabled || required) {
+                return res.json({
+                    twoFactorRequired: true,
+                    setupRequired: !user.totp_enabled,
+                    challengeToken: issueChallengeToken(user)
+                });
+            }
+            completeLogin(req, res, user);
+        });
+    }).catch(() => res.status(500).json({ error: 'Server error' }));
+});
+
+// Start a session once every login step has passed
+function completeLogin(req, res, user, extra) {
+    createSession(user, req, (err, tokens) => {
+        if (err) {
+            return res.status(500).json({ error: 'Server error' });
+        }
+        if (user.failed_login_count > 0 || user.locked_until) resetFailedLogins(user.id);
+        logAudit(req, user, 'auth.login', 'user', user.id, user.totp_enabled ? { twoFactor: true } : null);
+
+        res.json({
+            ...tokens,
+            ...extra,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                full_name: user.full_name,
+                role: user.role
+            }
+        });
+    });
+}
+
+// Get all batches
+app.get('/api/batches', authenticateToken, (req, res) => {
+    const { status } = req.query;
+    
+    let query = `
+        SELECT b.*, u.full_name as instructor_name,
+               (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as participant_count,
+               (SELECT COUNT(*) FROM batch_waitlist WHERE batch_id = b.id) as waitlist_count,
+               (SELECT status FROM enrollments WHERE batch_id = b.id AND user_id = ?) as enrollment_status,
+               ${WAITLIST_POSITION_COLUMN},
+               ${BATCH_ROLE_COLUMN}
+        FROM batches b
+        LEFT JOIN users u ON b.instructor_id = u.id
+    `;
+    
+    const params = [req.user.id, req.user.id, req.user.id, req.user.id];
+    if (status === 'archived') {
+        query += ' WHERE b.archived_at IS NOT NULL';
+    } else {
+        query += ' WHERE b.archived_at IS NULL';
+        if (status && status !== 'all') {
+            query += ' AND b.status = ?';
+            params.push(status);
+        }
+    }
+    
+    query += ' ORDER BY b.start_date DESC';
+
+    db.all(query, params, (err, batches) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch batches' });
+        }
+        res.json(batches);
+    });
+});
+
+// Get user's enrolled batches
+app.get('/api/my-batches', authenticateToken, (req, res) => {
+    const query = `
+        SELECT b.*, u.full_name as instructor_name,
+               (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as participant_count,
+               (SELECT id FROM certificates WHERE batch_id = b.id AND user_id = e.user_id) as certificate_id,
+               ${LESSON_PROGRESS_COLUMNS}
+        FROM batches b
+        INNER JOIN enrollments e ON b.id = e.batch_id
+        LEFT JOIN users u ON b.instructor_id = u.id
+        WHERE e.user_id = ? AND e.${ACTIVE_ENROLLMENT}
+        ORDER BY b.start_date DESC
+    `;
+
+    db.all(query, [req.user.id], (err, batches) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch batches' });
+        }
+        res.json(batches.map(withLessonProgress));
+    });
+});
+
+// Enroll in a batch
+app.post('/api/batches/:batchId/enroll', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+    const userId = req.user.id;
+
+    db.get('SELECT * FROM batches WHERE id = ?', [batchId], (err, batch) => {
+        if (err || !batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (batch.archived_at || batch.status === 'completed') {
+            return res.status(400).json({ error: 'Batch is no longer accepting enrollments' });
+        }
+
+        db.get('SELECT status FROM enrollments WHERE user_id = ? AND batch_id = ?', [userId, batchId], (err, existing) => {
+            if (err) {
+                return res.status(500).json({ error: 'Enrollment failed' });
+            }
+            const blocked = existing && getEnrollmentBlock(existing.status);
+            if (blocked) {
+                return res.status(400).json({ error: blocked });
+            }
+
+            const status = batch.requires_approval ? 'pending' : 'approved';
+            const results = [{ user_id: userId, result: 'enrolled' }];
+            enrollWithinCapacity(batch, results, 'enrolled', status, userId, (err, outcome) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Enrollment failed' });
+                }
+                if (!outcome.enrolled) {
+                    return res.status(400).json({ error: 'Batch is full', canJoinWaitlist: true });
+                }
+                if (outcome.enrolled.length === 0) {
+                    return res.status(500).json({ error: 'Enrollment failed' });
+                }
+                logAudit(req, req.user, 'enrollment.create', 'batch', batchId, { user_id: userId, status: status });
+                if (status === 'pending') {
+                    createNotification(userId, 'enrollment_requested',
+                        `Your enrollment request for "${batch.name}" was sent to the instructor.`, 'my-batches');
+                } else {
+                    createNotification(userId, 'enrollment_approved', `You have been enrolled in "${batch.name}".`, 'my-batches');
+                }
+                res.json({
+                    message: status === 'pending' ? 'Enrollment request sent to the instructor' : 'Enrolled successfully',
+                    status: status
+                });
+            });
+        });
+    });
+});
+
+// Submit daily report (or edit it while the batch's edit window is open)
+app.post('/api/reports', authenticateToken, (req, res) => {
+    const { batch_id, report_date, tasks_completed, challenges, hours_worked, notes } = req.body;
+    const user_id = req.user.id;
+
+    if (!batch_id || !report_date || !tasks_completed || !hours_worked) {
+        return res.status(400).json({ error: 'Required fields missing' });
+    }
+
+    if (!isValidDateString(report_date)) {
+        return res.status(400).json({ error: 'Report date must be a valid YYYY-MM-DD date' });
+    }
+
+    db.get(`SELECT e.*, b.report_edit_window_days FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE e.user_id = ? AND e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}`,
+        [user_id, batch_id], (err, enrollment) => {
+            if (err || !enrollment) {
+                return res.status(403).json({ error: 'Not enrolled in this batch' });
+            }
+
+            const today = toDateString(new Date());
+            if (report_date > today) {
+                return res.status(400).json({ error: 'Report date cannot be in the future' });
+            }
+            if (isReportLocked(report_date, enrollment.report_edit_window_days, today)) {
+                return res.status(403).json({
+                    error: `Reports older than ${enrollment.report_edit_window_days} days are locked`
+                });
+            }
+
+            const fields = {
+                tasks_completed,
+                challenges: challenges || null,
+                hours_worked,
+                notes: notes || null
+            };
+
+            db.get('SELECT * FROM daily_reports WHERE user_id = ? AND batch_id = ? AND report_date = ?',
+                [user_id, batch_id, report_date], (err, existing) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to submit report' });
+                    }
+
+                    // The report and its revision are saved together, so the history never misses an edit
+                    if (!existing) {
+                        return runInTransaction((tx, done) => {
+                            tx.run(`INSERT INTO daily_reports (user_id, batch_id, report_date, tasks_completed, challenges, hours_worked, notes, is_backdated)
+                                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                                [user_id, batch_id, report_date, fields.tasks_completed, fields.challenges,
+                                 fields.hours_worked, fields.notes, isReportBackdated(report_date, today) ? 1 : 0],
+                                function(err) {
+                                    if (err) return done(err);
+                                    const reportId = this.lastID;
+                                    recordReportRevision(tx, reportId, user_id, fields, (err) => done(err, reportId));
+                                }
+                            );
+                        }, (err, reportId) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Failed to submit report' });
+                            }
+                            logAudit(req, req.user, 'report.create', 'report', reportId, { batch_id: Number(batch_id), report_date: report_date });
+                            res.json({ 
+                                message: 'Report submitted successfully',
+                                reportId: reportId,
+                                backdated: isReportBackdated(report_date, today)
+                            });
+                        });
+                    }
+
+                    if (REVISION_FIELDS.every(field => String(existing[field] ?? '') === String(fields[field] ?? ''))) {
+                        return res.json({ message: 'No changes to save', reportId: existing.id });
+                    }
+
+                    // Editing sends the report back into the review queue
+                    runInTransaction((tx, done) => {
+                        tx.run(`UPDATE daily_reports SET
+                                    tasks_completed = ?, challenges = ?, hours_worked = ?, notes = ?,
+                                    review_status = 'submitted', reviewed_by = NULL, reviewed_at = NULL,
+                                    updated_at = CURRENT_TIMESTAMP
+                                WHERE id = ?`,
+                            [fields.tasks_completed, fields.challenges, fields.hours_worked, fields.notes, existing.id],
+                            (err) => err ? done(err) : recordReportRevision(tx, existing.id, user_id, fields, done)
+                        );
+                    }, (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to submit report' });
+                        }
+                        logAudit(req, req.user, 'report.update', 'report', existing.id, { batch_id: existing.batch_id, report_date: report_date });
+                        res.json({ 
+                            message: 'Report updated successfully',
+                            reportId: existing.id
+                        });
+                    });
+                }
+            );
+        }
+    );
+});
+
+// Get reports (with filtering)
+app.get('/api/reports', authenticateToken, (req, res) => {
+    const { batch_id, user_id, start_date, end_date, review_status, limit = 100 } = req.query;
+    
+    let query = `
+        SELECT r.*, u.full_name as user_name, u.username, b.name as batch_name,
+               reviewer.full_name as reviewer_name,
+               (SELECT COUNT(*) FROM report_comments WHERE report_id = r.id) as comment_count
+        FROM daily_reports r
+        LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+        INNER JOIN users u ON r.user_id = u.id
+        INNER JOIN batches b ON r.batch_id = b.id
+        WHERE 1=1
+    `;
+    
+    const params = [];
+
+    if (req.user.role === 'student') {
+        query += ' AND r.user_id = ?';
+        params.push(req.user.id);
+    } else if (req.user.role === 'teacher') {
+        query += ` AND r.batch_id IN (${STAFFED_BATCH_IDS})`;
+        params.push(req.user.id, req.user.id);
+    }
+
+    if (batch_id) {
+        query += ' AND r.batch_id = ?';
+        params.push(batch_id);
+    }
+
+    if (user_id && req.user.role !== 'student') {
+        query += ' AND r.user_id = ?';
+        params.push(user_id);
+    }
+
+    if (start_date) {
+        query += ' AND r.report_date >= ?';
+        params.push(start_date);
+    }
+
+    if (end_date) {
+        query += ' AND r.report_date <= ?';
+        params.push(end_date);
+    }
+
+    if (review_status) {
+        query += ' AND r.review_status = ?';
+        params.push(review_status);
+    }
+
+    query += ' ORDER BY r.report_date DESC, r.created_at DESC LIMIT ?';
+    params.push(parseInt(limit));
+
+    // Teachers asking for a batch or student outside their batches get an error rather than an empty list
+    const checkScope = (next) => {
+        if (req.user.role !== 'teacher') return next();
+        const checkBatch = (done) => {
+            if (!batch_id) return done();
+            getBatchRole(req.user, batch_id, (err, batchRole) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch reports' });
+                }
+                if (!canAccessBatch(req.user, batchRole, 'view')) {
+                    return res.status(403).json({ error: BATCH_ACCESS_ERRORS.view });
+                }
+                done();
+            });
+        };
+        checkBatch(() => {
+            if (!user_id) return next();
+            db.get(`SELECT 1 FROM enrollments WHERE user_id = ? AND batch_id IN (${STAFFED_BATCH_IDS})`,
+                [user_id, req.user.id, req.user.id], (err, shared) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to fetch reports' });
+                    }
+                    if (!shared) {
+                        return res.status(404).json({ error: 'Student not found in your batches' });
+                    }
+                    next();
+                }
+            );
+        });
+    };
+
+    checkScope(() => {
+        db.all(query, params, (err, reports) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch reports' });
+            }
+            res.json(reports);
+        });
+    });
+});
+
+// ============ REPORT HISTORY ============
+
+const REVISION_FIELDS = ['tasks_completed', 'challenges', 'hours_worked', 'notes'];
+const REPORT_BACKDATE_GRACE_DAYS = 1;
+
+// A report locks once its date is more than editWindowDays behind today
+function isReportLocked(reportDate, editWindowDays, today) {
+    const lockDate = new Date(`${reportDate}T00:00:00Z`);
+    lockDate.setUTCDate(lockDate.getUTCDate() + editWindowDays);
+    return toDateString(lockDate) < today;
+}
+
+// Reports filed within REPORT_BACKDATE_GRACE_DAYS after their date (e.g. the evening session, sent the next morning) are not backdated
+function isReportBackdated(reportDate, today) {
+    const dueDate = new Date(`${reportDate}T00:00:00Z`);
+    dueDate.setUTCDate(dueDate.getUTCDate() + REPORT_BACKDATE_GRACE_DAYS);
+    return toDateString(dueDate) < today;
+}
+
+// Append the report's next revision on `tx`, the transaction that saves the report
+function recordReportRevision(tx, reportId, editedBy, fields, callback) {
+    tx.run(`INSERT INTO report_revisions (report_id, revision_number, edited_by, tasks_completed, challenges, hours_worked, notes)
+            SELECT ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?
+            FROM report_revisions WHERE report_id = ?`,
+        [reportId, editedBy, fields.tasks_completed, fields.challenges, fields.hours_worked, fields.notes, reportId],
+        (err) => {
+            if (err) console.error('Failed to record report revision:', err.message);
+            callback(err);
+        }
+    );
+}
+
+function diffRevisions(from, to) {
+    return REVISION_FIELDS
+        .filter(field => String(from[field] ?? '') !== String(to[field] ?? ''))
+        .map(field => ({ field, before: from[field], after: to[field] }));
+}
+
+// Get every revision of a report, newest first
+app.get('/api/reports/:reportId/revisions', authenticateToken, (req, res) => {
+    findAccessibleReport(req, res, (report) => {
+        db.all(`SELECT rv.*, u.full_name as edited_by_name
+                FROM report_revisions rv
+                INNER JOIN users u ON rv.edited_by = u.id
+                WHERE rv.report_id = ?
+                ORDER BY rv.revision_number DESC`,
+            [report.id], (err, revisions) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch revisions' });
+                }
+                res.json({
+                    reportId: report.id,
+                    backdated: !!report.is_backdated,
+                    revisions: revisions
+                });
+            }
+        );
+    });
+});
+
+// Diff two revisions of a report (defaults to the latest change)
+app.get('/api/reports/:reportId/revisions/diff', authenticateToken, (req, res) => {
+    findAccessibleReport(req, res, (report) => {
+        db.all(`SELECT rv.*, u.full_name as edited_by_name
+                FROM report_revisions rv
+                INNER JOIN users u ON rv.edited_by = u.id
+                WHERE rv.report_id = ?
+                ORDER BY rv.revision_number ASC`,
+            [report.id], (err, revisions) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch revisions' });
+                }
+
+                const latest = revisions.length;
+                const fromNumber = parseInt(req.query.from) || Math.max(latest - 1, 1);
+                const toNumber = parseInt(req.query.to) || latest;
+                const from = revisions.find(r => r.revision_number === fromNumber);
+                const to = revisions.find(r => r.revision_number === toNumber);
+
+                if (!from || !to) {
+                    return res.status(404).json({ error: 'Revision not found' });
+                }
+
+                res.json({
+                    reportId: report.id,
+                    from: { revision: from.revision_number, editedBy: from.edited_by_name, editedAt: from.created_at },
+                    to: { revision: to.revision_number, editedBy: to.edited_by_name, editedAt: to.created_at },
+                    changes: diffRevisions(from, to)
+                });
+            }
+        );
+    });
+});
+
+// ============ REPORT REVIEW ============
+
+const REVIEW_STATUSES = ['approved', 'needs_revision'];
+
+// Load the report in req.params.reportId; students may only see their own,
+// teachers only reports in batches they are staff of
+function findAccessibleReport(req, res, callback) {
+    db.get(`SELECT r.*, ${BATCH_ROLE_COLUMN}
+            FROM daily_reports r
+            INNER JOIN batches b ON r.batch_id = b.id
+            WHERE r.id = ?`,
+        [req.user.id, req.user.id, req.params.reportId], (err, report) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch report' });
+            }
+            const allowed = report && (req.user.role === 'student'
+                ? report.user_id === req.user.id
+                : canAccessBatch(req.user, report.batch_role, 'view'));
+            if (!allowed) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+            callback(report);
+        }
+    );
+}
+
+// Unreviewed reports, oldest first, optionally for one batch
+app.get('/api/reports/review-queue', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { batch_id, limit = 50 } = req.query;
+
+    let query = `
+        SELECT r.*, u.full_name as user_name, u.username, b.name as batch_name,
+               (SELECT COUNT(*) FROM report_comments WHERE report_id = r.id) as comment_count
+        FROM daily_reports r
+        INNER JOIN users u ON r.user_id = u.id
+        INNER JOIN batches b ON r.batch_id = b.id
+        WHERE r.review_status = 'submitted'
+    `;
+    const params = [];
+
+    if (req.user.role === 'teacher') {
+        query += ` AND r.batch_id IN (${STAFFED_BATCH_IDS})`;
+        params.push(req.user.id, req.user.id);
+    }
+
+    if (batch_id) {
+        query += ' AND r.batch_id = ?';
+        params.push(batch_id);
+    }
+
+    query += ' ORDER BY r.report_date ASC, r.created_at ASC LIMIT ?';
+    params.push(parseInt(limit));
+
+    db.all(query, params, (err, reports) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch review queue' });
+        }
+        res.json(reports);
+    });
+});
+
+// Approve a report or send it back for revision, with optional feedback
+app.post('/api/reports/:reportId/review', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { status, comment } = req.body;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+        return res.status(400).json({ error: 'Comment must be text' });
+    }
+    const text = (comment || '').trim();
+    if (status === 'needs_revision' && !text) {
+        return res.status(400).json({ error: 'A comment is required when requesting a revision' });
+    }
+
+    findAccessibleReport(req, res, (report) => {
+        if (!canAccessBatch(req.user, report.batch_role, 'teach')) {
+            return res.status(403).json({ error: BATCH_ACCESS_ERRORS.teach });
+        }
+
+        db.run(`UPDATE daily_reports SET review_status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                WHERE id = ?`,
+            [status, req.user.id, report.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to review report' });
+                }
+                logAudit(req, req.user, 'report.review', 'report', report.id, { status: status });
+                createNotification(report.user_id, 'report_reviewed', status === 'approved'
+                    ? `Your report for ${report.report_date} was approved.`
+                    : `Your report for ${report.report_date} needs revision: ${text}`, 'all-reports');
+                if (!text) {
+                    return res.json({ message: 'Report reviewed successfully' });
+                }
+
+                db.run('INSERT INTO report_comments (report_id, user_id, comment) VALUES (?, ?, ?)',
+                    [report.id, req.user.id, text],
+                    (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Report reviewed but failed to save comment' });
+                        }
+                        res.json({ message: 'Report reviewed successfully' });
+                    }
+                );
+            }
+        );
+    });
+});
+
+// Get the feedback thread of a report
+app.get('/api/reports/:reportId/comments', authenticateToken, (req, res) => {
+    findAccessibleReport(req, res, (report) => {
+        db.all(`SELECT c.id, c.parent_id, c.comment, c.created_at,
+                       u.id as user_id, u.full_name as user_name, u.role as user_role
+                FROM report_comments c
+                INNER JOIN users u ON c.user_id = u.id
+                WHERE c.report_id = ?
+                ORDER BY c.created_at ASC, c.id ASC`,
+            [report.id], (err, comments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch comments' });
+                }
+
+                // Nest replies under their parent comment
+                const byId = {};
+                const thread = [];
+                comments.forEach(c => {
+                    byId[c.id] = { ...c, replies: [] };
+                });
+                comments.forEach(c => {
+                    const parent = c.parent_id && byId[c.parent_id];
+                    (parent ? parent.replies : thread).push(byId[c.id]);
+                });
+
+                res.json(thread);
+            }
+        );
+    });
+});
+
+// Comment on a report (instructors) or reply to feedback (the report's author)
+app.post('/api/reports/:reportId/comments', authenticateToken, (req, res) => {
+    const { comment, parent_id } = req.body;
+
+    if (typeof comment !== 'string' || !comment.trim()) {
+        return res.status(400).json({ error: 'Comment cannot be empty' });
+    }
+
+    findAccessibleReport(req, res, (report) => {
+        if (req.user.role !== 'student' && !canAccessBatch(req.user, report.batch_role, 'teach')) {
+            return res.status(403).json({ error: BATCH_ACCESS_ERRORS.teach });
+        }
+
+        const checkParent = (next) => {
+            if (!parent_id) return next();
+            db.get('SELECT id FROM report_comments WHERE id = ? AND report_id = ?',
+                [parent_id, report.id], (err, parent) => {
+                    if (err || !parent) {
+                        return res.status(400).json({ error: 'Parent comment not found on this report' });
+                    }
+                    next();
+                }
+            );
+        };
+
+        checkParent(() => {
+            db.run('INSERT INTO report_comments (report_id, user_id, parent_id, comment) VALUES (?, ?, ?, ?)',
+                [report.id, req.user.id, parent_id || null, comment.trim()],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to add comment' });
+                    }
+                    notifyReportComment(req.user, report, parent_id);
+                    res.status(201).json({
+                        message: 'Comment added successfully',
+                        commentId: this.lastID
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Get dashboard statistics
+app.get('/api/stats', authenticateToken, (req, res) => {
+    const queries = {
+        totalBatches: 'SELECT COUNT(*) as count FROM batches',
+        activeBatches: "SELECT COUNT(*) as count FROM batches WHERE status = 'active'",
+        totalEnrollments: `SELECT COUNT(*) as count FROM enrollments WHERE ${ACTIVE_ENROLLMENT}`,
+        totalReports: 'SELECT COUNT(*) as count FROM daily_reports'
+    };
+
+    const stats = {};
+    let completed = 0;
+
+    Object.keys(queries).forEach(key => {
+        db.get(queries[key], [], (err, result) => {
+            if (!err && result) {
+                stats[key] = result.count;
+            }
+            completed++;
+            
+            if (completed === Object.keys(queries).length) {
+                res.json(stats);
+            }
+        });
+    });
+});
+
+// Create new batch (teachers and admins only)
+app.post('/api/batches', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { name, duration, start_date, end_date, schedule_days, status, max_participants, requires_approval,
+            difficulty, tags, prerequisites } = req.body;
+    const instructor_id = req.user.id;
+
+    if (!name || (!duration && !end_date) || !start_date || !status) {
+        return res.status(400).json({ error: 'Required fields missing' });
+    }
+
+    const fields = { start_date, status, max_participants };
+    if (duration) fields.duration = duration;
+    if (end_date) fields.end_date = end_date;
+    if (schedule_days !== undefined) fields.schedule_days = schedule_days;
+    if (difficulty !== undefined) fields.difficulty = difficulty;
+    if (tags !== undefined) fields.tags = tags;
+    if (prerequisites !== undefined) fields.prerequisites = prerequisites;
+
+    const validationError = validateBatchFields(fields);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = resolveBatchSchedule(fields, {});
+    if (schedule.end_date < start_date) {
+        return res.status(400).json({ error: 'End date cannot be before the start date' });
+    }
+
+    db.run(`INSERT INTO batches (name, instructor_id, duration, start_date, end_date, schedule_days, status, max_participants, requires_approval,
+                                 difficulty, tags, prerequisites)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, instructor_id, schedule.duration, start_date, schedule.end_date,
+         schedule.schedule_days || DEFAULT_SCHEDULE_DAYS, status, max_participants || 100, requires_approval ? 1 : 0,
+         difficulty || 'beginner', schedule.tags || null, schedule.prerequisites || null],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to create batch' });
+            }
+            logAudit(req, req.user, 'batch.create', 'batch', this.lastID, { name: name });
+            res.status(201).json({ 
+                message: 'Batch created successfully',
+                batchId: this.lastID 
+            });
+        }
+    );
+});
+
+function validateBatchFields(fields) {
+    if ('name' in fields && !String(fields.name || '').trim()) {
+        return 'Batch name cannot be empty';
+    }
+    if ('duration' in fields && !parseDuration(fields.duration)) {
+        return 'Duration must look like "8 weeks", "10 days" or "3 months"';
+    }
+    if ('start_date' in fields && !isValidDateString(fields.start_date)) {
+        return 'Start date must be a valid YYYY-MM-DD date';
+    }
+    if ('end_date' in fields && !isValidDateString(fields.end_date)) {
+        return 'End date must be a valid YYYY-MM-DD date';
+    }
+    if ('schedule_days' in fields && normalizeScheduleDays(fields.schedule_days) === null) {
+        return `Schedule days must be a non-empty list of ${WEEKDAYS.join(', ')}`;
+    }
+    if ('status' in fields && !BATCH_STATUSES.includes(fields.status)) {
+        return 'Invalid status';
+    }
+    if ('difficulty' in fields && !BATCH_DIFFICULTIES.includes(fields.difficulty)) {
+        return `Difficulty must be one of: ${BATCH_DIFFICULTIES.join(', ')}`;
+    }
+    for (const field of ['tags', 'prerequisites']) {
+        if (field in fields && normalizeTags(fields[field]) === null) {
+            return `${field} must be a list of up to ${MAX_BATCH_TAGS} tags of letters, digits, "+", "#", "." or "-" (30 characters at most)`;
+        }
+    }
+    if (fields.max_participants !== undefined && fields.max_participants !== null &&
+        !(Number.isInteger(Number(fields.max_participants)) && Number(fields.max_participants) > 0)) {
+        return 'Max participants must be a positive whole number';
+    }
+    if (fields.report_edit_window_days !== undefined &&
+        !(Number.isInteger(Number(fields.report_edit_window_days)) && Number(fields.report_edit_window_days) >= 0)) {
+        return 'Report edit window must be zero or more days';
+    }
+    // Certificate criteria are optional; null means "not required"
+    for (const field of ['certificate_min_attendance', 'certificate_min_score']) {
+        if (fields[field] !== undefined && fields[field] !== null &&
+            !(Number(fields[field]) >= 0 && Number(fields[field]) <= 100)) {
+            return `${field} must be a percentage from 0 to 100`;
+        }
+    }
+    for (const field of ['certificate_min_reports', 'certificate_min_hours']) {
+        if (fields[field] !== undefined && fields[field] !== null && !(Number(fields[field]) >= 0)) {
+            return `${field} must be zero or more`;
+        }
+    }
+    return null;
+}
+
+function isValidDateString(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+}
+
+// Accepts ['mon', 'wed'] or "mon,wed"; returns the stored CSV form or null if invalid
+function normalizeScheduleDays(scheduleDays) {
+    const days = Array.isArray(scheduleDays) ? scheduleDays : String(scheduleDays || '').split(',');
+    const normalized = days.map(day => String(day).trim().toLowerCase()).filter(Boolean);
+    if (normalized.length === 0 || normalized.some(day => !WEEKDAYS.includes(day))) return null;
+    return WEEKDAYS.filter(day => normalized.includes(day)).join(',');
+}
+
+// Accepts ['React', 'node.js'] or "react, Node.js"; returns the stored CSV form ('' when empty) or null if invalid.
+// Spaces and underscores inside a tag become hyphens, so "Machine Learning" is stored as machine-learning.
+function normalizeTags(tags) {
+    if (tags === null) return '';
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const normalized = [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/[\s_]+/g, '-')).filter(Boolean))];
+    if (normalized.length > MAX_BATCH_TAGS || normalized.some(tag => !/^[a-z0-9][a-z0-9+#.-]{0,29}$/.test(tag))) return null;
+    return normalized.join(',');
+}
+
+function splitTags(csv) {
+    return String(csv || '').split(',').filter(Boolean);
+}
+
+// Keep duration and end_date in step: whichever one changed drives the other.
+// Moving only the start date keeps the duration and shifts the end date.
+function resolveBatchSchedule(changes, batch) {
+    const resolved = { ...changes };
+    const startDate = changes.start_date || batch.start_date;
+
+    if (changes.end_date && !changes.duration) {
+        resolved.duration = describeDuration(startDate, changes.end_date);
+    } else if (changes.duration || changes.start_date) {
+        resolved.end_date = changes.end_date || calculateBatchEndDate(startDate, changes.duration || batch.duration);
+    }
+    if (changes.schedule_days !== undefined) {
+        resolved.schedule_days = normalizeScheduleDays(changes.schedule_days);
+    }
+    ['tags', 'prerequisites'].forEach(field => {
+        if (changes[field] !== undefined) resolved[field] = normalizeTags(changes[field]) || null;
+    });
+
+    return resolved;
+}
+
+// Load the batch in req.params.batchId if the user's role on it may manage it
+function findManagedBatch(req, res, callback) {
+    findBatchWithAccess(req, res, 'manage', callback);
+}
+
+const EDITABLE_BATCH_FIELDS = ['name', 'duration', 'start_date', 'end_date', 'schedule_days', 'status', 'max_participants', 'instructor_id', 'report_edit_window_days', 'requires_approval',
+    'difficulty', 'tags', 'prerequisites', 'certificate_min_attendance', 'certificate_min_reports', 'certificate_min_hours', 'certificate_min_score'];
+
+function applyBatchUpdate(req, res, batch, body) {
+    let changes = {};
+    EDITABLE_BATCH_FIELDS.forEach(field => {
+        if (body[field] !== undefined) changes[field] = body[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const validationError = validateBatchFields(changes);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    if (changes.instructor_id !== undefined && !canAccessBatch(req.user, batch.batch_role, 'own')) {
+        return res.status(403).json({ error: BATCH_ACCESS_ERRORS.own });
+    }
+
+    changes = resolveBatchSchedule(changes, batch);
+    if (changes.requires_approval !== undefined) changes.requires_approval = changes.requires_approval ? 1 : 0;
+    if ((changes.end_date || batch.end_date) < (changes.start_date || batch.start_date)) {
+        return res.status(400).json({ error: 'End date cannot be before the start date' });
+    }
+
+    // Rescheduling without an explicit status recomputes it from the new dates
+    if (!changes.status && (changes.start_date || changes.end_date)) {
+        changes.status = getExpectedBatchStatus({ ...batch, ...changes }, toDateString(new Date()));
+    }
+
+    db.get(`SELECT COUNT(*) as count FROM enrollments WHERE batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [batch.id], (err, result) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update batch' });
+        }
+        if (changes.max_participants !== undefined && Number(changes.max_participants) < result.count) {
+            return res.status(400).json({ error: `Capacity cannot be lower than current enrollment (${result.count})` });
+        }
+
+        const instructorId = changes.instructor_id !== undefined ? changes.instructor_id : batch.instructor_id;
+        db.get("SELECT id FROM users WHERE id = ? AND role IN ('teacher', 'admin')", [instructorId], (err, instructor) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update batch' });
+            }
+            if (changes.instructor_id !== undefined && !instructor) {
+                return res.status(400).json({ error: 'Instructor must be an existing teacher or admin' });
+            }
+            // The new instructor of record no longer needs a staff role
+            if (changes.instructor_id !== undefined) {
+                db.run('DELETE FROM batch_staff WHERE batch_id = ? AND user_id = ?', [batch.id, instructorId]);
+            }
+
+            const fields = Object.keys(changes);
+            const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+            db.run(`UPDATE batches SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...fields.map(field => changes[field]), batch.id],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to update batch' });
+                    }
+                    logAudit(req, req.user, 'batch.update', 'batch', batch.id, changes);
+                    if (changes.status === 'completed' && batch.status !== 'completed') {
+                        completeBatch(batch);
+                    }
+                    if (changes.status === 'active' && batch.status === 'upcoming') {
+                        notifyBatchStarted({ ...batch, ...changes });
+                    }
+                    if (changes.max_participants !== undefined && Number(changes.max_participants) > batch.max_participants) {
+                        promoteFromWaitlist(batch.id, logWaitlistPromotions(batch));
+                    }
+                    db.get('SELECT * FROM batches WHERE id = ?', [batch.id], (err, updated) => {
+                        res.json({ message: 'Batch updated successfully', batch: updated });
+                    });
+                }
+            );
+        });
+    });
+}
+
+// Replace a batch's details (all core fields required)
+app.put('/api/batches/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { name, duration, end_date, start_date, status } = req.body;
+
+    if (!name || (!duration && !end_date) || !start_date || !status) {
+        return res.status(400).json({ error: 'Required fields missing' });
+    }
+
+    findManagedBatch(req, res, (batch) => applyBatchUpdate(req, res, batch, req.body));
+});
+
+// Update some of a batch's details
+app.patch('/api/batches/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => applyBatchUpdate(req, res, batch, req.body));
+});
+
+// Archive a batch: hidden from listings and closed for enrollment, data kept
+app.post('/api/batches/:batchId/archive', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'own', (batch) => {
+        db.run('UPDATE batches SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [batch.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to archive batch' });
+                }
+                logAudit(req, req.user, 'batch.archive', 'batch', batch.id);
+                res.json({ message: 'Batch archived successfully' });
+            }
+        );
+    });
+});
+
+// Restore an archived batch
+app.post('/api/batches/:batchId/unarchive', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'own', (batch) => {
+        db.run('UPDATE batches SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [batch.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to restore batch' });
+                }
+                logAudit(req, req.user, 'batch.unarchive', 'batch', batch.id);
+                res.json({ message: 'Batch restored successfully' });
+            }
+        );
+    });
+});
+
+// Delete a batch and everything attached to it.
+// Batches with reports need ?force=true so history isn't lost by accident.
+app.delete('/api/batches/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'own', (batch) => {
+        db.get('SELECT COUNT(*) as count FROM daily_reports WHERE batch_id = ?', [batch.id], (err, result) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete batch' });
+            }
+            if (result.count > 0 && req.query.force !== 'true') {
+                return res.status(409).json({
+                    error: `Batch has ${result.count} reports. Archive it instead, or delete with force=true.`
+                });
+            }
+
+            db.all(`SELECT f.stored_name FROM submission_attachments f
+                    INNER JOIN assignment_submissions s ON f.submission_id = s.id
+                    INNER JOIN assignments a ON s.assignment_id = a.id
+                    WHERE a.batch_id = ?`,
+                [batch.id], (err, attachments) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to delete batch' });
+                    }
+
+                    const statements = [...BATCH_DELETE_STATEMENTS, 'DELETE FROM batches WHERE id = ?']
+                        .map(statement => [statement, [batch.id]]);
+                    runStatementsInTransaction(statements, (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to delete batch' });
+                        }
+                        attachments.forEach(file => removeUploadedFile(file.stored_name));
+                        logAudit(req, req.user, 'batch.delete', 'batch', batch.id, { name: batch.name, reports: result.count });
+                        res.json({ message: 'Batch deleted successfully' });
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Get a batch's session calendar: scheduled days between start and end, minus holidays
+app.get('/api/batches/:batchId/calendar', authenticateToken, (req, res) => {
+    loadBatchCalendars([req.params.batchId], (err, batches) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to load batch calendar' });
+        }
+        if (batches.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const batch = batches[0];
+        const today = toDateString(new Date());
+        const endDate = getBatchEndDate(batch);
+        const sessions = getBatchSessionDates(batch, batch.holidays.map(h => h.holiday_date));
+        const completedSessions = sessions.filter(date => date <= today).length;
+
+        res.json({
+            batchId: batch.id,
+            startDate: batch.start_date,
+            endDate: endDate,
+            scheduleDays: parseScheduleDays(batch.schedule_days),
+            holidays: batch.holidays.map(h => ({ date: h.holiday_date, description: h.description })),
+            totalSessions: sessions.length,
+            completedSessions: completedSessions,
+            remainingSessions: sessions.length - completedSessions,
+            remainingDays: endDate && endDate >= today
+                ? Math.round((new Date(endDate) - new Date(today)) / DAY_MS)
+                : 0,
+            sessions: sessions.map(date => ({
+                date,
+                weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+                past: date <= today
+            }))
+        });
+    });
+});
+
+// Add a holiday (no session) to a batch's calendar
+app.post('/api/batches/:batchId/holidays', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { date, description } = req.body;
+
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'Date must be a valid YYYY-MM-DD date' });
+    }
+
+    findManagedBatch(req, res, (batch) => {
+        db.run(`INSERT INTO batch_holidays (batch_id, holiday_date, description) VALUES (?, ?, ?)
+                ON CONFLICT(batch_id, holiday_date) DO UPDATE SET description = excluded.description`,
+            [batch.id, date, description || null],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to add holiday' });
+                }
+                logAudit(req, req.user, 'batch.holiday_add', 'batch', batch.id, { date: date });
+                res.status(201).json({ message: 'Holiday added successfully' });
+            }
+        );
+    });
+});
+
+// Remove a holiday from a batch's calendar
+app.delete('/api/batches/:batchId/holidays/:date', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => {
+        db.run('DELETE FROM batch_holidays WHERE batch_id = ? AND holiday_date = ?',
+            [batch.id, req.params.date],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to remove holiday' });
+                }
+                if (this.changes === 0) {
+                    return res.status(404).json({ error: 'Holiday not found' });
+                }
+                logAudit(req, req.user, 'batch.holiday_remove', 'batch', batch.id, { date: req.params.date });
+                res.json({ message: 'Holiday removed successfully' });
+            }
+        );
+    });
+});
+
+// Get batch participants (batch staff and admins)
+app.get('/api/batches/:batchId/participants', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    const { batchId } = req.params;
+
+    const query = `
+        SELECT u.id, u.username, u.full_name, u.email, e.enrolled_at, e.status
+        FROM users u
+        INNER JOIN enrollments e ON u.id = e.user_id
+        WHERE e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}
+        ORDER BY u.full_name
+    `;
+
+    db.all(query, [batchId], (err, participants) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch participants' });
+        }
+        res.json(participants);
+    });
+});
+
+// ============ BATCH ACCESS ============
+
+// Roles a teacher can hold on a batch next to its instructor of record
+const BATCH_STAFF_ROLES = ['co_instructor', 'teaching_assistant'];
+
+// Batch roles allowed each level of access; admins have all of them.
+//   view   - participants, reports, insights, gradebook, results and exports
+//   teach  - take attendance, review reports, grade submissions
+//   manage - batch settings, enrollments, curriculum, assignments, quizzes, certificates
+//   own    - archive, delete, staff changes and handing the batch to another instructor
+const BATCH_PERMISSIONS = {
+    view: ['instructor', 'co_instructor', 'teaching_assistant'],
+    teach: ['instructor', 'co_instructor', 'teaching_assistant'],
+    manage: ['instructor', 'co_instructor'],
+    own: ['instructor']
+};
+
+const BATCH_ACCESS_ERRORS = {
+    view: 'Only staff of this batch or an admin can view this',
+    teach: 'Only staff of this batch or an admin can do this',
+    manage: 'Only the batch instructors or an admin can modify this batch',
+    own: 'Only the instructor of record or an admin can do this'
+};
+
+// The current user's role on the batch aliased as b; bind the user id twice
+const BATCH_ROLE_COLUMN = `CASE WHEN b.instructor_id = ? THEN 'instructor'
+    ELSE (SELECT role FROM batch_staff WHERE batch_id = b.id AND user_id = ?) END as batch_role`;
+
+// Ids of the batches a user teaches in any role; bind the user id twice
+const STAFFED_BATCH_IDS = `SELECT id FROM batches WHERE instructor_id = ?
+    UNION SELECT batch_id FROM batch_staff WHERE user_id = ?`;
+
+function canAccessBatch(user, batchRole, permission) {
+    return user.role === 'admin' ||
+        (user.role === 'teacher' && BATCH_PERMISSIONS[permission].includes(batchRole));
+}
+
+function getBatchRole(user, batchId, callback) {
+    db.get(`SELECT ${BATCH_ROLE_COLUMN} FROM batches b WHERE b.id = ?`, [user.id, user.id, batchId], (err, row) => {
+        callback(err, row ? row.batch_role : null);
+    });
+}
+
+// Load the batch in req.params.batchId (with the user's batch_role) if that role allows `permission`
+function findBatchWithAccess(req, res, permission, callback) {
+    db.get(`SELECT b.*, ${BATCH_ROLE_COLUMN} FROM batches b WHERE b.id = ?`,
+        [req.user.id, req.user.id, req.params.batchId], (err, batch) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch batch' });
+            }
+            if (!batch) {
+                return res.status(404).json({ error: 'Batch not found' });
+            }
+            if (!canAccessBatch(req.user, batch.batch_role, permission)) {
+                return res.status(403).json({ error: BATCH_ACCESS_ERRORS[permission] });
+            }
+            callback(batch);
+        }
+    );
+}
+
+// Route middleware: the user's role on req.params.batchId must allow `permission`; sets req.batch
+function authorizeBatch(permission) {
+    return (req, res, next) => findBatchWithAccess(req, res, permission, (batch) => {
+        req.batch = batch;
+        next();
+    });
+}
+
+// Instructor of record first, then co-instructors and teaching assistants
+app.get('/api/batches/:batchId/staff', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'view', (batch) => {
+        db.all(`SELECT u.id as user_id, u.full_name, u.username, u.email, 'instructor' as role, NULL as added_at
+                FROM users u WHERE u.id = ?
+                UNION ALL
+                SELECT u.id, u.full_name, u.username, u.email, s.role, s.created_at
+                FROM batch_staff s
+                INNER JOIN users u ON s.user_id = u.id
+                WHERE s.batch_id = ?`,
+            [batch.instructor_id, batch.id], (err, staff) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch staff' });
+                }
+                res.json({ batchId: batch.id, yourRole: batch.batch_role, staff: staff });
+            }
+        );
+    });
+});
+
+// Add a teacher to the batch staff, or change their role on it
+app.post('/api/batches/:batchId/staff', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { user_id, username, role } = req.body;
+
+    if (!BATCH_STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${BATCH_STAFF_ROLES.join(', ')}` });
+    }
+    if (!user_id && !username) {
+        return res.status(400).json({ error: 'A user_id or username is required' });
+    }
+
+    findBatchWithAccess(req, res, 'own', (batch) => {
+        db.get('SELECT id, full_name, role, is_active FROM users WHERE id = ? OR username = ?',
+            [user_id || null, username || null], (err, user) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to add staff member' });
+                }
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+                if (user.role !== 'teacher' || !user.is_active) {
+                    return res.status(400).json({ error: 'Only active teachers can join the batch staff' });
+                }
+                if (user.id === batch.instructor_id) {
+                    return res.status(400).json({ error: 'This teacher is already the instructor of record' });
+                }
+
+                db.run(`INSERT INTO batch_staff (batch_id, user_id, role, added_by) VALUES (?, ?, ?, ?)
+                        ON CONFLICT(batch_id, user_id) DO UPDATE SET role = excluded.role`,
+                    [batch.id, user.id, role, req.user.id], (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to add staff member' });
+                        }
+                        logAudit(req, req.user, 'batch.staff_add', 'batch', batch.id, { user_id: user.id, role: role });
+                        createNotification(user.id, 'batch_staff',
+                            `You were added to "${batch.name}" as ${role.replace('_', ' ')}`, 'my-batches', () => {
+                                res.status(201).json({ message: `${user.full_name} is now ${role.replace('_', ' ')} of this batch` });
+                            });
+                    }
+                );
+            }
+        );
+    });
+});
+
+// Remove someone from the batch staff
+app.delete('/api/batches/:batchId/staff/:userId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'own', (batch) => {
+        db.run('DELETE FROM batch_staff WHERE batch_id = ? AND user_id = ?', [batch.id, req.params.userId], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to remove staff member' });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Not on the staff of this batch' });
+            }
+            logAudit(req, req.user, 'batch.staff_remove', 'batch', batch.id, { user_id: Number(req.params.userId) });
+            res.json({ message: 'Staff member removed' });
+        });
+    });
+});
+
+// ============ ATTENDANCE ============
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Per-student attendance counts for a batch. A session counts once attendance was
+// taken for anyone that day; students without a record for it count as absent.
+// Excused sessions are left out of the rate.
+function getAttendanceSummary(batchId, callback) {
+    db.get('SELECT COUNT(DISTINCT session_date) as sessions FROM attendance WHERE batch_id = ?',
+        [batchId], (err, marked) => {
+            if (err) return callback(err);
+
+            db.all(`SELECT e.user_id, u.full_name,
+                           SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) as present,
+                           SUM(CASE WHEN a.status = 'late' THEN 1 ELSE 0 END) as late,
+                           SUM(CASE WHEN a.status = 'excused' THEN 1 ELSE 0 END) as excused
+                    FROM enrollments e
+                    INNER JOIN users u ON e.user_id = u.id
+                    LEFT JOIN attendance a ON a.batch_id = e.batch_id AND a.user_id = e.user_id
+                    WHERE e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}
+                    GROUP BY e.user_id
+                    ORDER BY u.full_name`,
+                [batchId], (err, rows) => {
+                    if (err) return callback(err);
+
+                    const students = {};
+                    rows.forEach(row => {
+                        const countable = marked.sessions - row.excused;
+                        students[row.user_id] = {
+                            studentId: row.user_id,
+                            studentName: row.full_name,
+                            present: row.present,
+                            late: row.late,
+                            excused: row.excused,
+                            absent: countable - row.present - row.late,
+                            attendanceRate: countable > 0
+                                ? Math.round(((row.present + row.late) / countable) * 100)
+                                : null
+                        };
+                    });
+
+                    callback(null, { sessionsMarked: marked.sessions, students });
+                }
+            );
+        }
+    );
+}
+
+// Attendance sheet for one session day: every participant with their status (null = not marked)
+app.get('/api/batches/:batchId/attendance', authenticateToken, authorizeRole('teacher', 'admin'), authorizeBatch('view'), (req, res) => {
+    const { batchId } = req.params;
+    const { date } = req.query;
+
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'A session date (YYYY-MM-DD) is required' });
+    }
+
+    db.all(`SELECT u.id as user_id, u.full_name, u.username,
+                   a.status, a.notes, a.marked_at, marker.full_name as marked_by_name
+            FROM enrollments e
+            INNER JOIN users u ON e.user_id = u.id
+            LEFT JOIN attendance a ON a.batch_id = e.batch_id AND a.user_id = e.user_id AND a.session_date = ?
+            LEFT JOIN users marker ON a.marked_by = marker.id
+            WHERE e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}
+            ORDER BY u.full_name`,
+        [date, batchId], (err, sheet) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch attendance' });
+            }
+            res.json({ batchId: batchId, sessionDate: date, students: sheet });
+        }
+    );
+});
+
+// Mark attendance for a session day. `records` sets individual statuses;
+// `default_status` (e.g. "present") fills in every other participant.
+app.post('/api/batches/:batchId/attendance', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { session_date, records = [], default_status } = req.body;
+
+    if (!isValidDateString(session_date)) {
+        return res.status(400).json({ error: 'Session date must be a valid YYYY-MM-DD date' });
+    }
+    if (!Array.isArray(records) || records.some(r => !ATTENDANCE_STATUSES.includes(r.status))) {
+        return res.status(400).json({ error: `Each record needs a status of: ${ATTENDANCE_STATUSES.join(', ')}` });
+    }
+    if (default_status !== undefined && !ATTENDANCE_STATUSES.includes(default_status)) {
+        return res.status(400).json({ error: 'Invalid default status' });
+    }
+    if (records.length === 0 && !default_status) {
+        return res.status(400).json({ error: 'Provide records or a default status' });
+    }
+
+    findBatchWithAccess(req, res, 'teach', (batch) => {
+        loadBatchCalendars([batch.id], (err, batches) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to mark attendance' });
+            }
+
+            const sessions = getBatchSessionDates(batches[0], batches[0].holidays.map(h => h.holiday_date));
+            if (!sessions.includes(session_date)) {
+                return res.status(400).json({ error: `${session_date} is not a session day for this batch` });
+            }
+
+            db.all(`SELECT user_id FROM enrollments WHERE batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [batch.id], (err, participants) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to mark attendance' });
+                }
+
+                const participantIds = participants.map(p => p.user_id);
+                const notEnrolled = records.filter(r => !participantIds.includes(Number(r.user_id)));
+                if (notEnrolled.length > 0) {
+                    return res.status(400).json({
+                        error: `Not enrolled in this batch: ${notEnrolled.map(r => r.user_id).join(', ')}`
+                    });
+                }
+
+                const marks = {};
+                if (default_status) {
+                    participantIds.forEach(id => {
+                        marks[id] = { status: default_status, notes: null };
+                    });
+                }
+                records.forEach(r => {
+                    marks[Number(r.user_id)] = { status: r.status, notes: r.notes || null };
+                });
+
+                let failed = false;
+                const stmt = db.prepare(`INSERT INTO attendance (batch_id, user_id, session_date, status, notes, marked_by)
+                                         VALUES (?, ?, ?, ?, ?, ?)
+                                         ON CONFLICT(batch_id, user_id, session_date) DO UPDATE SET
+                                             status = excluded.status,
+                                             notes = excluded.notes,
+                                             marked_by = excluded.marked_by,
+                                             marked_at = CURRENT_TIMESTAMP`);
+                Object.keys(marks).forEach(userId => {
+                    stmt.run([batch.id, userId, session_date, marks[userId].status, marks[userId].notes, req.user.id],
+                        (err) => {
+                            if (err) failed = true;
+                        });
+                });
+                stmt.finalize((err) => {
+                    if (err || failed) {
+                        return res.status(500).json({ error: 'Failed to mark attendance' });
+                    }
+                    res.json({
+                        message: 'Attendance saved successfully',
+                        marked: Object.keys(marks).length
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Attendance percentages per student (students only get their own row)
+app.get('/api/batches/:batchId/attendance/summary', authenticateToken, (req, res) => {
+    const sendSummary = () => {
+        getAttendanceSummary(req.params.batchId, (err, summary) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch attendance summary' });
+            }
+
+            let students = Object.values(summary.students);
+            if (req.user.role === 'student') {
+                students = students.filter(s => s.studentId === req.user.id);
+            }
+
+            res.json({
+                batchId: req.params.batchId,
+                sessionsMarked: summary.sessionsMarked,
+                students: students
+            });
+        });
+    };
+
+    if (req.user.role === 'student') return sendSummary();
+    findBatchWithAccess(req, res, 'view', sendSummary);
+});
+
+// ============ ASSIGNMENTS ============
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(UPLOAD_DIR, { recursive: true }, (err) => cb(err, UPLOAD_DIR));
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname)}`);
+        }
+    }),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS }
+});
+
+// Accept up to MAX_ATTACHMENTS files in the "attachments" field, reporting upload errors as JSON
+function uploadAttachments(req, res, next) {
+    upload.array('attachments', MAX_ATTACHMENTS)(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: `Upload failed: ${err.message}` });
+        }
+        next();
+    });
+}
+
+function removeUploadedFile(storedName) {
+    fs.unlink(path.join(UPLOAD_DIR, storedName), () => {});
+}
+
+function discardUploads(req) {
+    (req.files || []).forEach(file => removeUploadedFile(file.filename));
+}
+
+// Accepts a list (or its JSON string) of { criterion, max_points }
+function parseRubric(rubric) {
+    if (rubric === undefined || rubric === null || rubric === '') return { rubric: null };
+
+    let items = rubric;
+    if (typeof rubric === 'string') {
+        try {
+            items = JSON.parse(rubric);
+        } catch (error) {
+            return { error: 'Rubric must be valid JSON' };
+        }
+    }
+
+    if (!Array.isArray(items) || items.length === 0 ||
+        items.some(item => !item || typeof item !== 'object' || !String(item.criterion || '').trim() || !(Number(item.max_points) > 0))) {
+        return { error: 'Rubric must be a list of { criterion, max_points } with positive points' };
+    }
+
+    return {
+        rubric: items.map(item => ({ criterion: String(item.criterion).trim(), max_points: Number(item.max_points) }))
+    };
+}
+
+function formatAssignment(assignment) {
+    return { ...assignment, rubric: assignment.rubric ? JSON.parse(assignment.rubric) : null };
+}
+
+function formatSubmission(submission) {
+    return { ...submission, rubric_scores: submission.rubric_scores ? JSON.parse(submission.rubric_scores) : null };
+}
+
+// Validate assignment fields; `partial` skips the required-field checks for updates
+function validateAssignmentFields(fields, partial) {
+    if (!partial && (!fields.title || !fields.due_date)) {
+        return { error: 'Title and due date are required' };
+    }
+    if (fields.title !== undefined && typeof fields.title !== 'string') {
+        return { error: 'Title must be text' };
+    }
+    if (fields.title !== undefined && !fields.title.trim()) {
+        return { error: 'Title cannot be empty' };
+    }
+    if (fields.due_date !== undefined && !isValidDateString(fields.due_date)) {
+        return { error: 'Due date must be a valid YYYY-MM-DD date' };
+    }
+
+    const { rubric, error } = parseRubric(fields.rubric);
+    if (error) return { error };
+
+    const rubricTotal = rubric ? rubric.reduce((sum, item) => sum + item.max_points, 0) : null;
+    let maxScore = fields.max_score !== undefined ? Number(fields.max_score) : undefined;
+    if (maxScore !== undefined && !(maxScore > 0)) {
+        return { error: 'Max score must be a positive number' };
+    }
+    if (rubric && maxScore !== undefined && maxScore !== rubricTotal) {
+        return { error: `Max score (${maxScore}) must equal the rubric total (${rubricTotal})` };
+    }
+    if (rubric && maxScore === undefined) maxScore = rubricTotal;
+
+    return { rubric, maxScore };
+}
+
+// Load req.params.assignmentId. Students must be enrolled in its batch and may only 'view';
+// teachers need a batch role that allows `permission`.
+function findAssignment(req, res, permission, callback) {
+    db.get(`SELECT a.*, b.instructor_id, b.name as batch_name, ${BATCH_ROLE_COLUMN}
+            FROM assignments a
+            INNER JOIN batches b ON a.batch_id = b.id
+            WHERE a.id = ?`,
+        [req.user.id, req.user.id, req.params.assignmentId], (err, assignment) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch assignment' });
+            }
+            if (!assignment) {
+                return res.status(404).json({ error: 'Assignment not found' });
+            }
+
+            if (req.user.role === 'student') {
+                if (permission !== 'view') {
+                    return res.status(403).json({ error: 'Insufficient permissions' });
+                }
+                return db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`,
+                    [req.user.id, assignment.batch_id], (err, enrollment) => {
+                        if (err || !enrollment) {
+                            return res.status(404).json({ error: 'Assignment not found' });
+                        }
+                        callback(assignment);
+                    }
+                );
+            }
+
+            if (!canAccessBatch(req.user, assignment.batch_role, permission)) {
+                return res.status(403).json({ error: BATCH_ACCESS_ERRORS[permission] });
+            }
+            callback(assignment);
+        }
+    );
+}
+
+// Load req.params.submissionId. Its author may 'view' it; batch staff need a role that allows `permission`.
+function findSubmission(req, res, permission, callback) {
+    db.get(`SELECT s.*, a.title, a.max_score, a.rubric, a.batch_id, b.instructor_id, ${BATCH_ROLE_COLUMN}
+            FROM assignment_submissions s
+            INNER JOIN assignments a ON s.assignment_id = a.id
+            INNER JOIN batches b ON a.batch_id = b.id
+            WHERE s.id = ?`,
+        [req.user.id, req.user.id, req.params.submissionId], (err, submission) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch submission' });
+            }
+
+            const isAuthor = submission && permission === 'view' && submission.user_id === req.user.id;
+            const isStaff = submission && canAccessBatch(req.user, submission.batch_role, permission);
+
+            if (!submission || (!isAuthor && !isStaff)) {
+                return res.status(404).json({ error: 'Submission not found' });
+            }
+            callback(submission);
+        }
+    );
+}
+
+// Create an assignment for a batch
+app.post('/api/batches/:batchId/assignments', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { title, description, due_date } = req.body;
+
+    const { rubric, maxScore, error } = validateAssignmentFields(req.body, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    findManagedBatch(req, res, (batch) => {
+        db.run(`INSERT INTO assignments (batch_id, title, description, due_date, max_score, rubric, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [batch.id, title.trim(), description || null, due_date, maxScore || 100,
+             rubric ? JSON.stringify(rubric) : null, req.user.id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create assignment' });
+                }
+                res.status(201).json({
+                    message: 'Assignment created successfully',
+                    assignmentId: this.lastID
+                });
+            }
+        );
+    });
+});
+
+// List a batch's assignments. Students see their own submission status,
+// instructors see submission and grading counts.
+app.get('/api/batches/:batchId/assignments', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+
+    const sendAssignments = (query, params) => {
+        db.all(query, params, (err, assignments) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch assignments' });
+            }
+            res.json(assignments.map(formatAssignment));
+        });
+    };
+
+    if (req.user.role !== 'student') {
+        return findBatchWithAccess(req, res, 'view', () => sendAssignments(`
+            SELECT a.*,
+                   (SELECT COUNT(*) FROM assignment_submissions WHERE assignment_id = a.id) as submission_count,
+                   (SELECT COUNT(*) FROM assignment_submissions WHERE assignment_id = a.id AND status = 'graded') as graded_count
+            FROM assignments a
+            WHERE a.batch_id = ?
+            ORDER BY a.due_date ASC`, [batchId]));
+    }
+
+    db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [req.user.id, batchId], (err, enrollment) => {
+        if (err || !enrollment) {
+            return res.status(403).json({ error: 'Not enrolled in this batch' });
+        }
+        sendAssignments(`
+            SELECT a.*, s.id as submission_id, s.status as submission_status, s.is_late,
+                   s.score, s.feedback, s.submitted_at
+            FROM assignments a
+            LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.user_id = ?
+            WHERE a.batch_id = ?
+            ORDER BY a.due_date ASC`, [req.user.id, batchId]);
+    });
+});
+
+// All assignments across the student's enrolled batches
+app.get('/api/my-assignments', authenticateToken, (req, res) => {
+    const query = `
+        SELECT a.*, b.name as batch_name,
+               s.id as submission_id, s.status as submission_status, s.is_late,
+               s.score, s.feedback, s.submitted_at, s.graded_at
+        FROM assignments a
+        INNER JOIN batches b ON a.batch_id = b.id
+        INNER JOIN enrollments e ON e.batch_id = a.batch_id AND e.user_id = ? AND e.${ACTIVE_ENROLLMENT}
+        LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.user_id = ?
+        ORDER BY a.due_date ASC
+    `;
+
+    db.all(query, [req.user.id, req.user.id], (err, assignments) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch assignments' });
+        }
+        res.json(assignments.map(formatAssignment));
+    });
+});
+
+// Update an assignment
+app.patch('/api/assignments/:assignmentId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findAssignment(req, res, 'manage', (assignment) => {
+        const changes = {};
+        ['title', 'description', 'due_date', 'max_score', 'rubric'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
+        }
+
+        // Check max score against the rubric that will apply after the update
+        const { rubric, maxScore, error } = validateAssignmentFields({
+            ...changes,
+            rubric: changes.rubric !== undefined ? changes.rubric : assignment.rubric,
+            max_score: changes.max_score !== undefined ? changes.max_score
+                : (changes.rubric !== undefined ? undefined : assignment.max_score)
+        }, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (changes.rubric !== undefined) changes.rubric = rubric ? JSON.stringify(rubric) : null;
+        if (changes.max_score !== undefined || rubric) changes.max_score = maxScore;
+
+        const fields = Object.keys(changes);
+        db.run(`UPDATE assignments SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...fields.map(f => changes[f]), assignment.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update assignment' });
+                }
+                res.json({ message: 'Assignment updated successfully' });
+            }
+        );
+    });
+});
+
+// Delete an assignment with its submissions and uploaded files
+app.delete('/api/assignments/:assignmentId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findAssignment(req, res, 'manage', (assignment) => {
+        db.all(`SELECT f.stored_name FROM submission_attachments f
+                INNER JOIN assignment_submissions s ON f.submission_id = s.id
+                WHERE s.assignment_id = ?`,
+            [assignment.id], (err, attachments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to delete assignment' });
+                }
+
+                runStatementsInTransaction([
+                    [`DELETE FROM submission_attachments
+                      WHERE submission_id IN (SELECT id FROM assignment_submissions WHERE assignment_id = ?)`, [assignment.id]],
+                    ['DELETE FROM assignment_submissions WHERE assignment_id = ?', [assignment.id]],
+                    ['DELETE FROM assignments WHERE id = ?', [assignment.id]]
+                ], (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to delete assignment' });
+                    }
+                    attachments.forEach(file => removeUploadedFile(file.stored_name));
+                    res.json({ message: 'Assignment deleted successfully' });
+                });
+            }
+        );
+    });
+});
+
+// Submit (or resubmit, until graded) an assignment: text in "content", files in "attachments"
+app.post('/api/assignments/:assignmentId/submissions', authenticateToken, authorizeRole('student'), uploadAttachments, (req, res) => {
+    const content = String(req.body.content || '').trim();
+    const files = req.files || [];
+
+    if (!content && files.length === 0) {
+        return res.status(400).json({ error: 'Add some text or at least one attachment' });
+    }
+
+    // Uploaded files are already on disk; remove them if the request fails
+    res.on('finish', () => {
+        if (res.statusCode >= 400) discardUploads(req);
+    });
+
+    findAssignment(req, res, 'view', (assignment) => {
+        db.get('SELECT * FROM assignment_submissions WHERE assignment_id = ? AND user_id = ?',
+            [assignment.id, req.user.id], (err, existing) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to submit assignment' });
+                }
+                if (existing && existing.status === 'graded') {
+                    return res.status(400).json({ error: 'This submission has already been graded' });
+                }
+
+                const isLate = toDateString(new Date()) > assignment.due_date ? 1 : 0;
+
+                const saveAttachments = (submissionId) => {
+                    const stmt = db.prepare(`INSERT INTO submission_attachments (submission_id, original_name, stored_name, mime_type, size)
+                                             VALUES (?, ?, ?, ?, ?)`);
+                    files.forEach(file => stmt.run([submissionId, file.originalname, file.filename, file.mimetype, file.size]));
+                    stmt.finalize((err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to save attachments' });
+                        }
+                        res.json({
+                            message: existing ? 'Submission updated successfully' : 'Assignment submitted successfully',
+                            submissionId: submissionId,
+                            late: !!isLate
+                        });
+                    });
+                };
+
+                if (existing) {
+                    return db.run(`UPDATE assignment_submissions
+                                   SET content = ?, is_late = ?, updated_at = CURRENT_TIMESTAMP
+                                   WHERE id = ?`,
+                        [content || existing.content, isLate, existing.id],
+                        (err) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Failed to submit assignment' });
+                            }
+                            saveAttachments(existing.id);
+                        }
+                    );
+                }
+
+                db.run('INSERT INTO assignment_submissions (assignment_id, user_id, content, is_late) VALUES (?, ?, ?, ?)',
+                    [assignment.id, req.user.id, content || null, isLate],
+                    function(err) {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to submit assignment' });
+                        }
+                        saveAttachments(this.lastID);
+                    }
+                );
+            }
+        );
+    });
+});
+
+// All submissions for an assignment (instructor view)
+app.get('/api/assignments/:assignmentId/submissions', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findAssignment(req, res, 'view', (assignment) => {
+        db.all(`SELECT s.*, u.full_name as student_name, u.username,
+                       (SELECT COUNT(*) FROM submission_attachments WHERE submission_id = s.id) as attachment_count
+                FROM assignment_submissions s
+                INNER JOIN users u ON s.user_id = u.id
+                WHERE s.assignment_id = ?
+                ORDER BY s.submitted_at ASC`,
+            [assignment.id], (err, submissions) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch submissions' });
+                }
+                res.json({
+                    assignment: formatAssignment(assignment),
+                    submissions: submissions.map(formatSubmission)
+                });
+            }
+        );
+    });
+});
+
+// One submission with its attachments
+app.get('/api/submissions/:submissionId', authenticateToken, (req, res) => {
+    findSubmission(req, res, 'view', (submission) => {
+        db.all(`SELECT id, original_name, mime_type, size, uploaded_at
+                FROM submission_attachments WHERE submission_id = ? ORDER BY id`,
+            [submission.id], (err, attachments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch submission' });
+                }
+                res.json({
+                    ...formatSubmission(submission),
+                    rubric: submission.rubric ? JSON.parse(submission.rubric) : null,
+                    attachments: attachments
+                });
+            }
+        );
+    });
+});
+
+// Download a submission attachment
+app.get('/api/submissions/:submissionId/attachments/:attachmentId', authenticateToken, (req, res) => {
+    findSubmission(req, res, 'view', (submission) => {
+        db.get('SELECT * FROM submission_attachments WHERE id = ? AND submission_id = ?',
+            [req.params.attachmentId, submission.id], (err, attachment) => {
+                if (err || !attachment) {
+                    return res.status(404).json({ error: 'Attachment not found' });
+                }
+                res.download(path.join(UPLOAD_DIR, attachment.stored_name), attachment.original_name, (err) => {
+                    if (err && !res.headersSent) {
+                        res.status(404).json({ error: 'Attachment file is missing' });
+                    }
+                });
+            }
+        );
+    });
+});
+
+// Grade a submission. With a rubric, send rubric_scores [{ criterion, points }]
+// and the score is their sum; otherwise send score directly.
+app.post('/api/submissions/:submissionId/grade', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { rubric_scores, score, feedback } = req.body;
+
+    findSubmission(req, res, 'teach', (submission) => {
+        const rubric = submission.rubric ? JSON.parse(submission.rubric) : null;
+        let finalScore;
+        let rubricScores = null;
+
+        if (rubric) {
+            if (!Array.isArray(rubric_scores)) {
+                return res.status(400).json({ error: 'Rubric scores are required for this assignment' });
+            }
+
+            rubricScores = [];
+            for (const item of rubric) {
+                const given = rubric_scores.find(r => r && typeof r === 'object' && r.criterion === item.criterion);
+                const points = given ? Number(given.points) : NaN;
+                if (isNaN(points) || points < 0 || points > item.max_points) {
+                    return res.status(400).json({
+                        error: `"${item.criterion}" needs a score between 0 and ${item.max_points}`
+                    });
+                }
+                rubricScores.push({ criterion: item.criterion, points, max_points: item.max_points });
+            }
+            finalScore = rubricScores.reduce((sum, item) => sum + item.points, 0);
+        } else {
+            finalScore = Number(score);
+            if (score === undefined || isNaN(finalScore) || finalScore < 0 || finalScore > submission.max_score) {
+                return res.status(400).json({ error: `Score must be between 0 and ${submission.max_score}` });
+            }
+        }
+
+        db.run(`UPDATE assignment_submissions
+                SET status = 'graded', score = ?, rubric_scores = ?, feedback = ?,
+                    graded_by = ?, graded_at = CURRENT_TIMESTAMP
+                WHERE id = ?`,
+            [finalScore, rubricScores ? JSON.stringify(rubricScores) : null, feedback || null, req.user.id, submission.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to grade submission' });
+                }
+                res.json({ message: 'Submission graded successfully', score: finalScore });
+            }
+        );
+    });
+});
+
+// Gradebook: every student's result on every assignment of a batch
+app.get('/api/batches/:batchId/gradebook', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'view', (batch) => {
+        db.all('SELECT id, title, due_date, max_score FROM assignments WHERE batch_id = ? ORDER BY due_date ASC',
+            [batch.id], (err, assignments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to build gradebook' });
+                }
+
+                db.all(`SELECT u.id, u.full_name FROM users u
+                        INNER JOIN enrollments e ON u.id = e.user_id
+                        WHERE e.batch_id = ? AND e.${ACTIVE_ENROLLMENT}
+                        ORDER BY u.full_name`,
+                    [batch.id], (err, students) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to build gradebook' });
+                        }
+
+                        db.all(`SELECT s.assignment_id, s.user_id, s.status, s.score, s.is_late
+                                FROM assignment_submissions s
+                                INNER JOIN assignments a ON s.assignment_id = a.id
+                                WHERE a.batch_id = ?`,
+                            [batch.id], (err, submissions) => {
+                                if (err) {
+                                    return res.status(500).json({ error: 'Failed to build gradebook' });
+                                }
+
+                                const today = toDateString(new Date());
+                                const rows = students.map(student => {
+                                    let earned = 0;
+                                    let possible = 0;
+                                    let missing = 0;
+
+                                    const grades = assignments.map(assignment => {
+                                        const submission = submissions.find(s =>
+                                            s.assignment_id === assignment.id && s.user_id === student.id);
+
+                                        if (submission && submission.status === 'graded') {
+                                            earned += submission.score;
+                                            possible += assignment.max_score;
+                                        } else if (!submission && assignment.due_date < today) {
+                                            missing++;
+                                        }
+
+                                        return {
+                                            assignmentId: assignment.id,
+                                            status: submission ? submission.status : 'not_submitted',
+                                            score: submission ? submission.score : null,
+                                            late: submission ? !!submission.is_late : false
+                                        };
+                                    });
+
+                                    return {
+                                        studentId: student.id,
+                                        studentName: student.full_name,
+                                        grades: grades,
+                                        totalScore: earned,
+                                        totalPossible: possible,
+                                        percentage: possible > 0 ? Math.round((earned / possible) * 100) : null,
+                                        missing: missing
+                                    };
+                                });
+
+                                res.json({
+                                    batchId: batch.id,
+                                    assignments: assignments,
+                                    students: rows
+                                });
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    });
+});
+
+// ============ QUIZZES ============
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+const QUIZ_SUBMIT_GRACE_MS = 30 * 1000;
+
+// Returns { question } in storage shape or { error }
+function validateQuestion(q) {
+    if (!q || typeof q !== 'object') {
+        return { error: 'Each question must be an object' };
+    }
+    const type = q.question_type;
+    if (!QUESTION_TYPES.includes(type)) {
+        return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+    if (!String(q.prompt || '').trim()) {
+        return { error: 'Question prompt is required' };
+    }
+
+    const points = q.points === undefined ? 1 : Number(q.points);
+    if (!(points > 0)) {
+        return { error: 'Question points must be a positive number' };
+    }
+
+    let options = null;
+    let correct = q.correct_answer;
+
+    if (type === 'multiple_choice' || type === 'multi_select') {
+        if (!Array.isArray(q.options) || q.options.length < 2 || q.options.some(o => !String(o).trim())) {
+            return { error: 'Choice questions need at least two non-empty options' };
+        }
+        options = q.options.map(o => String(o).trim());
+
+        const isOption = (i) => Number.isInteger(i) && i >= 0 && i < options.length;
+        if (type === 'multiple_choice' && !isOption(correct)) {
+            return { error: 'correct_answer must be the index of the right option' };
+        }
+        if (type === 'multi_select' && (!Array.isArray(correct) || correct.length === 0 ||
+            !correct.every(isOption) || new Set(correct).size !== correct.length)) {
+            return { error: 'correct_answer must be a list of option indexes' };
+        }
+    } else if (type === 'true_false') {
+        if (typeof correct !== 'boolean') {
+            return { error: 'correct_answer must be true or false' };
+        }
+    } else {
+        // Short answers accept one or more answers
+        correct = [].concat(correct === undefined || correct === null ? [] : correct)
+            .map(answer => String(answer).trim())
+            .filter(answer => answer);
+        if (correct.length === 0) {
+            return { error: 'correct_answer must list at least one accepted answer' };
+        }
+    }
+
+    return {
+        question: {
+            question_type: type,
+            prompt: String(q.prompt).trim(),
+            options: options ? JSON.stringify(options) : null,
+            correct_answer: JSON.stringify(correct),
+            points: points
+        }
+    };
+}
+
+function normalizeShortAnswer(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// All-or-nothing: multi-select answers must match the correct set exactly
+function isAnswerCorrect(question, answer) {
+    if (answer === undefined || answer === null || answer === '') return false;
+    const correct = JSON.parse(question.correct_answer);
+
+    switch (question.question_type) {
+        case 'multiple_choice':
+            return Number(answer) === correct;
+        case 'multi_select': {
+            if (!Array.isArray(answer)) return false;
+            const chosen = new Set(answer.map(Number));
+            return chosen.size === correct.length && correct.every(i => chosen.has(i));
+        }
+        case 'true_false':
+            return String(answer) === String(correct);
+        case 'short_answer':
+            return correct.some(accepted => normalizeShortAnswer(accepted) === normalizeShortAnswer(answer));
+        default:
+            return false;
+    }
+}
+
+// Questions as sent to clients; correct answers only when `withAnswers` is set
+function formatQuestion(question, withAnswers) {
+    const formatted = {
+        id: question.id,
+        position: question.position,
+        question_type: question.question_type,
+        prompt: question.prompt,
+        options: question.options ? JSON.parse(question.options) : null,
+        points: question.points
+    };
+    if (withAnswers) formatted.correct_answer = JSON.parse(question.correct_answer);
+    return formatted;
+}
+
+function validateQuizFields(fields, partial) {
+    if (!partial && !fields.title) {
+        return 'Title is required';
+    }
+    if (fields.title !== undefined && typeof fields.title !== 'string') {
+        return 'Title must be text';
+    }
+    if (fields.title !== undefined && !fields.title.trim()) {
+        return 'Title cannot be empty';
+    }
+    if (fields.time_limit_minutes !== undefined && fields.time_limit_minutes !== null &&
+        !(Number.isInteger(Number(fields.time_limit_minutes)) && Number(fields.time_limit_minutes) > 0)) {
+        return 'Time limit must be a positive number of minutes';
+    }
+    if (fields.max_attempts !== undefined &&
+        !(Number.isInteger(Number(fields.max_attempts)) && Number(fields.max_attempts) >= 0)) {
+        return 'Max attempts must be 0 (unlimited) or more';
+    }
+    return null;
+}
+
+function hasAttemptsLeft(quiz, attemptsUsed) {
+    return quiz.max_attempts === 0 || attemptsUsed < quiz.max_attempts;
+}
+
+function isAttemptOverdue(attempt) {
+    return !!attempt.expires_at && Date.now() > Date.parse(attempt.expires_at) + QUIZ_SUBMIT_GRACE_MS;
+}
+
+// An attempt that ran out of time without being submitted scores zero
+function expireAttempt(attempt, callback) {
+    db.run(`UPDATE quiz_attempts
+            SET status = 'expired', submitted_at = ?, score = 0, percentage = 0,
+                max_score = (SELECT COALESCE(SUM(points), 0) FROM quiz_questions WHERE quiz_id = ?)
+            WHERE id = ?`,
+        [new Date().toISOString(), attempt.quiz_id, attempt.id], callback);
+}
+
+// Load req.params.quizId. Students must be enrolled, only see published quizzes and may only 'view';
+// teachers need a batch role that allows `permission`.
+function findQuiz(req, res, permission, callback) {
+    db.get(`SELECT q.*, b.instructor_id, ${BATCH_ROLE_COLUMN}
+            FROM quizzes q
+            INNER JOIN batches b ON q.batch_id = b.id
+            WHERE q.id = ?`,
+        [req.user.id, req.user.id, req.params.quizId], (err, quiz) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch quiz' });
+            }
+            if (!quiz) {
+                return res.status(404).json({ error: 'Quiz not found' });
+            }
+
+            if (req.user.role === 'student') {
+                if (permission !== 'view') {
+                    return res.status(403).json({ error: 'Insufficient permissions' });
+                }
+                if (!quiz.is_published) {
+                    return res.status(404).json({ error: 'Quiz not found' });
+                }
+                return db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`,
+                    [req.user.id, quiz.batch_id], (err, enrollment) => {
+                        if (err || !enrollment) {
+                            return res.status(404).json({ error: 'Quiz not found' });
+                        }
+                        callback(quiz);
+                    }
+                );
+            }
+
+            if (!canAccessBatch(req.user, quiz.batch_role, permission)) {
+                return res.status(403).json({ error: BATCH_ACCESS_ERRORS[permission] });
+            }
+            callback(quiz);
+        }
+    );
+}
+
+// Questions can't change once someone has attempted the quiz
+function ensureNoAttempts(res, quizId, callback) {
+    db.get('SELECT COUNT(*) as count FROM quiz_attempts WHERE quiz_id = ?', [quizId], (err, row) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to check quiz attempts' });
+        }
+        if (row.count > 0) {
+            return res.status(409).json({ error: 'Questions cannot be changed after students have attempted the quiz' });
+        }
+        callback();
+    });
+}
+
+function insertQuestions(quizId, questions, startPosition, callback) {
+    const stmt = db.prepare(`INSERT INTO quiz_questions (quiz_id, position, question_type, prompt, options, correct_answer, points)
+                             VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    questions.forEach((q, i) => {
+        stmt.run([quizId, startPosition + i, q.question_type, q.prompt, q.options, q.correct_answer, q.points]);
+    });
+    stmt.finalize(callback);
+}
+
+// Create a quiz, optionally with its questions
+app.post('/api/batches/:batchId/quizzes', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { title, description, time_limit_minutes, max_attempts, questions } = req.body;
+
+    const validationError = validateQuizFields(req.body, false);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    if (questions !== undefined && !Array.isArray(questions)) {
+        return res.status(400).json({ error: 'Questions must be a list' });
+    }
+
+    const validated = [];
+    for (const [i, q] of (questions || []).entries()) {
+        const { question, error } = validateQuestion(q);
+        if (error) {
+            return res.status(400).json({ error: `Question ${i + 1}: ${error}` });
+        }
+        validated.push(question);
+    }
+
+    if (req.body.is_published && validated.length === 0) {
+        return res.status(400).json({ error: 'A quiz needs questions before it can be published' });
+    }
+
+    findManagedBatch(req, res, (batch) => {
+        db.run(`INSERT INTO quizzes (batch_id, title, description, time_limit_minutes, max_attempts, is_published, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [batch.id, title.trim(), description || null, time_limit_minutes || null,
+             max_attempts !== undefined ? Number(max_attempts) : 1, req.body.is_published ? 1 : 0, req.user.id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create quiz' });
+                }
+                const quizId = this.lastID;
+
+                insertQuestions(quizId, validated, 1, (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to save questions' });
+                    }
+                    res.status(201).json({
+                        message: 'Quiz created successfully',
+                        quizId: quizId
+                    });
+                });
+            }
+        );
+    });
+});
+
+// List a batch's quizzes. Students see published quizzes with their attempts and best score.
+app.get('/api/batches/:batchId/quizzes', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+
+    const sendQuizzes = (query, params) => {
+        db.all(query, params, (err, quizzes) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch quizzes' });
+            }
+            res.json(quizzes);
+        });
+    };
+
+    const questionTotals = `
+        (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id) as question_count,
+        (SELECT COALESCE(SUM(points), 0) FROM quiz_questions WHERE quiz_id = q.id) as total_points`;
+
+    if (req.user.role !== 'student') {
+        return findBatchWithAccess(req, res, 'view', () => sendQuizzes(`
+            SELECT q.*, ${questionTotals},
+                   (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND status != 'in_progress') as attempt_count
+            FROM quizzes q
+            WHERE q.batch_id = ?
+            ORDER BY q.created_at ASC`, [batchId]));
+    }
+
+    db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [req.user.id, batchId], (err, enrollment) => {
+        if (err || !enrollment) {
+            return res.status(403).json({ error: 'Not enrolled in this batch' });
+        }
+        sendQuizzes(`
+            SELECT q.id, q.batch_id, q.title, q.description, q.time_limit_minutes, q.max_attempts, ${questionTotals},
+                   (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND user_id = ?) as attempts_used,
+                   (SELECT MAX(percentage) FROM quiz_attempts
+                    WHERE quiz_id = q.id AND user_id = ? AND status != 'in_progress') as best_score
+            FROM quizzes q
+            WHERE q.batch_id = ? AND q.is_published = 1
+            ORDER BY q.created_at ASC`, [req.user.id, req.user.id, batchId]);
+    });
+});
+
+// Quiz details; instructors also get the correct answers
+app.get('/api/quizzes/:quizId', authenticateToken, (req, res) => {
+    findQuiz(req, res, 'view', (quiz) => {
+        if (req.user.role === 'student') {
+            const { instructor_id, created_by, batch_role, ...visible } = quiz;
+            return res.json(visible);
+        }
+
+        db.all('SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY position', [quiz.id], (err, questions) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch questions' });
+            }
+            res.json({ ...quiz, questions: questions.map(q => formatQuestion(q, true)) });
+        });
+    });
+});
+
+// Update quiz settings or publish it
+app.patch('/api/quizzes/:quizId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findQuiz(req, res, 'manage', (quiz) => {
+        const changes = {};
+        ['title', 'description', 'time_limit_minutes', 'max_attempts', 'is_published'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
+        }
+
+        const validationError = validateQuizFields(changes, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (changes.is_published !== undefined) changes.is_published = changes.is_published ? 1 : 0;
+
+        db.get('SELECT COUNT(*) as count FROM quiz_questions WHERE quiz_id = ?', [quiz.id], (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update quiz' });
+            }
+            if (changes.is_published && row.count === 0) {
+                return res.status(400).json({ error: 'A quiz needs questions before it can be published' });
+            }
+
+            const fields = Object.keys(changes);
+            db.run(`UPDATE quizzes SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...fields.map(f => changes[f]), quiz.id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to update quiz' });
+                    }
+                    res.json({ message: 'Quiz updated successfully' });
+                }
+            );
+        });
+    });
+});
+
+// Delete a quiz with its questions and attempts
+app.delete('/api/quizzes/:quizId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findQuiz(req, res, 'manage', (quiz) => {
+        runStatementsInTransaction([
+            ['DELETE FROM quiz_answers WHERE attempt_id IN (SELECT id FROM quiz_attempts WHERE quiz_id = ?)', [quiz.id]],
+            ['DELETE FROM quiz_attempts WHERE quiz_id = ?', [quiz.id]],
+            ['DELETE FROM quiz_questions WHERE quiz_id = ?', [quiz.id]],
+            ['DELETE FROM quizzes WHERE id = ?', [quiz.id]]
+        ], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete quiz' });
+            }
+            res.json({ message: 'Quiz deleted successfully' });
+        });
+    });
+});
+
+// Add a question
+app.post('/api/quizzes/:quizId/questions', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { question, error } = validateQuestion(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    findQuiz(req, res, 'manage', (quiz) => {
+        ensureNoAttempts(res, quiz.id, () => {
+            db.get('SELECT COALESCE(MAX(position), 0) as last FROM quiz_questions WHERE quiz_id = ?', [quiz.id], (err, row) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to add question' });
+                }
+                insertQuestions(quiz.id, [question], row.last + 1, (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to add question' });
+                    }
+                    res.status(201).json({ message: 'Question added successfully' });
+                });
+            });
+        });
+    });
+});
+
+// Replace a question
+app.put('/api/quizzes/:quizId/questions/:questionId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { question, error } = validateQuestion(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    findQuiz(req, res, 'manage', (quiz) => {
+        ensureNoAttempts(res, quiz.id, () => {
+            db.run(`UPDATE quiz_questions
+                    SET question_type = ?, prompt = ?, options = ?, correct_answer = ?, points = ?
+                    WHERE id = ? AND quiz_id = ?`,
+                [question.question_type, question.prompt, question.options, question.correct_answer, question.points,
+                 req.params.questionId, quiz.id],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to update question' });
+                    }
+                    if (this.changes === 0) {
+                        return res.status(404).json({ error: 'Question not found' });
+                    }
+                    res.json({ message: 'Question updated successfully' });
+                }
+            );
+        });
+    });
+});
+
+app.delete('/api/quizzes/:quizId/questions/:questionId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findQuiz(req, res, 'manage', (quiz) => {
+        ensureNoAttempts(res, quiz.id, () => {
+            db.run('DELETE FROM quiz_questions WHERE id = ? AND quiz_id = ?', [req.params.questionId, quiz.id], function(err) {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to delete question' });
+                }
+                if (this.changes === 0) {
+                    return res.status(404).json({ error: 'Question not found' });
+                }
+                res.json({ message: 'Question deleted successfully' });
+            });
+        });
+    });
+});
+
+// Start an attempt (or resume the one in progress). Returns the questions without answers.
+app.post('/api/quizzes/:quizId/attempts', authenticateToken, authorizeRole('student'), (req, res) => {
+    findQuiz(req, res, 'view', (quiz) => {
+        db.all('SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY position', [quiz.id], (err, questions) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to start quiz' });
+            }
+            if (questions.length === 0) {
+                return res.status(400).json({ error: 'This quiz has no questions yet' });
+            }
+
+            db.all('SELECT * FROM quiz_attempts WHERE quiz_id = ? AND user_id = ? ORDER BY attempt_number',
+                [quiz.id, req.user.id], (err, attempts) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to start quiz' });
+                    }
+
+                    const sendAttempt = (status, attempt) => res.status(status).json({
+                        attemptId: attempt.id,
+                        attemptNumber: attempt.attempt_number,
+                        startedAt: attempt.started_at,
+                        expiresAt: attempt.expires_at,
+                        questions: questions.map(q => formatQuestion(q, false))
+                    });
+
+                    const current = attempts.find(a => a.status === 'in_progress');
+                    if (current && !isAttemptOverdue(current)) {
+                        return sendAttempt(200, current);
+                    }
+
+                    const start = () => {
+                        if (!hasAttemptsLeft(quiz, attempts.length)) {
+                            return res.status(403).json({ error: 'No attempts left for this quiz' });
+                        }
+
+                        const startedAt = new Date();
+                        const attempt = {
+                            attempt_number: attempts.length + 1,
+                            started_at: startedAt.toISOString(),
+                            expires_at: quiz.time_limit_minutes
+                                ? new Date(startedAt.getTime() + quiz.time_limit_minutes * 60 * 1000).toISOString()
+                                : null
+                        };
+
+                        db.run(`INSERT INTO quiz_attempts (quiz_id, user_id, attempt_number, started_at, expires_at)
+                                VALUES (?, ?, ?, ?, ?)`,
+                            [quiz.id, req.user.id, attempt.attempt_number, attempt.started_at, attempt.expires_at],
+                            function(err) {
+                                if (err) {
+                                    return res.status(500).json({ error: 'Failed to start quiz' });
+                                }
+                                sendAttempt(201, { ...attempt, id: this.lastID });
+                            }
+                        );
+                    };
+
+                    if (!current) return start();
+
+                    expireAttempt(current, (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to start quiz' });
+                        }
+                        start();
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Load req.params.attemptId with its quiz; students only see their own attempts,
+// teachers only attempts in batches they are staff of
+function findAttempt(req, res, callback) {
+    db.get(`SELECT t.*, q.title, q.max_attempts, q.batch_id, b.instructor_id, ${BATCH_ROLE_COLUMN}
+            FROM quiz_attempts t
+            INNER JOIN quizzes q ON t.quiz_id = q.id
+            INNER JOIN batches b ON q.batch_id = b.id
+            WHERE t.id = ?`,
+        [req.user.id, req.user.id, req.params.attemptId], (err, attempt) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch attempt' });
+            }
+
+            const allowed = attempt && (
+                (req.user.role === 'student' && attempt.user_id === req.user.id) ||
+                canAccessBatch(req.user, attempt.batch_role, 'view')
+            );
+            if (!allowed) {
+                return res.status(404).json({ error: 'Attempt not found' });
+            }
+            callback(attempt);
+        }
+    );
+}
+
+// Per-question results. Students see correct answers once they have no attempts left.
+function sendAttemptResults(req, res, attempt) {
+    db.all(`SELECT qq.*, a.answer, a.is_correct, a.points_awarded
+            FROM quiz_questions qq
+            LEFT JOIN quiz_answers a ON a.question_id = qq.id AND a.attempt_id = ?
+            WHERE qq.quiz_id = ?
+            ORDER BY qq.position`,
+        [attempt.id, attempt.quiz_id], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch results' });
+            }
+
+            db.get('SELECT COUNT(*) as count FROM quiz_attempts WHERE quiz_id = ? AND user_id = ?',
+                [attempt.quiz_id, attempt.user_id], (err, used) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to fetch results' });
+                    }
+
+                    const showAnswers = req.user.role !== 'student' || !hasAttemptsLeft(attempt, used.count);
+
+                    res.json({
+                        attemptId: attempt.id,
+                        quizId: attempt.quiz_id,
+                        title: attempt.title,
+                        attemptNumber: attempt.attempt_number,
+                        status: attempt.status,
+                        startedAt: attempt.started_at,
+                        submittedAt: attempt.submitted_at,
+                        score: attempt.score,
+                        maxScore: attempt.max_score,
+                        percentage: attempt.percentage,
+                        attemptsLeft: attempt.max_attempts === 0 ? null : Math.max(attempt.max_attempts - used.count, 0),
+                        questions: rows.map(row => ({
+                            ...formatQuestion(row, showAnswers),
+                            answer: row.answer ? JSON.parse(row.answer) : null,
+                            is_correct: !!row.is_correct,
+                            points_awarded: row.points_awarded || 0
+                        }))
+                    });
+                }
+            );
+        }
+    );
+}
+
+// Submit answers: [{ question_id, answer }] where answer is an option index,
+// a list of indexes, true/false or text depending on the question type
+app.post('/api/quiz-attempts/:attemptId/submit', authenticateToken, authorizeRole('student'), (req, res) => {
+    const answers = (Array.isArray(req.body.answers) ? req.body.answers : []).filter(a => a && typeof a === 'object');
+
+    findAttempt(req, res, (attempt) => {
+        if (attempt.status !== 'in_progress') {
+            return res.status(409).json({ error: 'This attempt has already been submitted' });
+        }
+
+        if (isAttemptOverdue(attempt)) {
+            return expireAttempt(attempt, () => {
+                res.status(409).json({ error: 'Time limit exceeded - the attempt was closed with a score of 0' });
+            });
+        }
+
+        db.all('SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY position', [attempt.quiz_id], (err, questions) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to submit quiz' });
+            }
+
+            let score = 0;
+            let maxScore = 0;
+            const results = questions.map(question => {
+                const given = answers.find(a => Number(a.question_id) === question.id);
+                const answer = given ? given.answer : null;
+                const correct = isAnswerCorrect(question, answer);
+                const points = correct ? question.points : 0;
+
+                score += points;
+                maxScore += question.points;
+                return [attempt.id, question.id, JSON.stringify(answer === undefined ? null : answer), correct ? 1 : 0, points];
+            });
+
+            const percentage = maxScore > 0 ? Math.round((score / maxScore) * 1000) / 10 : 0;
+            const stmt = db.prepare(`INSERT INTO quiz_answers (attempt_id, question_id, answer, is_correct, points_awarded)
+                                     VALUES (?, ?, ?, ?, ?)`);
+            results.forEach(row => stmt.run(row));
+            stmt.finalize((err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to save answers' });
+                }
+
+                const submittedAt = new Date().toISOString();
+                db.run(`UPDATE quiz_attempts
+                        SET status = 'submitted', submitted_at = ?, score = ?, max_score = ?, percentage = ?
+                        WHERE id = ?`,
+                    [submittedAt, score, maxScore, percentage, attempt.id],
+                    (err) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to submit quiz' });
+                        }
+                        sendAttemptResults(req, res, {
+                            ...attempt,
+                            status: 'submitted',
+                            submitted_at: submittedAt,
+                            score: score,
+                            max_score: maxScore,
+                            percentage: percentage
+                        });
+                    }
+                );
+            });
+        });
+    });
+});
+
+app.get('/api/quiz-attempts/:attemptId', authenticateToken, (req, res) => {
+    findAttempt(req, res, (attempt) => {
+        if (attempt.status === 'in_progress' && req.user.role === 'student') {
+            return res.status(409).json({ error: 'Submit the attempt to see its results' });
+        }
+        sendAttemptResults(req, res, attempt);
+    });
+});
+
+// Quiz results for instructors: best score per student and how often each question was answered correctly
+app.get('/api/quizzes/:quizId/results', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findQuiz(req, res, 'view', (quiz) => {
+        db.all(`SELECT u.id as student_id, u.full_name as student_name,
+                       COUNT(t.id) as attempts, MAX(t.percentage) as best_score,
+                       MAX(t.submitted_at) as last_submitted_at
+                FROM quiz_attempts t
+                INNER JOIN users u ON t.user_id = u.id
+                WHERE t.quiz_id = ? AND t.status != 'in_progress'
+                GROUP BY u.id
+                ORDER BY u.full_name`,
+            [quiz.id], (err, students) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch quiz results' });
+                }
+
+                db.all(`SELECT qq.id, qq.position, qq.prompt, qq.question_type,
+                               COUNT(a.id) as answered,
+                               COALESCE(SUM(a.is_correct), 0) as correct
+                        FROM quiz_questions qq
+                        LEFT JOIN quiz_answers a ON a.question_id = qq.id
+                        WHERE qq.quiz_id = ?
+                        GROUP BY qq.id
+                        ORDER BY qq.position`,
+                    [quiz.id], (err, questions) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to fetch quiz results' });
+                        }
+
+                        const scores = students.map(s => s.best_score);
+                        res.json({
+                            quizId: quiz.id,
+                            title: quiz.title,
+                            averageScore: scores.length > 0
+                                ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length)
+                                : null,
+                            students: students,
+                            questions: questions.map(q => ({
+                                ...q,
+                                correctRate: q.answered > 0 ? Math.round((q.correct / q.answered) * 100) : null
+                            }))
+                        });
+                    }
+                );
+            }
+        );
+    });
+});
+
+// ============ CURRICULUM ============
+
+// Lesson totals for batch `b` and lessons completed by the enrolled user `e.user_id`
+const LESSON_PROGRESS_COLUMNS = `
+    (SELECT COUNT(*) FROM lessons l
+     INNER JOIN curriculum_modules m ON l.module_id = m.id
+     WHERE m.batch_id = b.id) as lesson_count,
+    (SELECT COUNT(*) FROM lesson_completions c
+     INNER JOIN lessons l ON c.lesson_id = l.id
+     INNER JOIN curriculum_modules m ON l.module_id = m.id
+     WHERE m.batch_id = b.id AND c.user_id = e.user_id) as completed_lessons`;
+
+function withLessonProgress(row) {
+    return {
+        ...row,
+        progress: row.lesson_count > 0 ? Math.round((row.completed_lessons / row.lesson_count) * 100) : null
+    };
+}
+
+// Links may be URLs or { title, url } objects; stored as JSON
+function parseLessonLinks(links) {
+    if (links === undefined || links === null || links === '') return { links: null };
+    if (!Array.isArray(links)) return { error: 'Links must be a list' };
+
+    const parsed = links.map(link => typeof link === 'string' ? { title: link, url: link } : link);
+    if (parsed.some(link => !link || !/^https?:\/\//i.test(String(link.url || '')))) {
+        return { error: 'Each link needs an http(s) URL' };
+    }
+    return {
+        links: JSON.stringify(parsed.map(link => ({
+            title: String(link.title || link.url).trim(),
+            url: String(link.url).trim()
+        })))
+    };
+}
+
+function validateCurriculumFields(fields, partial) {
+    if (!partial && !fields.title) {
+        return { error: 'Title is required' };
+    }
+    if (fields.title !== undefined && typeof fields.title !== 'string') {
+        return { error: 'Title must be text' };
+    }
+    if (fields.title !== undefined && !fields.title.trim()) {
+        return { error: 'Title cannot be empty' };
+    }
+    if (fields.estimated_hours !== undefined && fields.estimated_hours !== null &&
+        !(Number(fields.estimated_hours) >= 0)) {
+        return { error: 'Estimated hours must be zero or more' };
+    }
+    if (fields.position !== undefined && !(Number.isInteger(Number(fields.position)) && Number(fields.position) > 0)) {
+        return { error: 'Position must be a positive whole number' };
+    }
+    return parseLessonLinks(fields.links);
+}
+
+// Load a module or lesson (by route param) with the user's role on its batch, checking that the
+// role allows `permission`; students only pass the enrollment check, and only to 'view'
+function findCurriculumItem(req, res, kind, permission, callback) {
+    const query = kind === 'module'
+        ? `SELECT m.*, b.instructor_id, ${BATCH_ROLE_COLUMN} FROM curriculum_modules m
+           INNER JOIN batches b ON m.batch_id = b.id WHERE m.id = ?`
+        : `SELECT l.*, m.batch_id, b.instructor_id, ${BATCH_ROLE_COLUMN} FROM lessons l
+           INNER JOIN curriculum_modules m ON l.module_id = m.id
+           INNER JOIN batches b ON m.batch_id = b.id WHERE l.id = ?`;
+    const id = kind === 'module' ? req.params.moduleId : req.params.lessonId;
+    const label = kind === 'module' ? 'Module' : 'Lesson';
+
+    db.get(query, [req.user.id, req.user.id, id], (err, item) => {
+        if (err) {
+            return res.status(500).json({ error: `Failed to fetch ${kind}` });
+        }
+        if (!item) {
+            return res.status(404).json({ error: `${label} not found` });
+        }
+
+        if (req.user.role === 'student') {
+            if (permission !== 'view') {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            return db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`,
+                [req.user.id, item.batch_id], (err, enrollment) => {
+                    if (err || !enrollment) {
+                        return res.status(404).json({ error: `${label} not found` });
+                    }
+                    callback(item);
+                }
+            );
+        }
+
+        if (!canAccessBatch(req.user, item.batch_role, permission)) {
+            return res.status(403).json({ error: BATCH_ACCESS_ERRORS[permission] });
+        }
+        callback(item);
+    });
+}
+
+// Apply the allowed fields from req.body to a module or lesson row
+function updateCurriculumItem(res, table, id, body, allowed, label) {
+    const changes = {};
+    allowed.forEach(field => {
+        if (body[field] !== undefined) changes[field] = body[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const { links, error } = validateCurriculumFields(changes, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (changes.links !== undefined) changes.links = links;
+    if (changes.title !== undefined) changes.title = String(changes.title).trim();
+
+    const fields = Object.keys(changes);
+    db.run(`UPDATE ${table} SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(f => changes[f]), id],
+        (err) => {
+            if (err) {
+                return res.status(500).json({ error: `Failed to update ${label.toLowerCase()}` });
+            }
+            res.json({ message: `${label} updated successfully` });
+        }
+    );
+}
+
+// Full curriculum for a batch. Enrolled students also get completion flags and their progress.
+app.get('/api/batches/:batchId/curriculum', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+    const isStudent = req.user.role === 'student';
+
+    const sendCurriculum = () => {
+        db.all('SELECT * FROM curriculum_modules WHERE batch_id = ? ORDER BY position, id', [batchId], (err, modules) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch curriculum' });
+            }
+
+            db.all(`SELECT l.*, c.completed_at
+                    FROM lessons l
+                    INNER JOIN curriculum_modules m ON l.module_id = m.id
+                    LEFT JOIN lesson_completions c ON c.lesson_id = l.id AND c.user_id = ?
+                    WHERE m.batch_id = ?
+                    ORDER BY l.position, l.id`,
+                [req.user.id, batchId], (err, lessons) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to fetch curriculum' });
+                    }
+
+                    let totalHours = 0;
+                    let completedCount = 0;
+                    let completedHours = 0;
+
+                    const formatted = lessons.map(lesson => {
+                        const { completed_at, ...rest } = lesson;
+                        totalHours += lesson.estimated_hours || 0;
+                        if (completed_at) {
+                            completedCount++;
+                            completedHours += lesson.estimated_hours || 0;
+                        }
+                        return {
+                            ...rest,
+                            links: lesson.links ? JSON.parse(lesson.links) : [],
+                            ...(isStudent ? { completed: !!completed_at, completed_at } : {})
+                        };
+                    });
+
+                    const response = {
+                        batchId: Number(batchId),
+                        totalLessons: lessons.length,
+                        totalHours: totalHours,
+                        modules: modules.map(module => ({
+                            ...module,
+                            lessons: formatted.filter(lesson => lesson.module_id === module.id)
+                        }))
+                    };
+
+                    if (isStudent) {
+                        response.progress = {
+                            completedLessons: completedCount,
+                            completedHours: completedHours,
+                            percentage: lessons.length > 0 ? Math.round((completedCount / lessons.length) * 100) : null
+                        };
+                    }
+
+                    res.json(response);
+                }
+            );
+        });
+    };
+
+    if (!isStudent) return findBatchWithAccess(req, res, 'view', sendCurriculum);
+
+    db.get(`SELECT id FROM enrollments WHERE user_id = ? AND batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [req.user.id, batchId], (err, enrollment) => {
+        if (err || !enrollment) {
+            return res.status(403).json({ error: 'Not enrolled in this batch' });
+        }
+        sendCurriculum();
+    });
+});
+
+// Add a module (appended unless a position is given)
+app.post('/api/batches/:batchId/modules', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { title, description, position } = req.body;
+
+    const { error } = validateCurriculumFields({ title, position }, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    findManagedBatch(req, res, (batch) => {
+        db.get('SELECT COALESCE(MAX(position), 0) as last FROM curriculum_modules WHERE batch_id = ?', [batch.id], (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to create module' });
+            }
+
+            db.run('INSERT INTO curriculum_modules (batch_id, title, description, position) VALUES (?, ?, ?, ?)',
+                [batch.id, title.trim(), description || null, position ? Number(position) : row.last + 1],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to create module' });
+                    }
+                    res.status(201).json({
+                        message: 'Module created successfully',
+                        moduleId: this.lastID
+                    });
+                }
+            );
+        });
+    });
+});
+
+app.patch('/api/modules/:moduleId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findCurriculumItem(req, res, 'module', 'manage', (module) => {
+        updateCurriculumItem(res, 'curriculum_modules', module.id, req.body, ['title', 'description', 'position'], 'Module');
+    });
+});
+
+// Delete a module with its lessons
+app.delete('/api/modules/:moduleId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findCurriculumItem(req, res, 'module', 'manage', (module) => {
+        runStatementsInTransaction([
+            ['DELETE FROM lesson_completions WHERE lesson_id IN (SELECT id FROM lessons WHERE module_id = ?)', [module.id]],
+            ['DELETE FROM lessons WHERE module_id = ?', [module.id]],
+            ['DELETE FROM curriculum_modules WHERE id = ?', [module.id]]
+        ], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete module' });
+            }
+            res.json({ message: 'Module deleted successfully' });
+        });
+    });
+});
+
+// Add a lesson to a module
+app.post('/api/modules/:moduleId/lessons', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    const { title, content, estimated_hours, position } = req.body;
+
+    const { links, error } = validateCurriculumFields(req.body, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    findCurriculumItem(req, res, 'module', 'manage', (module) => {
+        db.get('SELECT COALESCE(MAX(position), 0) as last FROM lessons WHERE module_id = ?', [module.id], (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to create lesson' });
+            }
+
+            db.run(`INSERT INTO lessons (module_id, title, content, links, estimated_hours, position)
+                    VALUES (?, ?, ?, ?, ?, ?)`,
+                [module.id, title.trim(), content || null, links,
+                 estimated_hours !== undefined && estimated_hours !== null ? Number(estimated_hours) : null,
+                 position ? Number(position) : row.last + 1],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to create lesson' });
+                    }
+                    res.status(201).json({
+                        message: 'Lesson created successfully',
+                        lessonId: this.lastID
+                    });
+                }
+            );
+        });
+    });
+});
+
+app.patch('/api/lessons/:lessonId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findCurriculumItem(req, res, 'lesson', 'manage', (lesson) => {
+        updateCurriculumItem(res, 'lessons', lesson.id, req.body,
+            ['title', 'content', 'links', 'estimated_hours', 'position'], 'Lesson');
+    });
+});
+
+app.delete('/api/lessons/:lessonId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findCurriculumItem(req, res, 'lesson', 'manage', (lesson) => {
+        runStatementsInTransaction([
+            ['DELETE FROM lesson_completions WHERE lesson_id = ?', [lesson.id]],
+            ['DELETE FROM lessons WHERE id = ?', [lesson.id]]
+        ], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete lesson' });
+            }
+            res.json({ message: 'Lesson deleted successfully' });
+        });
+    });
+});
+
+// Mark a lesson complete (students)
+app.post('/api/lessons/:lessonId/complete', authenticateToken, authorizeRole('student'), (req, res) => {
+    findCurriculumItem(req, res, 'lesson', 'view', (lesson) => {
+        db.run('INSERT OR IGNORE INTO lesson_completions (lesson_id, user_id) VALUES (?, ?)',
+            [lesson.id, req.user.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update progress' });
+                }
+                res.json({ message: 'Lesson marked complete' });
+            }
+        );
+    });
+});
+
+app.delete('/api/lessons/:lessonId/complete', authenticateToken, authorizeRole('student'), (req, res) => {
+    findCurriculumItem(req, res, 'lesson', 'view', (lesson) => {
+        db.run('DELETE FROM lesson_completions WHERE lesson_id = ? AND user_id = ?',
+            [lesson.id, req.user.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update progress' });
+                }
+                res.json({ message: 'Lesson marked incomplete' });
+            }
+        );
+    });
+});
+
+// Curriculum progress per student (students see only their own)
+app.get('/api/batches/:batchId/progress', authenticateToken, (req, res) => {
+    let query = `
+        SELECT u.id as student_id, u.full_name as student_name, ${LESSON_PROGRESS_COLUMNS}
+        FROM enrollments e
+        INNER JOIN batches b ON e.batch_id = b.id
+        INNER JOIN users u ON e.user_id = u.id
+        WHERE b.id = ? AND e.${ACTIVE_ENROLLMENT}
+    `;
+    const params = [req.params.batchId];
+
+    if (req.user.role === 'student') {
+        query += ' AND e.user_id = ?';
+        params.push(req.user.id);
+    }
+    query += ' ORDER BY u.full_name';
+
+    const sendProgress = () => {
+        db.all(query, params, (err, students) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch progress' });
+            }
+            if (req.user.role === 'student' && students.length === 0) {
+                return res.status(403).json({ error: 'Not enrolled in this batch' });
+            }
+            res.json({
+                batchId: Number(req.params.batchId),
+                students: students.map(withLessonProgress)
+            });
+        });
+    };
+
+    if (req.user.role === 'student') return sendProgress();
+    findBatchWithAccess(req, res, 'view', sendProgress);
+});
+
+// ============ CERTIFICATES ============
+
+const CERTIFICATE_CRITERIA = [
+    { field: 'certificate_min_attendance', metric: 'attendanceRate', label: 'attendance', unit: '%' },
+    { field: 'certificate_min_reports', metric: 'reportCount', label: 'reports', unit: '' },
+    { field: 'certificate_min_hours', metric: 'totalHours', label: 'hours', unit: 'h' },
+    { field: 'certificate_min_score', metric: 'averageScore', label: 'quiz score', unit: '%' }
+];
+
+function generateVerificationCode() {
+    return crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+// Check every enrolled student of a batch against its certificate criteria
+function evaluateCertificateEligibility(batch, callback) {
+    getAttendanceSummary(batch.id, (err, attendance) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT user_id, COUNT(*) as report_count, COALESCE(SUM(hours_worked), 0) as total_hours
+                FROM daily_reports WHERE batch_id = ? GROUP BY user_id`,
+            [batch.id], (err, reports) => {
+                if (err) return callback(err);
+
+                // Average of each student's best finished attempt per quiz
+                db.all(`SELECT user_id, AVG(best) as average_score
+                        FROM (
+                            SELECT t.user_id, MAX(t.percentage) as best
+                            FROM quiz_attempts t
+                            INNER JOIN quizzes q ON t.quiz_id = q.id
+                            WHERE q.batch_id = ? AND t.status != 'in_progress'
+                            GROUP BY t.user_id, t.quiz_id
+                        )
+                        GROUP BY user_id`,
+                    [batch.id], (err, scores) => {
+                        if (err) return callback(err);
+
+                        const students = Object.values(attendance.students).map(student => {
+                            const report = reports.find(r => r.user_id === student.studentId);
+                            const score = scores.find(s => s.user_id === student.studentId);
+                            const metrics = {
+                                attendanceRate: student.attendanceRate,
+                                reportCount: report ? report.report_count : 0,
+                                totalHours: report ? report.total_hours : 0,
+                                averageScore: score ? Math.round(score.average_score) : null
+                            };
+
+                            const unmet = CERTIFICATE_CRITERIA
+                                .filter(c => batch[c.field] !== null && batch[c.field] !== undefined)
+                                .filter(c => metrics[c.metric] === null || metrics[c.metric] < batch[c.field])
+                                .map(c => `${c.label} ${metrics[c.metric] === null ? 'not recorded' : metrics[c.metric] + c.unit}` +
+                                          ` (needs ${batch[c.field]}${c.unit})`);
+
+                            return {
+                                studentId: student.studentId,
+                                studentName: student.studentName,
+                                ...metrics,
+                                eligible: unmet.length === 0,
+                                unmet: unmet
+                            };
+                        });
+
+                        callback(null, students);
+                    }
+                );
+            }
+        );
+    });
+}
+
+// Issue certificates to every eligible student who doesn't have one yet; calls back with the number issued
+function issueCertificates(batchId, callback) {
+    db.get('SELECT * FROM batches WHERE id = ?', [batchId], (err, batch) => {
+        if (err || !batch) return callback(err || new Error('Batch not found'));
+
+        evaluateCertificateEligibility(batch, (err, students) => {
+            if (err) return callback(err);
+
+            let issued = 0;
+            const stmt = db.prepare(`INSERT OR IGNORE INTO certificates
+                (batch_id, user_id, verification_code, attendance_rate, report_count, total_hours, average_score)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`);
+            students.filter(s => s.eligible).forEach(s => {
+                stmt.run([batch.id, s.studentId, generateVerificationCode(), s.attendanceRate,
+                          s.reportCount, s.totalHours, s.averageScore], function(err) {
+                    if (!err) issued += this.changes;
+                });
+            });
+            stmt.finalize((err) => callback(err, issued));
+        });
+    });
+}
+
+function logIssuedCertificates(batch) {
+    return (err, issued) => {
+        if (err) {
+            return console.error(`Failed to issue certificates for "${batch.name}":`, err.message);
+        }
+        if (issued > 0) console.log(`Issued ${issued} certificate(s) for "${batch.name}"`);
+    };
+}
+
+// Latin letters that do not decompose into a base letter plus accents
+const PDF_TRANSLITERATIONS = {
+    'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ħ': 'H', 'ħ': 'h', 'ı': 'i', 'Ŀ': 'L', 'ŀ': 'l',
+    'Œ': 'OE', 'œ': 'oe', 'Ŋ': 'N', 'ŋ': 'n', 'ſ': 's', 'ẞ': 'SS',
+    '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...'
+};
+
+// Helvetica/WinAnsi only covers Latin-1: other characters lose their accents (Ș -> S),
+// and anything without a Latin base letter becomes '?'
+function toPdfLatin1(text) {
+    return String(text).replace(/[^\x20-\xff]/g, (char) => {
+        const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (/^[\x20-\xff]+$/.test(base)) return base;
+        return PDF_TRANSLITERATIONS[char] || '?';
+    });
+}
+
+// Strings for a PDF text object: transliterate to Latin-1 and escape delimiters
+function pdfText(text) {
+    return toPdfLatin1(text).replace(/([\\()])/g, '\\$1');
+}
+
+// Single landscape A4 page using the built-in Helvetica fonts, so no PDF library is needed
+function renderCertificatePdf(certificate) {
+    const width = 842;
+    const height = 595;
+    // Rough Helvetica advance width for centring
+    const centred = (text, size, y, font) => {
+        const x = Math.max(40, (width - toPdfLatin1(text).length * size * (font === 'F2' ? 0.58 : 0.52)) / 2);
+        return `BT /${font} ${size} Tf ${x.toFixed(1)} ${y} Td (${pdfText(text)}) Tj ET`;
+    };
+
+    const content = [
+        '0.1 0.25 0.55 RG 4 w 30 30 782 535 re S',
+        '1 w 42 42 758 511 re S',
+        '0.1 0.25 0.55 rg',
+        centred('Certificate of Completion', 36, 450, 'F2'),
+        '0.2 0.2 0.2 rg',
+        centred('This certifies that', 16, 390, 'F1'),
+        centred(certificate.student_name, 30, 340, 'F2'),
+        centred('has successfully completed the training batch', 16, 295, 'F1'),
+        centred(certificate.batch_name, 24, 250, 'F2'),
+        centred(`${certificate.start_date} to ${certificate.end_date || ''}` +
+                (certificate.instructor_name ? `   |   Instructor: ${certificate.instructor_name}` : ''), 12, 205, 'F1'),
+        centred(`Issued on ${String(certificate.issued_at).split(' ')[0]}`, 12, 185, 'F1'),
+        '0.4 0.4 0.4 rg',
+        centred(`Verification code: ${certificate.verification_code}`, 11, 90, 'F2'),
+        centred(`Verify at /api/certificates/verify/${certificate.verification_code}`, 9, 72, 'F1')
+    ].join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+const CERTIFICATE_SELECT = `
+    SELECT c.*, u.full_name as student_name, b.name as batch_name, b.start_date, b.end_date,
+           b.instructor_id, i.full_name as instructor_name
+    FROM certificates c
+    INNER JOIN users u ON c.user_id = u.id
+    INNER JOIN batches b ON c.batch_id = b.id
+    LEFT JOIN users i ON b.instructor_id = i.id
+`;
+
+// Eligibility of every student plus the certificates already issued (batch staff/admins)
+app.get('/api/batches/:batchId/certificates', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'view', (batch) => {
+        evaluateCertificateEligibility(batch, (err, students) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to evaluate certificates' });
+            }
+
+            db.all(`${CERTIFICATE_SELECT} WHERE c.batch_id = ?`, [batch.id], (err, certificates) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch certificates' });
+                }
+
+                const criteria = {};
+                CERTIFICATE_CRITERIA.forEach(c => { criteria[c.field] = batch[c.field]; });
+
+                res.json({
+                    batchId: batch.id,
+                    status: batch.status,
+                    criteria: criteria,
+                    students: students.map(student => {
+                        const certificate = certificates.find(c => c.user_id === student.studentId);
+                        return {
+                            ...student,
+                            certificateId: certificate ? certificate.id : null,
+                            verificationCode: certificate ? certificate.verification_code : null
+                        };
+                    })
+                });
+            });
+        });
+    });
+});
+
+// Issue certificates for a completed batch (e.g. after changing the criteria)
+app.post('/api/batches/:batchId/certificates/issue', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => {
+        if (batch.status !== 'completed') {
+            return res.status(400).json({ error: 'Certificates can only be issued once the batch is completed' });
+        }
+
+        issueCertificates(batch.id, (err, issued) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to issue certificates' });
+            }
+            res.json({ message: `Issued ${issued} certificate(s)`, issued: issued });
+        });
+    });
+});
+
+// Certificates earned by the current user
+app.get('/api/my-certificates', authenticateToken, (req, res) => {
+    db.all(`${CERTIFICATE_SELECT} WHERE c.user_id = ? ORDER BY c.issued_at DESC`, [req.user.id], (err, certificates) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch certificates' });
+        }
+        res.json(certificates);
+    });
+});
+
+// Download a certificate as PDF (its owner, batch staff or an admin)
+app.get('/api/certificates/:certificateId/pdf', authenticateToken, (req, res) => {
+    db.get(`${CERTIFICATE_SELECT} WHERE c.id = ?`, [req.params.certificateId], (err, certificate) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch certificate' });
+        }
+
+        if (!certificate) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+
+        getBatchRole(req.user, certificate.batch_id, (err, batchRole) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch certificate' });
+            }
+            if (certificate.user_id !== req.user.id && !canAccessBatch(req.user, batchRole, 'view')) {
+                return res.status(404).json({ error: 'Certificate not found' });
+            }
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=certificate_${certificate.verification_code}.pdf`);
+            res.send(renderCertificatePdf(certificate));
+        });
+    });
+});
+
+// Public: check a certificate by its verification code (no login required)
+app.get('/api/certificates/verify/:code', (req, res) => {
+    db.get(`${CERTIFICATE_SELECT} WHERE c.verification_code = ?`,
+        [String(req.params.code).trim().toUpperCase()], (err, certificate) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to verify certificate' });
+            }
+            if (!certificate) {
+                return res.status(404).json({ valid: false, error: 'No certificate matches this code' });
+            }
+
+            res.json({
+                valid: true,
+                verificationCode: certificate.verification_code,
+                studentName: certificate.student_name,
+                batchName: certificate.batch_name,
+                instructorName: certificate.instructor_name,
+                startDate: certificate.start_date,
+                endDate: certificate.end_date,
+                issuedAt: certificate.issued_at
+            });
+        }
+    );
+});
+
+// ============ ENROLLMENTS ============
+
+// Error for a student trying to (re)join a batch, or null when a new request is allowed
+function getEnrollmentBlock(status) {
+    if (status === 'approved' || status === 'completed') return 'Already enrolled';
+    if (status === 'pending') return 'Enrollment request already pending';
+    if (status === 'rejected') return 'Your enrollment request for this batch was rejected';
+    return null;
+}
+
+// Create or update the enrollment row of a student and record who changed it
+// Insert or update an enrollment; pass the transaction's `connection` to write inside one
+function setEnrollmentStatus(userId, batchId, status, actorId, callback, connection = db) {
+    connection.run(`INSERT INTO enrollments (user_id, batch_id, status, status_changed_at, status_changed_by)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
+            ON CONFLICT(user_id, batch_id) DO UPDATE SET
+                status = excluded.status,
+                status_changed_at = CURRENT_TIMESTAMP,
+                status_changed_by = excluded.status_changed_by`,
+        [userId, batchId, status, actorId], callback);
+}
+
+function parseUserIds(value) {
+    if (!Array.isArray(value) || value.length === 0) return null;
+    const ids = [...new Set(value.map(Number))];
+    return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+}
+
+// Enrollments of a batch in every status (optionally filtered)
+app.get('/api/batches/:batchId/enrollments', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findBatchWithAccess(req, res, 'view', (batch) => {
+        const { status } = req.query;
+        if (status && !ENROLLMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${ENROLLMENT_STATUSES.join(', ')}` });
+        }
+
+        db.all(`SELECT e.user_id, e.status, e.enrolled_at, e.status_changed_at,
+                       u.full_name, u.username, u.email, c.full_name as status_changed_by_name
+                FROM enrollments e
+                INNER JOIN users u ON e.user_id = u.id
+                LEFT JOIN users c ON e.status_changed_by = c.id
+                WHERE e.batch_id = ? ${status ? 'AND e.status = ?' : ''}
+                ORDER BY e.status = 'pending' DESC, u.full_name`,
+            status ? [batch.id, status] : [batch.id], (err, enrollments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch enrollments' });
+                }
+                res.json(enrollments);
+            }
+        );
+    });
+});
+
+// Approve, reject or drop a single enrollment
+app.patch('/api/batches/:batchId/enrollments/:userId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => {
+        const { status } = req.body;
+        if (!['approved', 'rejected', 'dropped'].includes(status)) {
+            return res.status(400).json({ error: 'status must be one of: approved, rejected, dropped' });
+        }
+
+        db.get('SELECT * FROM enrollments WHERE batch_id = ? AND user_id = ?', [batch.id, req.params.userId], (err, enrollment) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update enrollment' });
+            }
+            if (!enrollment) {
+                return res.status(404).json({ error: 'Enrollment not found' });
+            }
+            if (enrollment.status === status) {
+                return res.status(400).json({ error: `Enrollment is already ${status}` });
+            }
+            if (enrollment.status === 'completed') {
+                return res.status(400).json({ error: 'Completed enrollments cannot be changed' });
+            }
+
+            const wasActive = enrollment.status === 'approved';
+            const saved = (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to update enrollment' });
+                }
+                logAudit(req, req.user, 'enrollment.status', 'batch', batch.id, {
+                    user_id: enrollment.user_id, from: enrollment.status, to: status
+                });
+                if (status === 'approved') {
+                    createNotification(enrollment.user_id, 'enrollment_approved', `You have been enrolled in "${batch.name}".`, 'my-batches');
+                } else if (status === 'rejected' && enrollment.status === 'pending') {
+                    createNotification(enrollment.user_id, 'enrollment_rejected', `Your enrollment request for "${batch.name}" was rejected.`, 'batches');
+                } else {
+                    createNotification(enrollment.user_id, 'enrollment_removed', `You have been removed from "${batch.name}".`, 'batches');
+                }
+                if (wasActive) promoteFromWaitlist(batch.id, logWaitlistPromotions(batch));
+                res.json({ message: `Enrollment ${status}`, status: status });
+            };
+
+            if (status !== 'approved') {
+                return setEnrollmentStatus(enrollment.user_id, batch.id, status, req.user.id, saved);
+            }
+
+            // An approval takes a seat (and takes the student off the waitlist)
+            const results = [{ user_id: enrollment.user_id, result: 'approved' }];
+            enrollWithinCapacity(batch, results, 'approved', status, req.user.id, (err, outcome) => {
+                if (err) return saved(err);
+                if (!outcome.enrolled) {
+                    return res.status(400).json({ error: 'Batch is full' });
+                }
+                saved(outcome.enrolled.length === 0 ? new Error(results[0].error) : null);
+            });
+        });
+    });
+});
+
+// Run `update` one row at a time for every result marked `pending`; rows whose update fails
+// are re-marked 'error', and the callback receives the user ids that were updated
+function updateEnrollmentRows(results, pending, update, callback) {
+    const updated = [];
+    const rows = results.filter(row => row.result === pending);
+    const next = (index) => {
+        if (index === rows.length) return callback(updated);
+        update(rows[index], (err) => {
+            if (err) {
+                console.error('Failed to update enrollment:', err.message);
+                rows[index].result = 'error';
+                rows[index].error = 'Failed to update enrollment';
+            } else {
+                updated.push(rows[index].user_id);
+            }
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+// Give every result marked `pending` the enrollment `status` if the batch has a seat for each of them.
+// Seats are counted in the same transaction as the writes, so concurrent enrollments cannot overfill the batch.
+// callback(err, { seatsLeft, enrolled }); `enrolled` is null when there were not enough seats
+function enrollWithinCapacity(batch, results, pending, status, actorId, callback) {
+    runInTransaction((tx, done) => {
+        tx.get(`SELECT COUNT(*) as count FROM enrollments WHERE batch_id = ? AND ${ACTIVE_ENROLLMENT}`, [batch.id], (err, row) => {
+            if (err) return done(err);
+            const seatsLeft = batch.max_participants - row.count;
+            if (results.filter(r => r.result === pending).length > seatsLeft) {
+                return done(null, { seatsLeft: seatsLeft, enrolled: null });
+            }
+
+            updateEnrollmentRows(results, pending, (row, rowDone) => {
+                setEnrollmentStatus(row.user_id, batch.id, status, actorId, (err) => {
+                    if (err) return rowDone(err);
+                    tx.run('DELETE FROM batch_waitlist WHERE batch_id = ? AND user_id = ?', [batch.id, row.user_id], (err) => {
+                        if (err) console.error('Failed to clear waitlist entry:', err.message);
+                        rowDone(null);
+                    });
+                }, tx);
+            }, (enrolled) => done(null, { seatsLeft: seatsLeft, enrolled: enrolled }));
+        });
+    }, callback);
+}
+
+// Enroll several students at once; all-or-nothing on capacity
+app.post('/api/batches/:batchId/enrollments', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => {
+        const userIds = parseUserIds(req.body.user_ids);
+        if (!userIds) {
+            return res.status(400).json({ error: 'user_ids must be a non-empty array of user ids' });
+        }
+        if (batch.archived_at || batch.status === 'completed') {
+            return res.status(400).json({ error: 'Batch is no longer accepting enrollments' });
+        }
+
+        db.all(`SELECT u.id, u.role, e.status FROM users u
+                LEFT JOIN enrollments e ON e.user_id = u.id AND e.batch_id = ?
+                WHERE u.id IN (${userIds.map(() => '?').join(', ')})`,
+            [batch.id, ...userIds], (err, rows) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to enroll students' });
+                }
+
+                const found = new Map(rows.map(row => [row.id, row]));
+                const results = userIds.map(id => {
+                    const user = found.get(id);
+                    if (!user) return { user_id: id, result: 'not_found' };
+                    if (user.role !== 'student') return { user_id: id, result: 'not_a_student' };
+                    if (user.status === 'approved' || user.status === 'completed') return { user_id: id, result: 'already_enrolled' };
+                    return { user_id: id, result: 'enrolled' };
+                });
+                const toEnroll = results.filter(r => r.result === 'enrolled').map(r => r.user_id);
+
+                enrollWithinCapacity(batch, results, 'enrolled', 'approved', req.user.id, (err, outcome) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to enroll students' });
+                    }
+                    if (!outcome.enrolled) {
+                        return res.status(400).json({
+                            error: `Not enough seats: ${outcome.seatsLeft} left, ${toEnroll.length} requested`
+                        });
+                    }
+
+                    if (outcome.enrolled.length > 0) {
+                        logAudit(req, req.user, 'enrollment.bulk_add', 'batch', batch.id, { user_ids: outcome.enrolled });
+                    }
+                    outcome.enrolled.forEach(userId => createNotification(userId, 'enrollment_approved',
+                        `You have been enrolled in "${batch.name}".`, 'my-batches'));
+                    res.json({ enrolled: outcome.enrolled.length, results: results });
+                });
+            }
+        );
+    });
+});
+
+// Remove several students at once (their enrollments become dropped)
+app.post('/api/batches/:batchId/enrollments/remove', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
+    findManagedBatch(req, res, (batch) => {
+        const userIds = parseUserIds(req.body.user_ids);
+        if (!userIds) {
+            return res.status(400).json({ error: 'user_ids must be a non-empty array of user ids' });
+        }
+
+        db.all(`SELECT user_id, status FROM enrollments
+                WHERE batch_id = ? AND user_id IN (${userIds.map(() => '?').join(', ')})`,
+            [batch.id, ...userIds], (err, rows) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to remove students' });
+                }
+
+                const found = new Map(rows.map(row => [row.user_id, row.status]));
+                const results = userIds.map(id => {
+                    const status = found.get(id);
+                    if (status === 'approved' || status === 'pending') return { user_id: id, result: 'removed' };
+                    if (status === 'completed') return { user_id: id, result: 'completed' };
+                    return { user_id: id, result: 'not_enrolled' };
+                });
+
+                updateEnrollmentRows(results, 'removed', (row, done) => {
+                    setEnrollmentStatus(row.user_id, batch.id, 'dropped', req.user.id, done);
+                }, (removed) => {
+                    if (removed.length > 0) {
+                        logAudit(req, req.user, 'enrollment.bulk_remove', 'batch', batch.id, { user_ids: removed });
+                    }
+                    removed.forEach(userId => createNotification(userId, 'enrollment_removed',
+                        `You have been removed from "${batch.name}".`, 'batches'));
+                    promoteFromWaitlist(batch.id, (err, promoted) => {
+                        if (err) console.error('Failed to promote waitlist:', err.message);
+                        res.json({ removed: removed.length, promoted: promoted.length, results: results });
+                    });
+                });
+            }
+        );
+    });
+});
+
+// The current student's enrollments in every status
+app.get('/api/my-enrollments', authenticateToken, (req, res) => {
+    db.all(`SELECT e.batch_id, e.status, e.enrolled_at, e.status_changed_at, b.name as batch_name, b.status as batch_status
+            FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE e.user_id = ?
+            ORDER BY e.enrolled_at DESC`,
+        [req.user.id], (err, enrollments) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch enrollments' });
+            }
+            res.json(enrollments);
+        }
+    );
+});
+
+// ============ WAITLIST ============
+
+// 1-based waitlist position of req.user in batch `b` (null if not waiting); binds one user id parameter
+const WAITLIST_POSITION_COLUMN = `
+    (SELECT COUNT(*) FROM batch_waitlist w2
+     WHERE w2.batch_id = b.id
+       AND w2.id <= (SELECT id FROM batch_waitlist WHERE batch_id = b.id AND user_id = ?)) as waitlist_position`;
+
+// Fill free seats from the front of the waitlist; calls back with the promoted user ids
+function promoteFromWaitlist(batchId, callback) {
+    // Seats are counted inside the transaction, so concurrent promotions cannot overfill the batch
+    runInTransaction((tx, done) => {
+        tx.get(`SELECT b.*, (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as participant_count
+                FROM batches b WHERE b.id = ?`,
+            [batchId], (err, batch) => {
+                if (err || !batch) return done(err || new Error('Batch not found'));
+                if (batch.archived_at || batch.status === 'completed') return done(null, { batch: batch, promoted: [] });
+
+                const seats = batch.max_participants - batch.participant_count;
+                if (seats <= 0) return done(null, { batch: batch, promoted: [] });
+
+                tx.all('SELECT * FROM batch_waitlist WHERE batch_id = ? ORDER BY id LIMIT ?', [batchId, seats], (err, entries) => {
+                    if (err) return done(err);
+
+                    // Each waitlist row is removed only once its enrollment has been written
+                    const promote = (index) => {
+                        if (index === entries.length) return done(null, { batch: batch, promoted: entries.map(e => e.user_id) });
+                        const entry = entries[index];
+                        setEnrollmentStatus(entry.user_id, batchId, 'approved', null, (err) => {
+                            if (err) return done(err);
+                            tx.run('DELETE FROM batch_waitlist WHERE id = ?', [entry.id], (err) => err ? done(err) : promote(index + 1));
+                        }, tx);
+                    };
+                    promote(0);
+                });
+            }
+        );
+    }, (err, result) => {
+        if (err) return callback(err, []);
+        result.promoted.forEach(userId => createNotification(userId, 'waitlist_promoted',
+            `A seat opened up in "${result.batch.name}" - you have been enrolled from the waitlist.`, 'my-batches'));
+        callback(null, result.promoted);
+    });
+}
+
+function logWaitlistPromotions(batch) {
+    return (err, promoted) => {
+        if (err) {
+            return console.error(`Failed to promote waitlist for "${batch.name}":`, err.message);
+        }
+        if (promoted.length > 0) console.log(`Promoted ${promoted.length} student(s) from the waitlist of "${batch.name}"`);
+    };
+}
+
+function getWaitlistPosition(batchId, userId, callback) {
+    db.get(`SELECT COUNT(*) as position FROM batch_waitlist
+            WHERE batch_id = ? AND id <= (SELECT id FROM batch_waitlist WHERE batch_id = ? AND user_id = ?)`,
+        [batchId, batchId, userId], (err, row) => callback(err, row && row.position > 0 ? row.position : null));
+}
+
+// Join the waitlist of a full batch
+app.post('/api/batches/:batchId/waitlist', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+    const userId = req.user.id;
+
+    db.get(`SELECT b.*, (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as participant_count
+            FROM batches b WHERE b.id = ?`,
+        [batchId], (err, batch) => {
+            if (err || !batch) {
+                return res.status(404).json({ error: 'Batch not found' });
+            }
+            if (batch.archived_at || batch.status === 'completed') {
+                return res.status(400).json({ error: 'Batch is no longer accepting enrollments' });
+            }
+            if (batch.participant_count < batch.max_participants) {
+                return res.status(400).json({ error: 'Batch has free seats - enroll directly' });
+            }
+
+            db.get('SELECT status FROM enrollments WHERE user_id = ? AND batch_id = ?', [userId, batchId], (err, enrollment) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to join waitlist' });
+                }
+                const blocked = enrollment && getEnrollmentBlock(enrollment.status);
+                if (blocked) {
+                    return res.status(400).json({ error: blocked });
+                }
+
+                db.run('INSERT INTO batch_waitlist (batch_id, user_id) VALUES (?, ?)', [batchId, userId], (err) => {
+                    if (err) {
+                        if (err.message.includes('UNIQUE')) {
+                            return res.status(400).json({ error: 'Already on the waitlist' });
+                        }
+                        return res.status(500).json({ error: 'Failed to join waitlist' });
+                    }
+
+                    getWaitlistPosition(batchId, userId, (err, position) => {
+                        res.status(201).json({
+                            message: 'Joined the waitlist',
+                            position: position
+                        });
+                    });
+                });
+            });
+        }
+    );
+});
+
+// Students get their own position; batch staff and admins get the whole queue
+app.get('/api/batches/:batchId/waitlist', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+
+    if (req.user.role === 'student') {
+        return getWaitlistPosition(batchId, req.user.id, (err, position) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch waitlist' });
+            }
+            if (!position) {
+                return res.status(404).json({ error: 'Not on the waitlist' });
+            }
+            res.json({ batchId: Number(batchId), position: position });
+        });
+    }
+
+    findBatchWithAccess(req, res, 'view', (batch) => {
+        db.all(`SELECT w.user_id, u.full_name, u.username, w.joined_at
+                FROM batch_waitlist w
+                INNER JOIN users u ON w.user_id = u.id
+                WHERE w.batch_id = ?
+                ORDER BY w.id`,
+            [batch.id], (err, entries) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch waitlist' });
+                }
+                res.json({
+                    batchId: batch.id,
+                    waitlist: entries.map((entry, i) => ({ position: i + 1, ...entry }))
+                });
+            }
+        );
+    });
+});
+
+// Leave the waitlist
+app.delete('/api/batches/:batchId/waitlist', authenticateToken, (req, res) => {
+    db.run('DELETE FROM batch_waitlist WHERE batch_id = ? AND user_id = ?', [req.params.batchId, req.user.id], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to leave waitlist' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Not on the waitlist' });
+        }
+        res.json({ message: 'Left the waitlist' });
+    });
+});
+
+// Drop a batch (or withdraw a pending request); a freed seat goes to the first student on the waitlist
+app.delete('/api/batches/:batchId/enroll', authenticateToken, (req, res) => {
+    const { batchId } = req.params;
+
+    db.get('SELECT status FROM enrollments WHERE batch_id = ? AND user_id = ?', [batchId, req.user.id], (err, enrollment) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to drop batch' });
+        }
+        if (!enrollment || !['pending', 'approved'].includes(enrollment.status)) {
+            return res.status(404).json({ error: 'Not enrolled in this batch' });
+        }
+
+        setEnrollmentStatus(req.user.id, batchId, 'dropped', req.user.id, (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to drop batch' });
+            }
+            logAudit(req, req.user, 'enrollment.drop', 'batch', batchId, { user_id: req.user.id, from: enrollment.status });
+            if (enrollment.status === 'pending') {
+                return res.json({ message: 'Enrollment request withdrawn' });
+            }
+
+            promoteFromWaitlist(batchId, (err) => {
+                if (err) console.error('Failed to promote waitlist:', err.message);
+                res.json({ message: 'Dropped the batch' });
+            });
+        });
+    });
+});
+
+// ============ NOTIFICATIONS ============
+
+// Every notification type with the label shown in the preferences; required ones cannot be turned off
+const NOTIFICATION_TYPES = {
+    enrollment_requested: { label: 'Enrollment request sent' },
+    enrollment_approved: { label: 'Enrollment confirmed' },
+    enrollment_rejected: { label: 'Enrollment request rejected' },
+    enrollment_removed: { label: 'Removed from a batch' },
+    waitlist_promoted: { label: 'Enrolled from the waitlist' },
+    batch_started: { label: 'A batch you are enrolled in has started' },
+    missed_reports: { label: 'Reminder about missed daily reports' },
+    report_reviewed: { label: 'Your report was reviewed' },
+    report_comment: { label: 'New feedback on a report' },
+    batch_staff: { label: 'Added to a batch as staff' },
+    alert_digest: { label: 'Daily digest of at-risk student alerts' },
+    account_locked: { label: 'Account locked after failed logins', required: true }
+};
+const MAX_NOTIFICATIONS_PAGE_SIZE = 100;
+// Session days without a report (up to yesterday) before a student is reminded
+const MISSED_REPORT_THRESHOLD = parseInt(process.env.MISSED_REPORT_THRESHOLD) || 2;
+
+// Store a notification unless the user turned its type off. `link` names the tab it refers to.
+function createNotification(userId, type, message, link, callback) {
+    db.run(`INSERT INTO notifications (user_id, type, message, link)
+            SELECT ?, ?, ?, ?
+            WHERE NOT EXISTS (SELECT 1 FROM notification_preferences WHERE user_id = ? AND type = ? AND enabled = 0)`,
+        [userId, type, message, link || null, userId, type], (err) => {
+            if (err) console.error('Failed to create notification:', err.message);
+            if (callback) callback(err);
+        });
+}
+
+function notifyBatchStarted(batch) {
+    db.all(`SELECT user_id FROM enrollments WHERE batch_id = ? AND status = 'approved'`, [batch.id], (err, enrollments) => {
+        if (err) {
+            return console.error(`Failed to notify students of "${batch.name}":`, err.message);
+        }
+        enrollments.forEach(e => createNotification(e.user_id, 'batch_started',
+            `"${batch.name}" has started. Remember to submit a daily report after each session.`, 'my-report'));
+    });
+}
+
+// The report's author hears about feedback from others; a reply also notifies the parent comment's author
+function notifyReportComment(author, report, parentId) {
+    const notify = (userId) => {
+        if (userId === author.id) return;
+        createNotification(userId, 'report_comment',
+            `${author.username} commented on the report for ${report.report_date}.`, 'all-reports');
+    };
+
+    notify(report.user_id);
+    if (!parentId) return;
+    db.get('SELECT user_id FROM report_comments WHERE id = ?', [parentId], (err, parent) => {
+        if (!err && parent && parent.user_id !== report.user_id) notify(parent.user_id);
+    });
+}
+
+// Remind students who skipped MISSED_REPORT_THRESHOLD or more session days in a running batch.
+// At most one reminder per student per day, however often the scheduler runs.
+function notifyMissedReports(callback) {
+    const done = callback || (() => {});
+    const today = toDateString(new Date());
+    const yesterday = toDateString(new Date(Date.now() - DAY_MS));
+
+    db.all(`SELECT e.user_id, e.batch_id, b.name as batch_name,
+                   date(COALESCE(e.status_changed_at, e.enrolled_at)) as enrolled_on,
+                   (SELECT MAX(report_date) FROM daily_reports r
+                    WHERE r.user_id = e.user_id AND r.batch_id = e.batch_id) as last_report
+            FROM enrollments e
+            INNER JOIN batches b ON e.batch_id = b.id
+            WHERE e.status = 'approved' AND b.status = 'active' AND b.archived_at IS NULL
+              AND e.user_id NOT IN (SELECT user_id FROM notifications
+                                    WHERE type = 'missed_reports' AND date(created_at) = ?)`,
+        [today], (err, enrollments) => {
+            if (err) {
+                console.error('Failed to check missed reports:', err.message);
+                return done(err);
+            }
+
+            loadBatchCalendars([...new Set(enrollments.map(e => e.batch_id))], (err, batches) => {
+                if (err) {
+                    console.error('Failed to check missed reports:', err.message);
+                    return done(err);
+                }
+
+                const missedByUser = {};
+                enrollments.forEach(e => {
+                    const batch = batches.find(b => b.id === e.batch_id);
+                    const since = e.last_report && e.last_report > e.enrolled_on ? e.last_report : e.enrolled_on;
+                    const missed = getBatchSessionDates(batch, batch.holidays.map(h => h.holiday_date), yesterday)
+                        .filter(date => date > since).length;
+                    if (missed >= MISSED_REPORT_THRESHOLD) {
+                        (missedByUser[e.user_id] = missedByUser[e.user_id] || []).push(`${missed} in "${e.batch_name}"`);
+                    }
+                });
+
+                Object.entries(missedByUser).forEach(([userId, missed]) => {
+                    createNotification(Number(userId), 'missed_reports',
+                        `You have missed daily reports: ${missed.join(', ')}. Submit them while the edit window is open.`, 'my-report');
+                });
+                done(null, Object.keys(missedByUser).length);
+            });
+        }
+    );
+}
+
+function formatNotificationPreferences(rows) {
+    const disabled = new Set(rows.filter(r => !r.enabled).map(r => r.type));
+    return Object.entries(NOTIFICATION_TYPES).map(([type, info]) => ({
+        type: type,
+        label: info.label,
+        required: Boolean(info.required),
+        enabled: !disabled.has(type)
+    }));
+}
+
+// The current user's notifications, newest first (?unread=true, ?page=, ?limit=)
+app.get('/api/notifications', authenticateToken, (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_NOTIFICATIONS_PAGE_SIZE);
+    const where = req.query.unread === 'true' ? 'WHERE user_id = ? AND is_read = 0' : 'WHERE user_id = ?';
+
+    db.all(`SELECT * FROM notifications ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [req.user.id, limit, (page - 1) * limit], (err, notifications) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch notifications' });
+            }
+            res.json(notifications);
+        }
+    );
+});
+
+app.get('/api/notifications/unread-count', authenticateToken, (req, res) => {
+    db.get('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0', [req.user.id], (err, row) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to count notifications' });
+        }
+        res.json({ unread: row.count });
+    });
+});
+
+app.post('/api/notifications/read-all', authenticateToken, (req, res) => {
+    db.run('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0', [req.user.id], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to update notifications' });
+        }
+        res.json({ message: 'All notifications marked as read', updated: this.changes });
+    });
+});
+
+app.post('/api/notifications/:notificationId/read', authenticateToken, (req, res) => {
+    db.run('UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+        [req.params.notificationId, req.user.id], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update notification' });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Notification not found' });
+            }
+            res.json({ message: 'Notification marked as read' });
+        }
+    );
+});
+
+app.delete('/api/notifications/:notificationId', authenticateToken, (req, res) => {
+    db.run('DELETE FROM notifications WHERE id = ? AND user_id = ?',
+        [req.params.notificationId, req.user.id], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete notification' });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Notification not found' });
+            }
+            res.json({ message: 'Notification deleted' });
+        }
+    );
+});
+
+app.get('/api/notifications/preferences', authenticateToken, (req, res) => {
+    db.all('SELECT type, enabled FROM notification_preferences WHERE user_id = ?', [req.user.id], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+        }
+        res.json(formatNotificationPreferences(rows));
+    });
+});
+
+// Turn notification types on or off: { "preferences": { "missed_reports": false, ... } }
+app.put('/api/notifications/preferences', authenticateToken, (req, res) => {
+    const { preferences } = req.body;
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return res.status(400).json({ error: 'preferences must be an object of notification type to true/false' });
+    }
+
+    const types = Object.keys(preferences);
+    const unknown = types.filter(type => !NOTIFICATION_TYPES[type]);
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown notification types: ${unknown.join(', ')}` });
+    }
+    if (types.some(type => typeof preferences[type] !== 'boolean')) {
+        return res.status(400).json({ error: 'Each preference must be true or false' });
+    }
+    const required = types.filter(type => NOTIFICATION_TYPES[type].required && !preferences[type]);
+    if (required.length > 0) {
+        return res.status(400).json({ error: `These notifications cannot be turned off: ${required.join(', ')}` });
+    }
+
+    db.serialize(() => {
+        const stmt = db.prepare(`INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+                                 ON CONFLICT(user_id, type) DO UPDATE SET enabled = excluded.enabled, updated_at = CURRENT_TIMESTAMP`);
+        types.forEach(type => stmt.run([req.user.id, type, preferences[type] ? 1 : 0]));
+        stmt.finalize((err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to save notification preferences' });
+            }
+            db.all('SELECT type, enabled FROM notification_preferences WHERE user_id = ?', [req.user.id], (err, rows) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+                }
+                res.json({ message: 'Notification preferences saved', preferences: formatNotificationPreferences(rows) });
+            });
+        });
+    });
+});
+
+// Serve frontend
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Start server
+// ADD THESE ROUTES TO YOUR server.js (or server-ai.js)
+// Add at the end, before app.listen()
+
+// ============ ADMIN DATA EXPORT FEATURES ============
+
+// Export all users as CSV (teachers get the students of the batches they are staff of)
+app.get('/api/admin/export/users', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
+    let query = 'SELECT id, username, email, full_name, role, created_at FROM users';
+    const params = [];
+    if (req.user.role === 'teacher') {
+        query += ` WHERE id IN (SELECT user_id FROM enrollments WHERE batch_id IN (${STAFFED_BATCH_IDS}))`;
+        params.push(req.user.id, req.user.id);
+    }
+
+    db.all(query, params, (err, users) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to export users' });
+        }
+
+        // Convert to CSV
+        const csv = [
+            'ID,Username,Email,Full Name,Role,Created At',
+            ...users.map(u => `${u.id},${u.username},${u.email},"${u.full_name}",${u.role},${u.created_at}`)
+        ].join('\n');
+
+        logAudit(req, req.user, 'export.users', null, null, { rows: users.length });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename=users.csv');
+        res.send(csv);
+    });
+});
+
+// Export all reports as CSV (teachers get the batches they are staff of)
+app.get('/api/admin/export/reports', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
+    const staffOnly = req.user.role === 'teacher';
+    const query = `
+        SELECT 
+            r.id,
+            r.report_date,
+            u.full_name as student_name,
+            u.email as student_email,
+            b.name as batch_name,
+            r.tasks_completed,
+            r.challenges,
+            r.hours_worked,
+            r.notes,
+            a.status as attendance,
+            r.created_at
+        FROM daily_reports r
+        INNER JOIN users u ON r.user_id = u.id
+        INNER JOIN batches b ON r.batch_id = b.id
+        LEFT JOIN attendance a ON a.batch_id = r.batch_id AND a.user_id = r.user_id AND a.session_date = r.report_date
+        ${staffOnly ? `WHERE r.batch_id IN (${STAFFED_BATCH_IDS})` : ''}
+        ORDER BY r.report_date DESC
+    `;
+
+    db.all(query, staffOnly ? [req.user.id, req.user.id] : [], (err, reports) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to export reports' });
+        }
+
+        // Convert to CSV (escape commas and quotes)
+        const escapeCsv = (str) => {
+            if (!str) return '';
+            return `"${String(str).replace(/"/g, '""')}"`;
+        };
+
+        const csv = [
+            'ID,Date,Student,Email,Batch,Tasks,Challenges,Hours,Notes,Attendance,Submitted',
+            ...reports.map(r => 
+                `${r.id},${r.report_date},${escapeCsv(r.student_name)},${r.student_email},${escapeCsv(r.batch_name)},${escapeCsv(r.tasks_completed)},${escapeCsv(r.challenges)},${r.hours_worked},${escapeCsv(r.notes)},${r.attendance || ''},${r.created_at}`
+            )
+        ].join('\n');
+
+        logAudit(req, req.user, 'export.reports', null, null, { rows: reports.length });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=reports.csv');
+        res.send(csv);
+    });
+});
+
+// Export attendance percentages per student and batch as CSV (teachers get the batches they are staff of)
+app.get('/api/admin/export/attendance', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
+    let query = 'SELECT id, name FROM batches';
+    const params = [];
+    if (req.user.role === 'teacher') {
+        query += ` WHERE id IN (${STAFFED_BATCH_IDS})`;
+        params.push(req.user.id, req.user.id);
+    }
+    query += ' ORDER BY start_date DESC';
+
+    db.all(query, params, (err, batches) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to export attendance' });
+        }
+
+        const escapeCsv = (str) => {
+            if (!str) return '';
+            return `"${String(str).replace(/"/g, '""')}"`;
+        };
+
+        const rows = [];
+        let completed = 0;
+        let failed = false;
+
+        if (batches.length === 0) {
+            return sendAttendanceCsv();
+        }
+
+        batches.forEach(batch => {
+            getAttendanceSummary(batch.id, (err, summary) => {
+                if (err) {
+                    failed = true;
+                } else {
+                    Object.values(summary.students).forEach(s => {
+                        rows.push(`${batch.id},${escapeCsv(batch.name)},${s.studentId},${escapeCsv(s.studentName)},${summary.sessionsMarked},${s.present},${s.late},${s.absent},${s.excused},${s.attendanceRate === null ? '' : s.attendanceRate}`);
+                    });
+                }
+                completed++;
+
+                if (completed === batches.length) {
+                    if (failed) {
+                        return res.status(500).json({ error: 'Failed to export attendance' });
+                    }
+                    sendAttendanceCsv();
+                }
+            });
+        });
+
+        function sendAttendanceCsv() {
+            const csv = [
+                'Batch ID,Batch,Student ID,Student,Sessions,Present,Late,Absent,Excused,Attendance %',
+                ...rows
+            ].join('\n');
+
+            logAudit(req, req.user, 'export.attendance', null, null, { rows: rows.length });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=attendance.csv');
+            res.send(csv);
+        }
+    });
+});
+
+// Export all data as JSON
+app.get('/api/admin/export/all', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const queries = {
+        users: 'SELECT id, username, email, full_name, role, created_at FROM users',
+        batches: 'SELECT * FROM batches',
+        enrollments: `
+            SELECT e.*, u.full_name as student_name, b.name as batch_name
+            FROM enrollments e
+            INNER JOIN users u ON e.user_id = u.id
+            INNER JOIN batches b ON e.batch_id = b.id
+        `,
+        reports: `
+            SELECT r.*, u.full_name as student_name, b.name as batch_name
+            FROM daily_reports r
+            INNER JOIN users u ON r.user_id = u.id
+            INNER JOIN batches b ON r.batch_id = b.id
+        `,
+        attendance: 'SELECT * FROM attendance'
+    };
+
+    const results = {};
+    let completed = 0;
+
+    Object.keys(queries).forEach(key => {
+        db.all(queries[key], [], (err, data) => {
+            if (!err) {
+                results[key] = data;
+            }
+            completed++;
+            
+            if (completed === Object.keys(queries).length) {
+                results.exportedAt = new Date().toISOString();
+                results.totalUsers = results.users.length;
+                results.totalBatches = results.batches.length;
+                results.totalEnrollments = results.enrollments.length;
+                results.totalReports = results.reports.length;
+                logAudit(req, req.user, 'export.all', null, null, {
+                    users: results.totalUsers, batches: results.totalBatches, reports: results.totalReports
+                });
+
+                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('Content-Disposition', 'attachment; filename=training-portal-data.json');
+                res.json(results);
+            }
+        });
+    });
+});
+
+// Get database statistics for admin
+app.get('/api/admin/stats', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
+    const stats = {};
+    const queries = {
+        totalUsers: 'SELECT COUNT(*) as count FROM users',
+        studentCount: "SELECT COUNT(*) as count FROM users WHERE role = 'student'",
+        teacherCount: "SELECT COUNT(*) as count FROM users WHERE role = 'teacher'",
+        totalBatches: 'SELECT COUNT(*) as count FROM batches',
+        activeBatches: "SELECT COUNT(*) as count FROM batches WHERE status = 'active'",
+        totalEnrollments: `SELECT COUNT(*) as count FROM enrollments WHERE ${ACTIVE_ENROLLMENT}`,
+        totalReports: 'SELECT COUNT(*) as count FROM daily_reports',
+        totalHours: 'SELECT SUM(hours_worked) as total FROM daily_reports',
+        avgHours: 'SELECT AVG(hours_worked) as avg FROM daily_reports',
+        recentReports: 'SELECT COUNT(*) as count FROM daily_reports WHERE report_date >= date("now", "-7 days")'
+    };
+
+    let completed = 0;
+    Object.keys(queries).forEach(key => {
+        db.get(queries[key], [], (err, result) => {
+            if (!err && result) {
+                stats[key] = result.count || result.total || result.avg || 0;
+            }
+            completed++;
+            
+            if (completed === Object.keys(queries).length) {
+                res.json(stats);
+            }
+        });
+    });
+});
+
+// ============ ADMIN USER IMPORT ============
+
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_ROLES = ['student', 'teacher'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Header aliases, so a file from /api/admin/export/users can be fed back in
+const IMPORT_COLUMNS = {
+    name: 'full_name', 'full name': 'full_name', full_name: 'full_name',
+    username: 'username', email: 'email', role: 'role', batch: 'batch', password: 'password'
+};
+
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024, files: 1 } });
+
+// Accept the CSV as a "file" upload or as { csv: "..." } in a JSON body
+function readImportCsv(req, res, next) {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: `Upload failed: ${err.message}` });
+        }
+        req.csvText = req.file ? req.file.buffer.toString('utf8') : (req.body && req.body.csv);
+        if (typeof req.csvText !== 'string' || !req.csvText.trim()) {
+            return res.status(400).json({ error: 'Provide the CSV as a "file" upload or a "csv" field' });
+        }
+        next();
+    });
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function generateTemporaryPassword() {
+    return crypto.randomBytes(9).toString('base64').replace(/[+/]/g, 'x');
+}
+
+// Check every row against the database and the rows before it; returns one report entry per row
+function validateImportRows(records, users, batches) {
+    const usernames = new Map(users.map(u => [u.username.toLowerCase(), u]));
+    const emails = new Map(users.map(u => [u.email.toLowerCase(), u]));
+    const seenUsernames = new Set();
+    const seenEmails = new Set();
+    const seats = new Map(batches.map(b => [b.id, b.max_participants - b.participant_count]));
+
+    return records.map(({ line, values }) => {
+        const entry = { row: line, username: values.username || null, errors: [] };
+        const role = (values.role || 'student').toLowerCase();
+
+        if (!values.full_name) entry.errors.push('name is required');
+        if (!values.username) entry.errors.push('username is required');
+        if (!values.email) {
+            entry.errors.push('email is required');
+        } else if (!EMAIL_PATTERN.test(values.email)) {
+            entry.errors.push(`invalid email "${values.email}"`);
+        }
+        if (!IMPORT_ROLES.includes(role)) entry.errors.push(`role must be one of: ${IMPORT_ROLES.join(', ')}`);
+        if (values.password && values.password.length < MIN_PASSWORD_LENGTH) entry.errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+        const username = (values.username || '').toLowerCase();
+        const email = (values.email || '').toLowerCase();
+        if (username && seenUsernames.has(username)) entry.errors.push('duplicate username in file');
+        if (email && seenEmails.has(email)) entry.errors.push('duplicate email in file');
+        seenUsernames.add(username);
+        seenEmails.add(email);
+
+        // An existing account is only reused when both username and email match it
+        const byUsername = usernames.get(username);
+        const byEmail = emails.get(email);
+        if (byUsername && byUsername === byEmail) {
+            entry.userId = byUsername.id;
+            if (byUsername.role !== role) entry.errors.push(`existing user has role ${byUsername.role}`);
+        } else {
+            if (byUsername) entry.errors.push('username already exists');
+            if (byEmail) entry.errors.push('email already exists');
+        }
+
+        if (values.batch) {
+            const batch = batches.find(b => String(b.id) === values.batch || b.name.toLowerCase() === values.batch.toLowerCase());
+            if (!batch) {
+                entry.errors.push(`batch "${values.batch}" not found`);
+            } else if (role !== 'student') {
+                entry.errors.push('only students can be enrolled');
+            } else if (batch.archived_at || batch.status === 'completed') {
+                entry.errors.push(`batch "${batch.name}" is no longer accepting enrollments`);
+            } else if (entry.userId && batch.enrolled_ids.includes(entry.userId)) {
+                entry.batchId = batch.id;
+                entry.alreadyEnrolled = true;
+            } else if (seats.get(batch.id) <= 0) {
+                entry.errors.push(`batch "${batch.name}" is full`);
+            } else {
+                entry.batchId = batch.id;
+                if (entry.errors.length === 0) seats.set(batch.id, seats.get(batch.id) - 1);
+            }
+        }
+
+        entry.status = entry.errors.length > 0 ? 'error' : 'ok';
+        if (entry.status === 'ok') {
+            entry.action = entry.userId ? 'existing_user' : 'create_user';
+            entry.values = { ...values, role: role };
+        }
+        return entry;
+    });
+}
+
+function formatImportEntry(entry) {
+    const result = { row: entry.row, username: entry.username, status: entry.status };
+    if (entry.status === 'error') {
+        result.errors = entry.errors;
+        return result;
+    }
+    result.action = entry.action;
+    if (entry.userId) result.user_id = entry.userId;
+    if (entry.batchId) result.batch_id = entry.batchId;
+    if (entry.batchId) result.enrollment = entry.alreadyEnrolled ? 'already_enrolled' : 'enroll';
+    if (entry.temporaryPassword) result.temporary_password = entry.temporaryPassword;
+    return result;
+}
+
+// Create accounts and enrollments for the valid rows, all or nothing
+async function applyImport(entries, actorId) {
+    const valid = entries.filter(entry => entry.status === 'ok');
+    const newUsers = valid.filter(entry => !entry.userId);
+
+    // Hash first so the transaction only holds the database for the writes
+    for (const entry of newUsers) {
+        entry.password = entry.values.password || generateTemporaryPassword();
+        entry.hashedPassword = await bcrypt.hash(entry.password, 10);
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            runInTransaction((tx, done) => {
+                const run = (sql, params) => new Promise((resolve, reject) => {
+                    tx.run(sql, params, function(err) {
+                        if (err) return reject(err);
+                        resolve(this.lastID);
+                    });
+                });
+
+                (async () => {
+                    for (const entry of valid) {
+                        if (!entry.userId) {
+                            entry.userId = await run('INSERT INTO users (username, email, password, full_name, role) VALUES (?, ?, ?, ?, ?)',
+                                [entry.values.username, entry.values.email, entry.hashedPassword, entry.values.full_name, entry.values.role]);
+                        }
+                        if (entry.batchId && !entry.alreadyEnrolled) {
+                            await new Promise((resolve, reject) => {
+                                setEnrollmentStatus(entry.userId, entry.batchId, 'approved', actorId, (err) => err ? reject(err) : resolve(), tx);
+                            });
+                            await run('DELETE FROM batch_waitlist WHERE batch_id = ? AND user_id = ?', [entry.batchId, entry.userId]);
+                        }
+                    }
+                })().then(() => done(null), done);
+            }, (err) => err ? reject(err) : resolve());
+        });
+    } catch (error) {
+        // Rolled back: the new accounts do not exist
+        newUsers.forEach(entry => delete entry.userId);
+        throw error;
+    }
+
+    newUsers.forEach(entry => {
+        if (!entry.values.password) entry.temporaryPassword = entry.password;
+    });
+}
+
+// Import users (and their batch enrollments) from CSV; ?dry_run=true only validates
+app.post('/api/admin/import/users', authenticateToken, authorizeRole('admin'), readImportCsv, (req, res) => {
+    const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true || req.body.dry_run === 'true';
+    const rows = parseCsv(req.csvText);
+    if (rows.length < 2) {
+        return res.status(400).json({ error: 'CSV needs a header row and at least one user' });
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    const header = rows[0].map(h => IMPORT_COLUMNS[h.trim().toLowerCase()]);
+    const missing = ['full_name', 'username', 'email'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        return res.status(400).json({ error: `Missing required columns: ${missing.map(c => c === 'full_name' ? 'name' : c).join(', ')}` });
+    }
+
+    const records = rows.slice(1).map((values, index) => {
+        const record = {};
+        header.forEach((column, i) => {
+            if (column) record[column] = (values[i] || '').trim();
+        });
+        return { line: index + 2, values: record };
+    });
+
+    db.all('SELECT id, username, email, role FROM users', [], (err, users) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to import users' });
+        }
+        db.all(`SELECT b.id, b.name, b.status, b.archived_at, b.max_participants,
+                       (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as participant_count,
+                       (SELECT GROUP_CONCAT(user_id) FROM enrollments WHERE batch_id = b.id AND ${ACTIVE_ENROLLMENT}) as enrolled_ids
+                FROM batches b`,
+            [], (err, batches) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to import users' });
+                }
+                batches.forEach(b => {
+                    b.enrolled_ids = b.enrolled_ids ? b.enrolled_ids.split(',').map(Number) : [];
+                });
+
+                const entries = validateImportRows(records, users, batches);
+                const valid = entries.filter(e => e.status === 'ok');
+                const summary = {
+                    total: entries.length,
+                    valid: valid.length,
+                    invalid: entries.length - valid.length,
+                    usersToCreate: valid.filter(e => e.action === 'create_user').length,
+                    enrollmentsToCreate: valid.filter(e => e.batchId && !e.alreadyEnrolled).length
+                };
+
+                if (dryRun) {
+                    return res.json({ dryRun: true, summary: summary, rows: entries.map(formatImportEntry) });
+                }
+
+                applyImport(entries, req.user.id)
+                    .then(() => {
+                        console.log(`Imported ${summary.usersToCreate} user(s) and ${summary.enrollmentsToCreate} enrollment(s) from CSV`);
+                        logAudit(req, req.user, 'user.import', null, null, summary);
+                        res.json({ dryRun: false, summary: summary, rows: entries.map(formatImportEntry) });
+                    })
+                    .catch(error => {
+                        console.error('User import failed:', error.message);
+                        logAudit(req, req.user, 'user.import', null, null, { ...summary, failed: true });
+                        res.status(500).json({
+                            error: 'Import failed and was rolled back; no users or enrollments were saved',
+                            rows: entries.map(formatImportEntry)
+                        });
+                    });
+            }
+        );
+    });
+});
+
+// ============ ADMIN USER MANAGEMENT ============
+
+const USER_ROLES = ['student', 'teacher', 'admin'];
+const USER_COLUMNS = 'id, username, email, full_name, role, is_active, deactivated_at, failed_login_count, locked_until, totp_enabled, created_at, updated_at';
+const MAX_USERS_PAGE_SIZE = 100;
+
+// A user's own records, removed when the account is deleted; each statement takes the user id
+const USER_DELETE_STATEMENTS = [
+    'DELETE FROM report_comments WHERE report_id IN (SELECT id FROM daily_reports WHERE user_id = ?)',
+    'DELETE FROM report_comments WHERE user_id = ?',
+    'DELETE FROM report_revisions WHERE report_id IN (SELECT id FROM daily_reports WHERE user_id = ?)',
+    'DELETE FROM submission_attachments WHERE submission_id IN (SELECT id FROM assignment_submissions WHERE user_id = ?)',
+    'DELETE FROM assignment_submissions WHERE user_id = ?',
+    'DELETE FROM quiz_answers WHERE attempt_id IN (SELECT id FROM quiz_attempts WHERE user_id = ?)',
+    'DELETE FROM quiz_attempts WHERE user_id = ?',
+    'DELETE FROM lesson_completions WHERE user_id = ?',
+    'DELETE FROM certificates WHERE user_id = ?',
+    'DELETE FROM attendance WHERE user_id = ?',
+    'DELETE FROM daily_reports WHERE user_id = ?',
+    'DELETE FROM enrollments WHERE user_id = ?',
+    'DELETE FROM batch_waitlist WHERE user_id = ?',
+    'DELETE FROM batch_staff WHERE user_id = ?',
+    'UPDATE batch_staff SET added_by = NULL WHERE added_by = ?',
+    'DELETE FROM notifications WHERE user_id = ?',
+    'DELETE FROM notification_preferences WHERE user_id = ?',
+    'DELETE FROM ai_insights WHERE user_id = ?',
+    'DELETE FROM student_alerts WHERE user_id = ?',
+    'UPDATE student_alerts SET acknowledged_by = NULL WHERE acknowledged_by = ?',
+    'UPDATE student_alerts SET resolved_by = NULL WHERE resolved_by = ?',
+    'UPDATE batch_alert_rules SET updated_by = NULL WHERE updated_by = ?',
+    'DELETE FROM password_reset_tokens WHERE user_id = ?',
+    'DELETE FROM sessions WHERE user_id = ?',
+    'DELETE FROM recovery_codes WHERE user_id = ?',
+    'UPDATE failed_logins SET user_id = NULL WHERE user_id = ?',
+    'UPDATE completion_models SET trained_by = NULL WHERE trained_by = ?',
+    // Reviews the user did on other people's work stay, without a reviewer
+    'UPDATE daily_reports SET reviewed_by = NULL WHERE reviewed_by = ?',
+    'UPDATE assignment_submissions SET graded_by = NULL WHERE graded_by = ?',
+    'UPDATE enrollments SET status_changed_by = NULL WHERE status_changed_by = ?'
+];
+
+function findManagedUser(req, res, callback) {
+    db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [req.params.userId], (err, user) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch user' });
+        }
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        callback(user);
+    });
+}
+
+function formatUser(user) {
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    return {
+        ...user,
+        is_active: !!user.is_active,
+        is_locked: !!user.locked_until && user.locked_until > now,
+        totp_enabled: !!user.totp_enabled
+    };
+}
+
+function validateUserFields(fields, partial) {
+    const required = ['username', 'email', 'full_name', 'role'];
+    if (!partial) {
+        const missing = [...required, 'password'].filter(field => !fields[field]);
+        if (missing.length > 0) return `Missing required fields: ${missing.join(', ')}`;
+    }
+    for (const field of required) {
+        if (fields[field] !== undefined && (typeof fields[field] !== 'string' || !fields[field].trim())) {
+            return `${field} must be a non-empty string`;
+        }
+    }
+    if (fields.email !== undefined && !EMAIL_PATTERN.test(fields.email)) return 'Invalid email address';
+    if (fields.role !== undefined && !USER_ROLES.includes(fields.role)) return `role must be one of: ${USER_ROLES.join(', ')}`;
+    if (fields.password !== undefined && (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_LENGTH)) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Why an admin may not demote, deactivate or delete this account (null when allowed)
+function checkAdminSafety(req, user, callback) {
+    if (user.id === req.user.id) return callback(null, 'You cannot do this to your own account');
+    if (user.role !== 'admin' || !user.is_active) return callback(null, null);
+
+    db.get("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = 1", [], (err, row) => {
+        if (err) return callback(err);
+        callback(null, row.count <= 1 ? 'At least one active admin is required' : null);
+    });
+}
+
+// List users with search (name, username, email), role/status filters and pagination
+app.get('/api/admin/users', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_USERS_PAGE_SIZE);
+
+    const conditions = [];
+    const params = [];
+    if (search) {
+        conditions.push('(username LIKE ? OR email LIKE ? OR full_name LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    if (role) {
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+        }
+        conditions.push('role = ?');
+        params.push(role);
+    }
+    if (status) {
+        if (!['active', 'inactive'].includes(status)) {
+            return res.status(400).json({ error: 'status must be active or inactive' });
+        }
+        conditions.push('is_active = ?');
+        params.push(status === 'active' ? 1 : 0);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    db.get(`SELECT COUNT(*) as total FROM users ${where}`, params, (err, count) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch users' });
+        }
+        db.all(`SELECT ${USER_COLUMNS},
+                       (SELECT COUNT(*) FROM enrollments WHERE user_id = users.id AND ${ACTIVE_ENROLLMENT}) as enrollment_count,
+                       (SELECT COUNT(*) FROM batches WHERE instructor_id = users.id) as batch_count
+                FROM users ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit], (err, users) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch users' });
+                }
+                res.json({
+                    users: users.map(formatUser),
+                    pagination: { page: page, limit: limit, total: count.total, totalPages: Math.ceil(count.total / limit) }
+                });
+            }
+        );
+    });
+});
+
+app.get('/api/admin/users/:userId', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        db.all(`SELECT e.batch_id, e.status, b.name as batch_name FROM enrollments e
+                INNER JOIN batches b ON e.batch_id = b.id
+                WHERE e.user_id = ? ORDER BY e.enrolled_at DESC`,
+            [user.id], (err, enrollments) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch user' });
+                }
+                db.all('SELECT id, name, status FROM batches WHERE instructor_id = ? ORDER BY start_date DESC', [user.id], (err, batches) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to fetch user' });
+                    }
+                    res.json({ ...formatUser(user), enrollments: enrollments, instructed_batches: batches });
+                });
+            }
+        );
+    });
+});
+
+// Create an account with any role, including admin
+app.post('/api/admin/users', authenticateToken, authorizeRole('admin'), async (req, res) => {
+    const error = validateUserFields(req.body, false);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const { username, email, password, full_name, role } = req.body;
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        db.run('INSERT INTO users (username, email, password, full_name, role) VALUES (?, ?, ?, ?, ?)',
+            [username.trim(), email.trim(), hashedPassword, full_name.trim(), role],
+            function(err) {
+                if (err) {
+                    if (err.message.includes('UNIQUE')) {
+                        return res.status(400).json({ error: 'Username or email already exists' });
+                    }
+                    return res.status(500).json({ error: 'Failed to create user' });
+                }
+                logAudit(req, req.user, 'user.create', 'user', this.lastID, { username: username.trim(), role: role });
+                res.status(201).json({ message: 'User created successfully', userId: this.lastID });
+            }
+        );
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit profile fields, role or password
+app.patch('/api/admin/users/:userId', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        const changes = {};
+        ['username', 'email', 'full_name', 'role', 'password'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
+        }
+        const error = validateUserFields(changes, true);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const roleChanged = changes.role !== undefined && changes.role !== user.role;
+
+        // Demoting must keep an active admin around, and students cannot instruct batches
+        const checkRoleChange = (next) => {
+            if (!roleChanged) return next();
+            checkAdminSafety(req, user, (err, reason) => {
+                if (err) return res.status(500).json({ error: 'Failed to update user' });
+                if (reason) return res.status(400).json({ error: reason });
+                if (changes.role !== 'student') return next();
+
+                db.get('SELECT COUNT(*) as count FROM batches WHERE instructor_id = ?', [user.id], (err, row) => {
+                    if (err) return res.status(500).json({ error: 'Failed to update user' });
+                    if (row.count > 0) {
+                        return res.status(409).json({ error: `User still instructs ${row.count} batches; reassign them first` });
+                    }
+                    next();
+                });
+            });
+        };
+
+        checkRoleChange(async () => {
+            try {
+                if (changes.password) {
+                    changes.password = await bcrypt.hash(changes.password, 10);
+                }
+                ['username', 'email', 'full_name'].forEach(field => {
+                    if (changes[field] !== undefined) changes[field] = changes[field].trim();
+                });
+
+                const fields = Object.keys(changes);
+                db.run(`UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')},
+                               ${changes.password ? 'token_version = token_version + 1,' : ''} updated_at = CURRENT_TIMESTAMP
+                        WHERE id = ?`,
+                    [...fields.map(field => changes[field]), user.id], (err) => {
+                        if (err) {
+                            if (err.message.includes('UNIQUE')) {
+                                return res.status(400).json({ error: 'Username or email already exists' });
+                            }
+                            return res.status(500).json({ error: 'Failed to update user' });
+                        }
+                        if (changes.password) revokeSessions(user.id, null);
+                        logAudit(req, req.user, roleChanged ? 'user.role_change' : 'user.update', 'user', user.id, {
+                            fields: fields,
+                            ...(roleChanged ? { from: user.role, to: changes.role } : {})
+                        });
+                        db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id], (err, updated) => {
+                            if (err) {
+                                return res.status(500).json({ error: 'Failed to fetch updated user' });
+                            }
+                            res.json({ message: 'User updated successfully', user: formatUser(updated) });
+                        });
+                    }
+                );
+            } catch (error) {
+                res.status(500).json({ error: 'Server error' });
+            }
+        });
+    });
+});
+
+// Deactivate an account; its existing tokens stop working immediately
+app.post('/api/admin/users/:userId/deactivate', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        if (!user.is_active) {
+            return res.status(400).json({ error: 'User is already deactivated' });
+        }
+        checkAdminSafety(req, user, (err, reason) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to deactivate user' });
+            }
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
+            db.run(`UPDATE users SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP,
+                           token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?`,
+                [user.id], (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to deactivate user' });
+                    }
+                    revokeSessions(user.id, null);
+                    logAudit(req, req.user, 'user.deactivate', 'user', user.id);
+                    res.json({ message: 'User deactivated' });
+                }
+            );
+        });
+    });
+});
+
+app.post('/api/admin/users/:userId/activate', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        if (user.is_active) {
+            return res.status(400).json({ error: 'User is already active' });
+        }
+        db.run('UPDATE users SET is_active = 1, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to activate user' });
+            }
+            logAudit(req, req.user, 'user.activate', 'user', user.id);
+            res.json({ message: 'User activated' });
+        });
+    });
+});
+
+// Delete an account and its own records (`?force=true` if it has reports or submissions)
+app.delete('/api/admin/users/:userId', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        checkAdminSafety(req, user, (err, reason) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to delete user' });
+            }
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
+
+            db.get(`SELECT
+                        (SELECT COUNT(*) FROM batches WHERE instructor_id = ?) as batches,
+                        (SELECT COUNT(*) FROM assignments WHERE created_by = ?) + (SELECT COUNT(*) FROM quizzes WHERE created_by = ?) as authored,
+                        (SELECT COUNT(*) FROM attendance WHERE marked_by = ?) as marked,
+                        (SELECT COUNT(*) FROM daily_reports WHERE user_id = ?) + (SELECT COUNT(*) FROM assignment_submissions WHERE user_id = ?) as work`,
+                [user.id, user.id, user.id, user.id, user.id, user.id], (err, counts) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to delete user' });
+                    }
+                    if (counts.batches > 0 || counts.authored > 0 || counts.marked > 0) {
+                        return res.status(409).json({
+                            error: 'User instructs batches or authored course records. Reassign them or deactivate the account instead.'
+                        });
+                    }
+                    if (counts.work > 0 && req.query.force !== 'true') {
+                        return res.status(409).json({
+                            error: `User has ${counts.work} reports and submissions. Deactivate the account instead, or delete with force=true.`
+                        });
+                    }
+
+                    db.all(`SELECT batch_id FROM enrollments WHERE user_id = ? AND ${ACTIVE_ENROLLMENT}`, [user.id], (err, enrollments) => {
+                        if (err) {
+                            return res.status(500).json({ error: 'Failed to delete user' });
+                        }
+                        db.all(`SELECT f.stored_name FROM submission_attachments f
+                                INNER JOIN assignment_submissions s ON f.submission_id = s.id
+                                WHERE s.user_id = ?`,
+                            [user.id], (err, attachments) => {
+                                if (err) {
+                                    return res.status(500).json({ error: 'Failed to delete user' });
+                                }
+
+                                const statements = [...USER_DELETE_STATEMENTS, 'DELETE FROM users WHERE id = ?']
+                                    .map(statement => [statement, [user.id]]);
+                                runStatementsInTransaction(statements, (err) => {
+                                    if (err) {
+                                        return res.status(500).json({ error: 'Failed to delete user' });
+                                    }
+                                    attachments.forEach(file => removeUploadedFile(file.stored_name));
+                                    // Freed seats go to waitlisted students, one batch after another
+                                    const promoteNext = (index) => {
+                                        if (index === enrollments.length) return;
+                                        const log = logWaitlistPromotions({ name: `batch ${enrollments[index].batch_id}` });
+                                        promoteFromWaitlist(enrollments[index].batch_id, (err, promoted) => {
+                                            log(err, promoted);
+                                            promoteNext(index + 1);
+                                        });
+                                    };
+                                    promoteNext(0);
+                                    logAudit(req, req.user, 'user.delete', 'user', user.id, { username: user.username, role: user.role, force: req.query.force === 'true' });
+                                    res.json({ message: 'User deleted successfully' });
+                                });
+                            }
+                        );
+                    });
+                }
+            );
+        });
+    });
+});
+
+// ============ MAIL ============
+
+// Transports take a message { from, to, subject, text } and call back once it is delivered.
+// Add an entry here (e.g. an SMTP client) and select it with MAIL_TRANSPORT.
+const mailTransports = {
+    // Print to the server log
+    console: (message, callback) => {
+        console.log(`\n--- mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+        callback(null);
+    },
+    // Write each message to MAIL_DIR as a .eml file
+    file: (message, callback) => {
+        const content = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            '',
+            message.text
+        ].join('\r\n');
+        fs.mkdir(MAIL_DIR, { recursive: true }, (err) => {
+            if (err) return callback(err);
+            const file = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            fs.writeFile(path.join(MAIL_DIR, file), content, callback);
+        });
+    }
+};
+
+function sendMail(to, subject, text, callback) {
+    const transport = mailTransports[MAIL_TRANSPORT];
+    if (!transport) {
+        return callback(new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`));
+    }
+    transport({ from: MAIL_FROM, to: to, subject: subject, text: text }, callback);
+}
+
+// ============ PASSWORDS ============
+
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+// Reset requests are counted in password_reset_requests, whether or not the email belongs to an account
+const RESET_REQUEST_EMAIL_LIMIT = 3;     // requests per email within the window
+const RESET_REQUEST_IP_LIMIT = 10;       // requests per address within the window
+const RESET_REQUEST_WINDOW_MINUTES = 15;
+
+// Reset and refresh tokens are stored as hashes only
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function checkNewPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `New password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Store a new password, invalidate every token issued with the old one and end the other sessions
+function setPassword(userId, password, keepSessionId, callback) {
+    bcrypt.hash(password, 10)
+        .then(hashedPassword => {
+            db.run(`UPDATE users SET password = ?, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?`,
+                [hashedPassword, userId], (err) => {
+                    if (err) return callback(err);
+                    revokeSessions(userId, keepSessionId, callback);
+                });
+        })
+        .catch(callback);
+}
+
+// Change the signed-in user's password; returns a fresh access token since the old one is revoked
+app.post('/api/change-password', authenticateToken, (req, res) => {
+    const { current_password, new_password } = req.body;
+    if (typeof current_password !== 'string' || !current_password) {
+        return res.status(400).json({ error: 'Current password is required' });
+    }
+    const error = checkNewPassword(new_password);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err || !user) {
+            return res.status(500).json({ error: 'Failed to change password' });
+        }
+
+        bcrypt.compare(current_password, user.password).then(validPassword => {
+            if (!validPassword) {
+                return res.status(400).json({ error: 'Current password is incorrect' });
+            }
+            if (current_password === new_password) {
+                return res.status(400).json({ error: 'New password must be different from the current one' });
+            }
+
+            setPassword(user.id, new_password, req.user.sessionId, (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to change password' });
+                }
+                logAudit(req, req.user, 'auth.password_change', 'user', user.id);
+                res.json({
+                    message: 'Password changed successfully',
+                    token: issueToken({ ...user, token_version: user.token_version + 1 }, req.user.sessionId)
+                });
+            });
+        }).catch(() => res.status(500).json({ error: 'Failed to change password' }));
+    });
+});
+
+// Email a single-use reset link; the response never reveals whether the account exists
+app.post('/api/forgot-password', checkResetRequestThrottle, (req, res) => {
+    const email = req.body.email.trim();
+    const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    db.get('SELECT id, email, full_name, is_active FROM users WHERE email = ?', [email], (err, user) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to start password reset' });
+        }
+        if (!user || !user.is_active) {
+            return res.json(response);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        db.serialize(() => {
+            // Only the newest link works
+            db.run('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [user.id]);
+            db.run(`INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                    VALUES (?, ?, datetime('now', ?))`,
+                [user.id, hashToken(token), `+${PASSWORD_RESET_TTL_MINUTES} minutes`], (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to start password reset' });
+                    }
+
+                    const link = `${APP_URL}/?reset_token=${token}`;
+                    sendMail(user.email, 'Reset your Training Portal password',
+                        `Hi ${user.full_name},\n\nUse this link to choose a new password:\n${link}\n\n` +
+                        `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+                        'If you did not ask for a reset, you can ignore this email.',
+                        (err) => {
+                            if (err) console.error('Failed to send password reset email:', err.message);
+                            res.json(response);
+                        });
+                }
+            );
+        });
+    });
+});
+
+// Per-email and per-address limits on reset requests; the request is counted before the email is looked up,
+// so existing and unknown emails are limited alike
+function checkResetRequestThrottle(req, res, next) {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+    const normalizedEmail = email.trim().toLowerCase().slice(0, 255);
+    const windowStart = `-${RESET_REQUEST_WINDOW_MINUTES} minutes`;
+
+    db.get(`SELECT SUM(email = ?) as email_requests, SUM(ip_address = ?) as ip_requests,
+                   CAST(strftime('%s', MIN(CASE WHEN email = ? THEN created_at END)) AS INTEGER) + ? - CAST(strftime('%s', 'now') AS INTEGER) as email_retry_after,
+                   CAST(strftime('%s', MIN(CASE WHEN ip_address = ? THEN created_at END)) AS INTEGER) + ? - CAST(strftime('%s', 'now') AS INTEGER) as ip_retry_after
+            FROM password_reset_requests
+            WHERE (email = ? OR ip_address = ?) AND created_at > datetime('now', ?)`,
+        [normalizedEmail, req.ip, normalizedEmail, RESET_REQUEST_WINDOW_MINUTES * 60, req.ip, RESET_REQUEST_WINDOW_MINUTES * 60,
+         normalizedEmail, req.ip, windowStart], (err, counts) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to start password reset' });
+            }
+            if (counts.ip_requests >= RESET_REQUEST_IP_LIMIT) {
+                return rejectLogin(res, 429, counts.ip_retry_after, 'Too many password reset requests from this address. Try again later.');
+            }
+            if (counts.email_requests >= RESET_REQUEST_EMAIL_LIMIT) {
+                return rejectLogin(res, 429, counts.email_retry_after, 'Too many password reset requests for this email. Try again later.');
+            }
+
+            db.run('INSERT INTO password_reset_requests (email, ip_address) VALUES (?, ?)', [normalizedEmail, req.ip], (err) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to start password reset' });
+                }
+                next();
+            });
+        }
+    );
+}
+
+// Set a new password with a reset token
+app.post('/api/reset-password', (req, res) => {
+    const { token, new_password } = req.body;
+    if (!token) {
+        return res.status(400).json({ error: 'Reset token is required' });
+    }
+    const error = checkNewPassword(new_password);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    db.get(`SELECT t.*, u.username, u.is_active FROM password_reset_tokens t
+            INNER JOIN users u ON t.user_id = u.id
+            WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > datetime('now')`,
+        [hashToken(token)], (err, reset) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to reset password' });
+            }
+            if (!reset || !reset.is_active) {
+                return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+            }
+
+            // Claim the token first so it cannot be used twice
+            db.run('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL', [reset.id], function(err) {
+                if (err || this.changes === 0) {
+                    return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+                }
+                setPassword(reset.user_id, new_password, null, (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to reset password' });
+                    }
+                    logAudit(req, { id: reset.user_id, username: reset.username }, 'auth.password_reset', 'user', reset.user_id);
+                    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+                });
+            });
+        }
+    );
+});
+
+// ============ SESSIONS ============
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+// Start a session for a successful login; calls back with { token, refreshToken, expiresIn }
+function createSession(user, req, callback) {
+    const refreshToken = generateRefreshToken();
+    db.serialize(() => {
+        db.run("DELETE FROM sessions WHERE user_id = ? AND expires_at < datetime('now')", [user.id]);
+        db.run(`INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+                VALUES (?, ?, ?, ?, datetime('now', ?))`,
+            [user.id, hashToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 255), req.ip,
+             `+${REFRESH_TOKEN_TTL_DAYS} days`],
+            function(err) {
+                if (err) return callback(err);
+                callback(null, { token: issueToken(user, this.lastID), refreshToken: refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+            }
+        );
+    });
+}
+
+function revokeSession(sessionId, callback) {
+    db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [sessionId], callback);
+}
+
+// Revoke every open session of a user, optionally keeping one
+function revokeSessions(userId, exceptSessionId, callback) {
+    db.run(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+        [userId, exceptSessionId || 0], callback);
+}
+
+// Swap a refresh token for a new access token and a new refresh token (the old one stops working)
+app.post('/api/refresh', (req, res) => {
+    const refreshToken = req.body.refreshToken || req.body.refresh_token;
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    const tokenHash = hashToken(refreshToken);
+
+    db.get(`SELECT s.*, u.username, u.role, u.is_active, u.token_version, s.expires_at <= datetime('now') as expired
+            FROM sessions s INNER JOIN users u ON s.user_id = u.id
+            WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?`,
+        [tokenHash, tokenHash], (err, session) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to refresh session' });
+            }
+            if (!session || session.revoked_at || session.expired || !session.is_active) {
+                return res.status(401).json({ error: 'Session expired. Please log in again.' });
+            }
+            if (session.refresh_token_hash !== tokenHash) {
+                // A rotated-out token was replayed, so it may have been stolen: end the session
+                return revokeSession(session.id, () => {
+                    res.status(401).json({ error: 'Session expired. Please log in again.' });
+                });
+            }
+
+            const nextToken = generateRefreshToken();
+            db.run(`UPDATE sessions SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND refresh_token_hash = ?`,
+                [hashToken(nextToken), tokenHash, session.id, tokenHash], function(err) {
+                    if (err || this.changes === 0) {
+                        return res.status(401).json({ error: 'Session expired. Please log in again.' });
+                    }
+                    res.json({
+                        token: issueToken({ ...session, id: session.user_id }, session.id),
+                        refreshToken: nextToken,
+                        expiresIn: ACCESS_TOKEN_TTL
+                    });
+                }
+            );
+        }
+    );
+});
+
+// End the current session
+app.post('/api/logout', authenticateToken, (req, res) => {
+    revokeSession(req.user.sessionId, (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to log out' });
+        }
+        logAudit(req, req.user, 'auth.logout', 'user', req.user.id);
+        res.json({ message: 'Logged out' });
+    });
+});
+
+// The current user's open sessions
+app.get('/api/sessions', authenticateToken, (req, res) => {
+    db.all(`SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at FROM sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+            ORDER BY last_used_at DESC`,
+        [req.user.id], (err, sessions) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch sessions' });
+            }
+            res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sessionId })));
         }
-        res.json(recommendations);
-    });
+    );
 });
 
-// Get AI completion prediction
-app.get('/api/ai/completion-prediction/:batchId', authenticateToken, (req, res) => {
-    const batchId = req.params.batchId;
-    
-    predictCompletionRate(req.user.id, batchId, (err, prediction) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to predict completion' });
+// Sign out one session remotely
+app.delete('/api/sessions/:sessionId', authenticateToken, (req, res) => {
+    db.run(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+        [req.params.sessionId, req.user.id], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to sign out session' });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            res.json({ message: 'Session signed out' });
         }
-        res.json(prediction);
-    });
+    );
 });
 
-// Get AI insights for all students (teachers only)
-app.get('/api/ai/class-insights/:batchId', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
-    const batchId = req.params.batchId;
-    
-    const query = `
-        SELECT 
-            u.id, u.full_name,
-            COUNT(r.id) as total_reports,
-            AVG(r.hours_worked) as avg_hours,
-            MAX(r.report_date) as last_report
-        FROM users u
-        INNER JOIN enrollments e ON u.id = e.user_id
-        LEFT JOIN daily_reports r ON u.id = r.user_id AND r.batch_id = e.batch_id
-        WHERE e.batch_id = ?
-        GROUP BY u.id
-    `;
-    
-    db.all(query, [batchId], (err, students) => {
+// Sign out every session except the current one
+app.delete('/api/sessions', authenticateToken, (req, res) => {
+    revokeSessions(req.user.id, req.user.sessionId, function(err) {
         if (err) {
-            return res.status(500).json({ error: 'Failed to get class insights' });
+            return res.status(500).json({ error: 'Failed to sign out sessions' });
         }
-        
-        const insights = students.map(student => ({
-            studentId: student.id,
-            studentName: student.full_name,
-            totalReports: student.total_reports,
-            averageHours: student.avg_hours ? student.avg_hours.toFixed(2) : 0,
-            lastReportDate: student.last_report,
-            engagementLevel: student.total_reports >= 15 ? 'High' : 
-                           student.total_reports >= 10 ? 'Medium' : 'Low',
-            needsAttention: student.total_reports < 5
-        }));
-        
-        res.json({
-            batchId: batchId,
-            totalStudents: insights.length,
-            highEngagement: insights.filter(s => s.engagementLevel === 'High').length,
-            needsAttention: insights.filter(s => s.needsAttention).length,
-            students: insights
-        });
+        res.json({ message: 'Other sessions signed out', count: this.changes });
     });
 });
 
-// ============ ORIGINAL API ROUTES (from previous server.js) ============
+// ============ LOGIN PROTECTION ============
 
-// User Registration
-app.post('/api/register', async (req, res) => {
-    const { username, email, password, full_name, role } = req.body;
+// Failed logins are kept in SQLite (failed_logins and the users counters), so no external cache is needed
+const LOGIN_BACKOFF_THRESHOLD = 3;       // failures before each retry has to wait
+const LOGIN_BACKOFF_MAX_SECONDS = 300;
+const ACCOUNT_LOCKOUT_THRESHOLD = 10;    // failures in a row that lock the account
+const ACCOUNT_LOCKOUT_MINUTES = 15;
+const IP_FAILURE_LIMIT = 30;             // failures per address within the window
+const IP_FAILURE_WINDOW_MINUTES = 15;
 
-    if (!username || !email || !password || !full_name || !role) {
-        return res.status(400).json({ error: 'All fields are required' });
-    }
+// Compared against when the username does not exist; same cost as real password hashes
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
 
-    if (!['student', 'teacher'].includes(role)) {
-        return res.status(400).json({ error: 'Invalid role' });
+// Wait required after the nth consecutive failure: 1s, 2s, 4s, ... capped
+function getLoginBackoffSeconds(failedCount) {
+    if (failedCount < LOGIN_BACKOFF_THRESHOLD) return 0;
+    return Math.min(2 ** (failedCount - LOGIN_BACKOFF_THRESHOLD), LOGIN_BACKOFF_MAX_SECONDS);
+}
+
+// The user row plus seconds left in a lockout and seconds since the last failure
+const LOGIN_USER_COLUMNS = `*,
+    CAST(strftime('%s', locked_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) as lock_remaining,
+    CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', last_failed_login_at) AS INTEGER) as since_failure`;
+
+function rejectLogin(res, status, retryAfter, error) {
+    res.setHeader('Retry-After', String(Math.max(retryAfter, 1)));
+    res.status(status).json({ error: error, retryAfter: Math.max(retryAfter, 1) });
+}
+
+// Runs before the password check: per-IP limit, account lockout and backoff. Loads the user into req.loginUser.
+function checkLoginThrottle(req, res, next) {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password required' });
     }
 
-    try {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        db.run(`INSERT INTO users (username, email, password, full_name, role) 
-                VALUES (?, ?, ?, ?, ?)`,
-            [username, email, hashedPassword, full_name, role],
-            function(err) {
+    db.get(`SELECT COUNT(*) as failures,
+                   CAST(strftime('%s', MIN(created_at)) AS INTEGER) + ? - CAST(strftime('%s', 'now') AS INTEGER) as retry_after
+            FROM failed_logins
+            WHERE ip_address = ? AND created_at > datetime('now', ?)`,
+        [IP_FAILURE_WINDOW_MINUTES * 60, req.ip, `-${IP_FAILURE_WINDOW_MINUTES} minutes`], (err, ip) => {
+            if (err) {
+                return res.status(500).json({ error: 'Server error' });
+            }
+            if (ip.failures >= IP_FAILURE_LIMIT) {
+                return rejectLogin(res, 429, ip.retry_after, 'Too many failed logins from this address. Try again later.');
+            }
+
+            db.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE username = ?`, [username], (err, user) => {
                 if (err) {
-                    if (err.message.includes('UNIQUE')) {
-                        return res.status(400).json({ error: 'Username or email already exists' });
-                    }
-                    return res.status(500).json({ error: 'Registration failed' });
+                    return res.status(500).json({ error: 'Server error' });
                 }
-                res.status(201).json({ 
-                    message: 'User registered successfully',
-                    userId: this.lastID 
+                if (!user) {
+                    return checkUnknownUserThrottle(req, res, next);
+                }
+                checkAccountThrottle(req, res, user, () => {
+                    req.loginUser = user;
+                    next();
                 });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+            });
+        }
+    );
+}
 
-// User Login
-app.post('/api/login', (req, res) => {
-    const { username, password } = req.body;
+// Lockout and backoff for one account (user loaded with LOGIN_USER_COLUMNS)
+function checkAccountThrottle(req, res, user, next) {
+    if (user.lock_remaining > 0) {
+        return recordFailedLogin(req, user, 'locked', () => {
+            rejectLogin(res, 423, user.lock_remaining, 'Account is temporarily locked after too many failed logins');
+        });
+    }
 
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password required' });
+    const wait = getLoginBackoffSeconds(user.failed_login_count) - user.since_failure;
+    if (wait > 0) {
+        return recordFailedLogin(req, user, 'throttled', () => {
+            rejectLogin(res, 429, wait, `Too many failed attempts. Try again in ${wait} second${wait === 1 ? '' : 's'}.`);
+        });
     }
+    next();
+}
 
-    db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
-        if (err) {
-            return res.status(500).json({ error: 'Server error' });
+// Unknown usernames get the same backoff and lockout as accounts, counted from their recent
+// `unknown_user` failures, so the status codes do not reveal which usernames exist.
+// The window is the lockout length: the failure that locks is the newest one until the lock ends.
+function checkUnknownUserThrottle(req, res, next) {
+    db.get(`SELECT COUNT(*) as failures,
+                   CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', MAX(created_at)) AS INTEGER) as since_failure
+            FROM failed_logins
+            WHERE username = ? AND user_id IS NULL AND reason = 'unknown_user' AND created_at > datetime('now', ?)`,
+        [String(req.body.username).slice(0, 255), `-${ACCOUNT_LOCKOUT_MINUTES} minutes`], (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: 'Server error' });
+            }
+            const locked = row.failures >= ACCOUNT_LOCKOUT_THRESHOLD;
+            const phantom = {
+                id: null,
+                username: req.body.username,
+                failed_login_count: locked ? 0 : row.failures,
+                since_failure: row.since_failure,
+                lock_remaining: locked ? ACCOUNT_LOCKOUT_MINUTES * 60 - row.since_failure : 0
+            };
+            checkAccountThrottle(req, res, phantom, () => {
+                req.unknownLoginCount = phantom.failed_login_count;
+                next();
+            });
         }
+    );
+}
 
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+// Audit a failed login; wrong passwords also count towards the account's backoff and lockout.
+// Calls back with the lockout length in minutes when this failure locked the account.
+function recordFailedLogin(req, user, reason, callback) {
+    db.run('INSERT INTO failed_logins (username, user_id, ip_address, user_agent, reason) VALUES (?, ?, ?, ?, ?)',
+        [String(user ? user.username : req.body.username).slice(0, 255), user ? user.id : null, req.ip, (req.headers['user-agent'] || '').slice(0, 255), reason],
+        (err) => {
+            if (err) console.error('Failed to record failed login:', err.message);
+            if (!user || !user.id || !['wrong_password', 'wrong_2fa_code'].includes(reason)) return callback(null);
 
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            const locks = user.failed_login_count + 1 >= ACCOUNT_LOCKOUT_THRESHOLD;
+            db.run(locks
+                ? `UPDATE users SET failed_login_count = 0, last_failed_login_at = CURRENT_TIMESTAMP,
+                          locked_until = datetime('now', '+${ACCOUNT_LOCKOUT_MINUTES} minutes') WHERE id = ?`
+                : `UPDATE users SET failed_login_count = failed_login_count + 1, last_failed_login_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [user.id], (err) => {
+                    if (err) console.error('Failed to update login counters:', err.message);
+                    if (!locks) return callback(null);
+
+                    console.log(`Account "${user.username}" locked after ${ACCOUNT_LOCKOUT_THRESHOLD} failed logins`);
+                    createNotification(user.id, 'account_locked',
+                        `Your account was locked for ${ACCOUNT_LOCKOUT_MINUTES} minutes after ${ACCOUNT_LOCKOUT_THRESHOLD} failed login attempts. ` +
+                        'If this was not you, change your password.');
+                    callback(ACCOUNT_LOCKOUT_MINUTES);
+                }
+            );
         }
+    );
+}
 
-        const token = jwt.sign(
-            { id: user.id, username: user.username, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+function resetFailedLogins(userId, callback) {
+    db.run('UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?', [userId], callback);
+}
 
-        res.json({
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                full_name: user.full_name,
-                role: user.role
+// Unlock an account and clear its failed-login counter
+app.post('/api/admin/users/:userId/unlock', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        resetFailedLogins(user.id, (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to unlock user' });
             }
+            logAudit(req, req.user, 'user.unlock', 'user', user.id);
+            res.json({ message: 'User unlocked' });
         });
     });
 });
 
-// Get all batches
-app.get('/api/batches', authenticateToken, (req, res) => {
-    const { status } = req.query;
-    
-    let query = `
-        SELECT b.*, u.full_name as instructor_name,
-               (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id) as participant_count
-        FROM batches b
-        LEFT JOIN users u ON b.instructor_id = u.id
-    `;
-    
+// Failed login audit, newest first (`?username=`, `?ip=`, `?reason=`, `?page=`, `?limit=`)
+app.get('/api/admin/failed-logins', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_USERS_PAGE_SIZE);
+    const conditions = [];
     const params = [];
-    if (status && status !== 'all') {
-        query += ' WHERE b.status = ?';
-        params.push(status);
+    if (req.query.username) {
+        conditions.push('username = ?');
+        params.push(req.query.username);
     }
-    
-    query += ' ORDER BY b.start_date DESC';
+    if (req.query.ip) {
+        conditions.push('ip_address = ?');
+        params.push(req.query.ip);
+    }
+    if (req.query.reason) {
+        conditions.push('reason = ?');
+        params.push(req.query.reason);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-    db.all(query, params, (err, batches) => {
+    db.get(`SELECT COUNT(*) as total FROM failed_logins ${where}`, params, (err, count) => {
         if (err) {
-            return res.status(500).json({ error: 'Failed to fetch batches' });
+            return res.status(500).json({ error: 'Failed to fetch failed logins' });
         }
-        res.json(batches);
+        db.all(`SELECT * FROM failed_logins ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit], (err, attempts) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch failed logins' });
+                }
+                res.json({
+                    attempts: attempts,
+                    pagination: { page: page, limit: limit, total: count.total, totalPages: Math.ceil(count.total / limit) }
+                });
+            }
+        );
     });
 });
 
-// Get user's enrolled batches
-app.get('/api/my-batches', authenticateToken, (req, res) => {
-    const query = `
-        SELECT b.*, u.full_name as instructor_name,
-               (SELECT COUNT(*) FROM enrollments WHERE batch_id = b.id) as participant_count
-        FROM batches b
-        INNER JOIN enrollments e ON b.id = e.batch_id
-        LEFT JOIN users u ON b.instructor_id = u.id
-        WHERE e.user_id = ?
-        ORDER BY b.start_date DESC
-    `;
+// ============ TWO-FACTOR AUTHENTICATION ============
 
-    db.all(query, [req.user.id], (err, batches) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to fetch batches' });
-        }
-        res.json(batches);
-    });
-});
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps) as used by common authenticator apps
+const TOTP_ISSUER = 'Training Portal';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;              // accept codes one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_TTL = '5m';
+const TWO_FACTOR_ROLES = ['student', 'teacher', 'admin'];
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
 
-// Enroll in a batch
-app.post('/api/batches/:batchId/enroll', authenticateToken, (req, res) => {
-    const { batchId } = req.params;
-    const userId = req.user.id;
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
 
-    db.get('SELECT * FROM batches WHERE id = ?', [batchId], (err, batch) => {
-        if (err || !batch) {
-            return res.status(404).json({ error: 'Batch not found' });
-        }
+function base32Decode(text) {
+    const bits = text.toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const bytes = bits.match(/.{8}/g) || [];
+    return Buffer.from(bytes.map(byte => parseInt(byte, 2)));
+}
 
-        db.get('SELECT COUNT(*) as count FROM enrollments WHERE batch_id = ?', 
-            [batchId], (err, result) => {
-                if (result.count >= batch.max_participants) {
-                    return res.status(400).json({ error: 'Batch is full' });
-                }
+function generateHotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
 
-                db.run('INSERT INTO enrollments (user_id, batch_id) VALUES (?, ?)',
-                    [userId, batchId],
-                    function(err) {
-                        if (err) {
-                            if (err.message.includes('UNIQUE')) {
-                                return res.status(400).json({ error: 'Already enrolled' });
-                            }
-                            return res.status(500).json({ error: 'Enrollment failed' });
-                        }
-                        res.json({ message: 'Enrolled successfully' });
-                    }
-                );
-            }
-        );
+// Time step the code belongs to, or null; steps at or before lastStep are rejected so a code works once
+function verifyTotp(secret, code, lastStep) {
+    if (!/^\d{6}$/.test(String(code || '').trim())) return null;
+    const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+        if (step > (lastStep || 0) && generateHotp(secret, step) === String(code).trim()) return step;
+    }
+    return null;
+}
+
+function buildOtpauthUri(user, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+function getTwoFactorRequiredRoles(callback) {
+    db.get("SELECT value FROM app_settings WHERE key = 'two_factor_required_roles'", [], (err, row) => {
+        if (err) return callback(err);
+        callback(null, row ? JSON.parse(row.value) : []);
     });
-});
+}
 
-// Submit daily report
-app.post('/api/reports', authenticateToken, (req, res) => {
-    const { batch_id, report_date, tasks_completed, challenges, hours_worked, notes } = req.body;
-    const user_id = req.user.id;
+function isTwoFactorRequired(user, callback) {
+    getTwoFactorRequiredRoles((err, roles) => callback(err, !err && roles.includes(user.role)));
+}
 
-    if (!batch_id || !report_date || !tasks_completed || !hours_worked) {
-        return res.status(400).json({ error: 'Required fields missing' });
-    }
+// Replace a user's recovery codes; calls back with the plain codes, which are shown once
+function generateRecoveryCodes(userId, callback) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT },
+        () => crypto.randomBytes(5).toString('hex').match(/.{5}/g).join('-'));
+    db.serialize(() => {
+        db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        const stmt = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+        codes.forEach(code => stmt.run([userId, hashToken(code)]));
+        stmt.finalize((err) => callback(err, codes));
+    });
+}
 
-    db.get('SELECT * FROM enrollments WHERE user_id = ? AND batch_id = ?',
-        [user_id, batch_id], (err, enrollment) => {
-            if (err || !enrollment) {
-                return res.status(403).json({ error: 'Not enrolled in this batch' });
+// Mark a recovery code as used; calls back with true if it was valid
+function useRecoveryCode(userId, code, callback) {
+    const normalized = String(code || '').trim().toLowerCase();
+    db.run(`UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+            WHERE id = (SELECT id FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+        [userId, hashToken(normalized)], function(err) {
+            callback(err, !err && this.changes > 0);
+        });
+}
+
+// Short-lived proof that the password step passed; only accepted by the /api/login/2fa routes
+function issueChallengeToken(user) {
+    return jwt.sign({ id: user.id, purpose: '2fa', tokenVersion: user.token_version }, JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL });
+}
+
+// Resolve req.body.challengeToken to the user (with LOGIN_USER_COLUMNS) and apply the account throttle
+function findChallengeUser(req, res, callback) {
+    jwt.verify(req.body.challengeToken || '', JWT_SECRET, (err, payload) => {
+        if (err || payload.purpose !== '2fa') {
+            return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+        }
+        db.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`, [payload.id], (err, user) => {
+            if (err) {
+                return res.status(500).json({ error: 'Server error' });
             }
+            if (!user || !user.is_active || user.token_version !== payload.tokenVersion) {
+                return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+            }
+            checkAccountThrottle(req, res, user, () => callback(user));
+        });
+    });
+}
 
-            const query = `
-                INSERT INTO daily_reports (user_id, batch_id, report_date, tasks_completed, challenges, hours_worked, notes)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-                ON CONFLICT(user_id, batch_id, report_date) 
-                DO UPDATE SET 
-                    tasks_completed = excluded.tasks_completed,
-                    challenges = excluded.challenges,
-                    hours_worked = excluded.hours_worked,
-                    notes = excluded.notes,
-                    updated_at = CURRENT_TIMESTAMP
-            `;
-
-            db.run(query, 
-                [user_id, batch_id, report_date, tasks_completed, challenges, hours_worked, notes],
-                function(err) {
-                    if (err) {
-                        return res.status(500).json({ error: 'Failed to submit report' });
-                    }
-                    res.json({ 
-                        message: 'Report submitted successfully',
-                        reportId: this.lastID 
-                    });
+function rejectTwoFactorCode(req, res, user) {
+    recordFailedLogin(req, user, 'wrong_2fa_code', (lockedMinutes) => {
+        if (lockedMinutes) {
+            return res.status(423).json({ error: `Too many failed attempts. Account locked for ${lockedMinutes} minutes.` });
+        }
+        res.status(401).json({ error: 'Invalid authentication code' });
+    });
+}
+
+// Second login step: a TOTP code or a recovery code
+app.post('/api/login/2fa', (req, res) => {
+    findChallengeUser(req, res, (user) => {
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not set up for this account' });
+        }
+
+        if (req.body.recoveryCode) {
+            return useRecoveryCode(user.id, req.body.recoveryCode, (err, valid) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Server error' });
                 }
-            );
+                if (!valid) {
+                    return rejectTwoFactorCode(req, res, user);
+                }
+                db.get('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL', [user.id], (err, row) => {
+                    completeLogin(req, res, user, { recoveryCodesRemaining: row ? row.count : 0 });
+                });
+            });
         }
-    );
-});
 
-// Get reports (with filtering)
-app.get('/api/reports', authenticateToken, (req, res) => {
-    const { batch_id, user_id, start_date, end_date, limit = 100 } = req.query;
-    
-    let query = `
-        SELECT r.*, u.full_name as user_name, u.username, b.name as batch_name
-        FROM daily_reports r
-        INNER JOIN users u ON r.user_id = u.id
-        INNER JOIN batches b ON r.batch_id = b.id
-        WHERE 1=1
-    `;
-    
-    const params = [];
+        const step = verifyTotp(user.totp_secret, req.body.code, user.totp_last_step);
+        if (!step) {
+            return rejectTwoFactorCode(req, res, user);
+        }
+        db.run('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Server error' });
+            }
+            completeLogin(req, res, user);
+        });
+    });
+});
 
-    if (req.user.role === 'student') {
-        query += ' AND r.user_id = ?';
-        params.push(req.user.id);
-    }
+// Enrollment during login, for roles that require 2FA: returns the secret to add to an authenticator app
+app.post('/api/login/2fa/setup', (req, res) => {
+    findChallengeUser(req, res, (user) => {
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        startTotpSetup(res, user);
+    });
+});
 
-    if (batch_id) {
-        query += ' AND r.batch_id = ?';
-        params.push(batch_id);
-    }
+// Confirm the first code, enable 2FA and finish logging in; the response carries the recovery codes
+app.post('/api/login/2fa/setup/confirm', (req, res) => {
+    findChallengeUser(req, res, (user) => {
+        confirmTotpSetup(req, res, user, (recoveryCodes) => {
+            logAudit(req, user, 'auth.2fa_enable', 'user', user.id);
+            completeLogin(req, res, { ...user, totp_enabled: 1 }, { recoveryCodes: recoveryCodes });
+        });
+    });
+});
 
-    if (user_id && req.user.role !== 'student') {
-        query += ' AND r.user_id = ?';
-        params.push(user_id);
-    }
+function startTotpSetup(res, user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    db.run('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [secret, user.id], (err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to start two-factor setup' });
+        }
+        res.json({ secret: secret, otpauthUri: buildOtpauthUri(user, secret) });
+    });
+}
 
-    if (start_date) {
-        query += ' AND r.report_date >= ?';
-        params.push(start_date);
+function confirmTotpSetup(req, res, user, callback) {
+    if (user.totp_enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
     }
-
-    if (end_date) {
-        query += ' AND r.report_date <= ?';
-        params.push(end_date);
+    if (!user.totp_secret) {
+        return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    const step = verifyTotp(user.totp_secret, req.body.code, null);
+    if (!step) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
     }
 
-    query += ' ORDER BY r.report_date DESC, r.created_at DESC LIMIT ?';
-    params.push(parseInt(limit));
-
-    db.all(query, params, (err, reports) => {
+    db.run('UPDATE users SET totp_enabled = 1, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [step, user.id], (err) => {
         if (err) {
-            return res.status(500).json({ error: 'Failed to fetch reports' });
+            return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
         }
-        res.json(reports);
+        generateRecoveryCodes(user.id, (err, codes) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to create recovery codes' });
+            }
+            callback(codes);
+        });
     });
-});
+}
 
-// Get dashboard statistics
-app.get('/api/stats', authenticateToken, (req, res) => {
-    const queries = {
-        totalBatches: 'SELECT COUNT(*) as count FROM batches',
-        activeBatches: "SELECT COUNT(*) as count FROM batches WHERE status = 'active'",
-        totalEnrollments: 'SELECT COUNT(*) as count FROM enrollments',
-        totalReports: 'SELECT COUNT(*) as count FROM daily_reports'
-    };
+function findCurrentUser(req, res, callback) {
+    db.get('SELECT * FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err || !user) {
+            return res.status(500).json({ error: 'Failed to fetch account' });
+        }
+        callback(user);
+    });
+}
 
-    const stats = {};
-    let completed = 0;
+// Check the password again before changes that weaken or reset 2FA
+function confirmPassword(req, res, user, callback) {
+    bcrypt.compare(String(req.body.password || ''), user.password).then(valid => {
+        if (!valid) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+        callback();
+    }).catch(() => res.status(500).json({ error: 'Server error' }));
+}
 
-    Object.keys(queries).forEach(key => {
-        db.get(queries[key], [], (err, result) => {
-            if (!err && result) {
-                stats[key] = result.count;
-            }
-            completed++;
-            
-            if (completed === Object.keys(queries).length) {
-                res.json(stats);
-            }
+// 2FA status of the current user
+app.get('/api/2fa', authenticateToken, (req, res) => {
+    findCurrentUser(req, res, (user) => {
+        isTwoFactorRequired(user, (err, required) => {
+            db.get('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL', [user.id], (countErr, row) => {
+                if (err || countErr) {
+                    return res.status(500).json({ error: 'Failed to fetch two-factor status' });
+                }
+                res.json({ enabled: !!user.totp_enabled, required: required, recoveryCodesRemaining: row.count });
+            });
         });
     });
 });
 
-// Create new batch (teachers and admins only)
-app.post('/api/batches', authenticateToken, authorizeRole('teacher', 'admin'), (req, res) => {
-    const { name, duration, start_date, status, max_participants } = req.body;
-    const instructor_id = req.user.id;
+app.post('/api/2fa/setup', authenticateToken, (req, res) => {
+    findCurrentUser(req, res, (user) => {
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        startTotpSetup(res, user);
+    });
+});
 
-    if (!name || !duration || !start_date || !status) {
-        return res.status(400).json({ error: 'Required fields missing' });
-    }
+app.post('/api/2fa/enable', authenticateToken, (req, res) => {
+    findCurrentUser(req, res, (user) => {
+        confirmTotpSetup(req, res, user, (recoveryCodes) => {
+            logAudit(req, req.user, 'auth.2fa_enable', 'user', user.id);
+            res.json({ message: 'Two-factor authentication enabled', recoveryCodes: recoveryCodes });
+        });
+    });
+});
 
-    db.run(`INSERT INTO batches (name, instructor_id, duration, start_date, status, max_participants)
-            VALUES (?, ?, ?, ?, ?, ?)`,
-        [name, instructor_id, duration, start_date, status, max_participants || 100],
-        function(err) {
+app.post('/api/2fa/disable', authenticateToken, (req, res) => {
+    findCurrentUser(req, res, (user) => {
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        isTwoFactorRequired(user, (err, required) => {
             if (err) {
-                return res.status(500).json({ error: 'Failed to create batch' });
+                return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
             }
-            res.status(201).json({ 
-                message: 'Batch created successfully',
-                batchId: this.lastID 
+            if (required) {
+                return res.status(403).json({ error: `Two-factor authentication is required for ${user.role} accounts` });
+            }
+            confirmPassword(req, res, user, () => {
+                disableTwoFactor(user.id, (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+                    }
+                    logAudit(req, req.user, 'auth.2fa_disable', 'user', user.id);
+                    res.json({ message: 'Two-factor authentication disabled' });
+                });
             });
+        });
+    });
+});
+
+app.post('/api/2fa/recovery-codes', authenticateToken, (req, res) => {
+    findCurrentUser(req, res, (user) => {
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
         }
-    );
+        confirmPassword(req, res, user, () => {
+            generateRecoveryCodes(user.id, (err, codes) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to create recovery codes' });
+                }
+                res.json({ recoveryCodes: codes });
+            });
+        });
+    });
 });
 
-// Get batch participants
-app.get('/api/batches/:batchId/participants', authenticateToken, (req, res) => {
-    const { batchId } = req.params;
+function disableTwoFactor(userId, callback) {
+    db.serialize(() => {
+        db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        db.run(`UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?`, [userId], callback);
+    });
+}
 
-    const query = `
-        SELECT u.id, u.username, u.full_name, u.email, e.enrolled_at
-        FROM users u
-        INNER JOIN enrollments e ON u.id = e.user_id
-        WHERE e.batch_id = ?
-        ORDER BY u.full_name
-    `;
+// Turn off 2FA for a user who lost their device (they enroll again at next login if their role requires it)
+app.post('/api/admin/users/:userId/reset-2fa', authenticateToken, authorizeRole('admin'), (req, res) => {
+    findManagedUser(req, res, (user) => {
+        disableTwoFactor(user.id, (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+            }
+            revokeSessions(user.id, null);
+            logAudit(req, req.user, 'user.reset_2fa', 'user', user.id);
+            res.json({ message: 'Two-factor authentication reset' });
+        });
+    });
+});
 
-    db.all(query, [batchId], (err, participants) => {
+app.get('/api/admin/2fa-policy', authenticateToken, authorizeRole('admin'), (req, res) => {
+    getTwoFactorRequiredRoles((err, roles) => {
         if (err) {
-            return res.status(500).json({ error: 'Failed to fetch participants' });
+            return res.status(500).json({ error: 'Failed to fetch two-factor policy' });
         }
-        res.json(participants);
+        res.json({ requiredRoles: roles });
     });
 });
 
-// Serve frontend
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Roles that must use 2FA; their members set it up at their next login
+app.put('/api/admin/2fa-policy', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+        return res.status(400).json({ error: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}` });
+    }
+
+    const roles = [...new Set(requiredRoles)];
+    db.run(`INSERT INTO app_settings (key, value) VALUES ('two_factor_required_roles', ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [JSON.stringify(roles)], (err) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to update two-factor policy' });
+            }
+            logAudit(req, req.user, 'settings.2fa_policy', 'setting', 'two_factor_required_roles', { requiredRoles: roles });
+            res.json({ message: 'Two-factor policy updated', requiredRoles: roles });
+        }
+    );
 });
 
-// Start server
-// ADD THESE ROUTES TO YOUR server.js (or server-ai.js)
-// Add at the end, before app.listen()
+// ============ AUDIT LOG ============
 
-// ============ ADMIN DATA EXPORT FEATURES ============
+const AUDIT_EXPORT_MAX_ROWS = 50000;
 
-// Export all users as CSV
-app.get('/api/admin/export/users', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
-    db.all('SELECT id, username, email, full_name, role, created_at FROM users', [], (err, users) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to export users' });
+// Append an audit entry. `actor` is the acting user ({ id, username }), or null when anonymous.
+// Failures are logged but never fail the request that triggered them.
+function logAudit(req, actor, action, targetType, targetId, details) {
+    db.run(`INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, details, ip_address, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [actor ? actor.id : null, actor ? actor.username : null, action, targetType || null,
+         targetId === undefined || targetId === null ? null : String(targetId),
+         details ? JSON.stringify(details) : null, req.ip, req.get('user-agent') || null],
+        (err) => {
+            if (err) console.error('Failed to write audit log:', err.message);
         }
+    );
+}
 
-        // Convert to CSV
-        const csv = [
-            'ID,Username,Email,Full Name,Role,Created At',
-            ...users.map(u => `${u.id},${u.username},${u.email},"${u.full_name}",${u.role},${u.created_at}`)
-        ].join('\n');
+// WHERE clause for the audit filters in req.query. `action` matches exactly or by
+// prefix, so "batch" covers batch.create, batch.update, ...
+function buildAuditFilter(query) {
+    const conditions = [];
+    const params = [];
+    if (query.actor) {
+        conditions.push('actor_username = ?');
+        params.push(query.actor);
+    }
+    if (query.actor_id) {
+        conditions.push('actor_id = ?');
+        params.push(query.actor_id);
+    }
+    if (query.action) {
+        conditions.push('(action = ? OR action LIKE ?)');
+        params.push(query.action, `${query.action}.%`);
+    }
+    if (query.target_type) {
+        conditions.push('target_type = ?');
+        params.push(query.target_type);
+    }
+    if (query.target_id) {
+        conditions.push('target_id = ?');
+        params.push(String(query.target_id));
+    }
+    if (query.ip) {
+        conditions.push('ip_address = ?');
+        params.push(query.ip);
+    }
+    if (query.from) {
+        if (!isValidDateString(query.from)) return { error: 'from must be a valid YYYY-MM-DD date' };
+        conditions.push('created_at >= ?');
+        params.push(query.from);
+    }
+    if (query.to) {
+        if (!isValidDateString(query.to)) return { error: 'to must be a valid YYYY-MM-DD date' };
+        conditions.push("created_at < date(?, '+1 day')");
+        params.push(query.to);
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
 
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=users.csv');
-        res.send(csv);
-    });
-});
+function formatAuditEntry(entry) {
+    return { ...entry, details: entry.details ? JSON.parse(entry.details) : null };
+}
 
-// Export all reports as CSV
-app.get('/api/admin/export/reports', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
-    const query = `
-        SELECT 
-            r.id,
-            r.report_date,
-            u.full_name as student_name,
-            u.email as student_email,
-            b.name as batch_name,
-            r.tasks_completed,
-            r.challenges,
-            r.hours_worked,
-            r.notes,
-            r.created_at
-        FROM daily_reports r
-        INNER JOIN users u ON r.user_id = u.id
-        INNER JOIN batches b ON r.batch_id = b.id
-        ORDER BY r.report_date DESC
-    `;
+// Audit log, newest first (?actor=, ?actor_id=, ?action=, ?target_type=, ?target_id=, ?ip=, ?from=, ?to=, ?page=, ?limit=)
+app.get('/api/admin/audit-log', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const filter = buildAuditFilter(req.query);
+    if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_USERS_PAGE_SIZE);
 
-    db.all(query, [], (err, reports) => {
+    db.get(`SELECT COUNT(*) as total FROM audit_log ${filter.where}`, filter.params, (err, count) => {
         if (err) {
-            return res.status(500).json({ error: 'Failed to export reports' });
+            return res.status(500).json({ error: 'Failed to fetch audit log' });
         }
-
-        // Convert to CSV (escape commas and quotes)
-        const escapeCsv = (str) => {
-            if (!str) return '';
-            return `"${String(str).replace(/"/g, '""')}"`;
-        };
-
-        const csv = [
-            'ID,Date,Student,Email,Batch,Tasks,Challenges,Hours,Notes,Submitted',
-            ...reports.map(r => 
-                `${r.id},${r.report_date},${escapeCsv(r.student_name)},${r.student_email},${escapeCsv(r.batch_name)},${escapeCsv(r.tasks_completed)},${escapeCsv(r.challenges)},${r.hours_worked},${escapeCsv(r.notes)},${r.created_at}`
-            )
-        ].join('\n');
-
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', 'attachment; filename=reports.csv');
-        res.send(csv);
+        db.all(`SELECT * FROM audit_log ${filter.where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...filter.params, limit, (page - 1) * limit], (err, entries) => {
+                if (err) {
+                    return res.status(500).json({ error: 'Failed to fetch audit log' });
+                }
+                res.json({
+                    entries: entries.map(formatAuditEntry),
+                    pagination: { page: page, limit: limit, total: count.total, totalPages: Math.ceil(count.total / limit) }
+                });
+            }
+        );
     });
 });
 
-// Export all data as JSON
-app.get('/api/admin/export/all', authenticateToken, authorizeRole('admin'), (req, res) => {
-    const queries = {
-        users: 'SELECT id, username, email, full_name, role, created_at FROM users',
-        batches: 'SELECT * FROM batches',
-        enrollments: `
-            SELECT e.*, u.full_name as student_name, b.name as batch_name
-            FROM enrollments e
-            INNER JOIN users u ON e.user_id = u.id
-            INNER JOIN batches b ON e.batch_id = b.id
-        `,
-        reports: `
-            SELECT r.*, u.full_name as student_name, b.name as batch_name
-            FROM daily_reports r
-            INNER JOIN users u ON r.user_id = u.id
-            INNER JOIN batches b ON r.batch_id = b.id
-        `
-    };
-
-    const results = {};
-    let completed = 0;
+// The filtered audit log as CSV
+app.get('/api/admin/audit-log/export', authenticateToken, authorizeRole('admin'), (req, res) => {
+    const filter = buildAuditFilter(req.query);
+    if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+    }
 
-    Object.keys(queries).forEach(key => {
-        db.all(queries[key], [], (err, data) => {
-            if (!err) {
-                results[key] = data;
+    db.all(`SELECT * FROM audit_log ${filter.where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...filter.params, AUDIT_EXPORT_MAX_ROWS], (err, entries) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to export audit log' });
             }
-            completed++;
-            
-            if (completed === Object.keys(queries).length) {
-                results.exportedAt = new Date().toISOString();
-                results.totalUsers = results.users.length;
-                results.totalBatches = results.batches.length;
-                results.totalEnrollments = results.enrollments.length;
-                results.totalReports = results.reports.length;
 
-                res.setHeader('Content-Type', 'application/json');
-                res.setHeader('Content-Disposition', 'attachment; filename=training-portal-data.json');
-                res.json(results);
-            }
-        });
-    });
-});
+            const escapeCsv = (str) => {
+                if (str === null || str === undefined) return '';
+                return `"${String(str).replace(/"/g, '""')}"`;
+            };
 
-// Get database statistics for admin
-app.get('/api/admin/stats', authenticateToken, authorizeRole('admin', 'teacher'), (req, res) => {
-    const stats = {};
-    const queries = {
-        totalUsers: 'SELECT COUNT(*) as count FROM users',
-        studentCount: "SELECT COUNT(*) as count FROM users WHERE role = 'student'",
-        teacherCount: "SELECT COUNT(*) as count FROM users WHERE role = 'teacher'",
-        totalBatches: 'SELECT COUNT(*) as count FROM batches',
-        activeBatches: "SELECT COUNT(*) as count FROM batches WHERE status = 'active'",
-        totalEnrollments: 'SELECT COUNT(*) as count FROM enrollments',
-        totalReports: 'SELECT COUNT(*) as count FROM daily_reports',
-        totalHours: 'SELECT SUM(hours_worked) as total FROM daily_reports',
-        avgHours: 'SELECT AVG(hours_worked) as avg FROM daily_reports',
-        recentReports: 'SELECT COUNT(*) as count FROM daily_reports WHERE report_date >= date("now", "-7 days")'
-    };
+            const csv = [
+                'ID,Time,Actor ID,Actor,Action,Target Type,Target ID,Details,IP Address,User Agent',
+                ...entries.map(e =>
+                    `${e.id},${e.created_at},${e.actor_id ?? ''},${escapeCsv(e.actor_username)},${e.action},${escapeCsv(e.target_type)},${escapeCsv(e.target_id)},${escapeCsv(e.details)},${escapeCsv(e.ip_address)},${escapeCsv(e.user_agent)}`
+                )
+            ].join('\n');
 
-    let completed = 0;
-    Object.keys(queries).forEach(key => {
-        db.get(queries[key], [], (err, result) => {
-            if (!err && result) {
-                stats[key] = result.count || result.total || result.avg || 0;
-            }
-            completed++;
-            
-            if (completed === Object.keys(queries).length) {
-                res.json(stats);
-            }
-        });
-    });
-});
-app.listen(PORT, () => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🚀 AI-Enhanced Training Portal Server`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`Server running on: http://localhost:${PORT}`);
-    console.log(`Default admin: username=admin, password=admin123`);
-    console.log(`\n✨ AI Features Enabled:`);
-    console.log(`   - Student Progress Analysis`);
-    console.log(`   - Smart Batch Recommendations`);
-    console.log(`   - Completion Rate Predictions`);
-    console.log(`   - Class Engagement Insights`);
-    console.log(`${'='.repeat(60)}\n`);
+            logAudit(req, req.user, 'export.audit_log', null, null, { rows: entries.length, filters: req.query });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+            res.send(csv);
+        }
+    );
 });
 
+// Only listen when started directly; the tests require the app instead
+if (!RETRAIN_MODEL_ONLY && require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`\n${'='.repeat(60)}`);
+        console.log(`🚀 AI-Enhanced Training Portal Server`);
+        console.log(`${'='.repeat(60)}`);
+        console.log(`Server running on: http://localhost:${PORT}`);
+        console.log(`Default admin: username=admin, password=admin123`);
+        console.log(`\n✨ AI Features Enabled:`);
+        console.log(`   - Student Progress Analysis`);
+        console.log(`   - Smart Batch Recommendations`);
+        console.log(`   - Completion Rate Predictions`);
+        console.log(`   - Class Engagement Insights`);
+        console.log(`${'='.repeat(60)}\n`);
+    });
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
-    db.close((err) => {
+    transactionDb.close(() => db.close((err) => {
         if (err) {
             console.error('Error closing database:', err);
         } else {
             console.log('Database connection closed');
         }
         process.exit(0);
-    });
+    }));
 });
+
+module.exports = {
+    app, db, transactionDb, databaseReady, runInTransaction, promoteFromWaitlist,
+    base32Decode, generateHotp, verifyTotp, parseCsv, validateImportRows
+};
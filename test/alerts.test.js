@@ -0,0 +1,54 @@
+// At-risk alerts: only alerts that were actually saved are reported as raised
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadTestApp, dateOffset, api: request, registerAndLogin } = require('./helpers');
+
+const { app, db, databaseReady, close } = loadTestApp();
+const api = (method, url, token, body) => request(app, method, url, token, body);
+
+const run = sql => new Promise((resolve, reject) => db.run(sql, err => err ? reject(err) : resolve()));
+
+let teacher;
+let batchId;
+
+before(async () => {
+    await databaseReady;
+    teacher = await registerAndLogin(app, 'alertteacher', 'teacher');
+    const student = await registerAndLogin(app, 'alertstudent', 'student');
+
+    const batch = await api('post', '/api/batches', teacher.token, {
+        name: 'Alert Batch',
+        start_date: dateOffset(-10),
+        end_date: dateOffset(30),
+        schedule_days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+        status: 'active'
+    });
+    assert.strictEqual(batch.status, 201, batch.text);
+    batchId = batch.body.batchId;
+
+    const enroll = await api('post', `/api/batches/${batchId}/enrollments`, teacher.token, { user_ids: [student.id] });
+    assert.strictEqual(enroll.status, 200, enroll.text);
+
+    // Absent from every marked session, so the low attendance rule matches
+    for (const days of [-3, -2, -1]) {
+        const marked = await api('post', `/api/batches/${batchId}/attendance`, teacher.token,
+            { session_date: dateOffset(days), default_status: 'absent' });
+        assert.strictEqual(marked.status, 200, marked.text);
+    }
+});
+
+after(close);
+
+test('alerts that fail to save are not counted as raised', async () => {
+    await run("CREATE TEMP TRIGGER fail_alerts BEFORE INSERT ON student_alerts BEGIN SELECT RAISE(ABORT, 'no alerts'); END");
+    const failed = await api('post', `/api/batches/${batchId}/alerts/evaluate`, teacher.token);
+    await run('DROP TRIGGER fail_alerts');
+    assert.strictEqual(failed.status, 200, failed.text);
+    assert.strictEqual(failed.body.raised, 0);
+
+    const evaluated = await api('post', `/api/batches/${batchId}/alerts/evaluate`, teacher.token);
+    assert.strictEqual(evaluated.status, 200, evaluated.text);
+    const alerts = await api('get', `/api/batches/${batchId}/alerts`, teacher.token);
+    assert.ok(evaluated.body.raised > 0);
+    assert.strictEqual(alerts.body.length, evaluated.body.raised);
+});
@@ -0,0 +1,137 @@
+// Batch access: each staff role gets its permitted level, teachers outside the batch get nothing.
+// Runs the app against a throwaway SQLite database (`npm test`).
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadTestApp, dateOffset, api: request, registerAndLogin } = require('./helpers');
+
+const { app, databaseReady, close } = loadTestApp();
+const api = (method, url, token, body) => request(app, method, url, token, body);
+
+const tokens = {};
+const users = {};
+let batchId;
+let reportId;
+
+before(async () => {
+    await databaseReady;
+
+    for (const [name, role] of [['instructor', 'teacher'], ['coinstructor', 'teacher'], ['assistant', 'teacher'],
+                                ['outsider', 'teacher'], ['student', 'student']]) {
+        const user = await registerAndLogin(app, name, role);
+        tokens[name] = user.token;
+        users[name] = user.id;
+    }
+
+    const batch = await api('post', '/api/batches', tokens.instructor, {
+        name: 'Access Test Batch',
+        start_date: dateOffset(-7),
+        end_date: dateOffset(30),
+        schedule_days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+        status: 'active'
+    });
+    assert.strictEqual(batch.status, 201, batch.text);
+    batchId = batch.body.batchId;
+
+    for (const [name, role] of [['coinstructor', 'co_instructor'], ['assistant', 'teaching_assistant']]) {
+        const staff = await api('post', `/api/batches/${batchId}/staff`, tokens.instructor, { user_id: users[name], role: role });
+        assert.strictEqual(staff.status, 201, staff.text);
+    }
+
+    const enroll = await api('post', `/api/batches/${batchId}/enrollments`, tokens.instructor, { user_ids: [users.student] });
+    assert.strictEqual(enroll.status, 200, enroll.text);
+
+    const report = await api('post', '/api/reports', tokens.student, {
+        batch_id: batchId, report_date: dateOffset(0), tasks_completed: 'Finished the access test lesson', hours_worked: 3
+    });
+    assert.strictEqual(report.status, 200, report.text);
+    reportId = report.body.reportId;
+});
+
+after(close);
+
+describe('teacher without a role in the batch', () => {
+    const refused = () => [
+        ['get', `/api/batches/${batchId}/participants`],
+        ['get', `/api/ai/class-insights/${batchId}`],
+        ['get', `/api/ai/top-blockers/${batchId}`],
+        ['get', `/api/reports?batch_id=${batchId}`],
+        ['get', `/api/reports?user_id=${users.student}`],
+        ['post', `/api/reports/${reportId}/review`, { status: 'approved' }],
+        ['get', `/api/reports/${reportId}/comments`],
+        ['post', `/api/reports/${reportId}/comments`, { comment: 'Looks good' }],
+        ['get', `/api/batches/${batchId}/attendance?session_date=${dateOffset(-1)}`],
+        ['post', `/api/batches/${batchId}/attendance`, { session_date: dateOffset(-1), default_status: 'present' }],
+        ['get', `/api/batches/${batchId}/attendance/summary`],
+        ['get', `/api/batches/${batchId}/gradebook`],
+        ['get', `/api/batches/${batchId}/curriculum`],
+        ['post', `/api/batches/${batchId}/modules`, { title: 'Outsider module' }]
+    ];
+
+    test('is refused the batch routes', async () => {
+        for (const [method, url, body] of refused()) {
+            const res = await api(method, url, tokens.outsider, body);
+            assert.ok([403, 404].includes(res.status), `${method.toUpperCase()} ${url} answered ${res.status}`);
+        }
+    });
+
+    test('gets none of the batch in the exports', async () => {
+        for (const type of ['users', 'reports', 'attendance']) {
+            const res = await api('get', `/api/admin/export/${type}`, tokens.outsider);
+            assert.strictEqual(res.status, 200, res.text);
+            assert.ok(!res.text.includes('student@example.com'), `${type} export includes the batch's student`);
+            assert.ok(!res.text.includes('Access Test Batch'), `${type} export includes the batch`);
+        }
+
+        const all = await api('get', '/api/admin/export/all', tokens.outsider);
+        assert.strictEqual(all.status, 403);
+    });
+});
+
+describe('batch staff', () => {
+    const expectStatus = async (name, method, url, body, expected) => {
+        const res = await api(method, url, tokens[name], body);
+        assert.strictEqual(res.status, expected, `${name}: ${method.toUpperCase()} ${url} answered ${res.status} ${res.text}`);
+        return res;
+    };
+
+    test('all staff roles can view the batch, its reports and exports', async () => {
+        for (const name of ['instructor', 'coinstructor', 'assistant']) {
+            await expectStatus(name, 'get', `/api/batches/${batchId}/participants`, null, 200);
+            await expectStatus(name, 'get', `/api/ai/class-insights/${batchId}`, null, 200);
+            await expectStatus(name, 'get', `/api/ai/top-blockers/${batchId}`, null, 200);
+            await expectStatus(name, 'get', `/api/batches/${batchId}/gradebook`, null, 200);
+            await expectStatus(name, 'get', `/api/batches/${batchId}/curriculum`, null, 200);
+            await expectStatus(name, 'get', `/api/batches/${batchId}/attendance/summary`, null, 200);
+            await expectStatus(name, 'get', `/api/reports/${reportId}/comments`, null, 200);
+
+            const reports = await expectStatus(name, 'get', `/api/reports?batch_id=${batchId}&user_id=${users.student}`, null, 200);
+            assert.deepStrictEqual(reports.body.map(r => r.id), [reportId]);
+
+            const exported = await expectStatus(name, 'get', '/api/admin/export/reports', null, 200);
+            assert.ok(exported.text.includes('Access Test Batch'), `${name} is missing the batch in the reports export`);
+        }
+    });
+
+    test('all staff roles can teach: attendance, report reviews and comments', async () => {
+        for (const name of ['instructor', 'coinstructor', 'assistant']) {
+            await expectStatus(name, 'post', `/api/batches/${batchId}/attendance`,
+                { session_date: dateOffset(-1), default_status: 'present' }, 200);
+            await expectStatus(name, 'post', `/api/reports/${reportId}/review`, { status: 'approved' }, 200);
+            await expectStatus(name, 'post', `/api/reports/${reportId}/comments`, { comment: `Feedback from ${name}` }, 201);
+        }
+    });
+
+    test('instructors and co-instructors can manage the batch, teaching assistants cannot', async () => {
+        await expectStatus('instructor', 'post', `/api/batches/${batchId}/modules`, { title: 'Instructor module' }, 201);
+        await expectStatus('coinstructor', 'post', `/api/batches/${batchId}/modules`, { title: 'Co-instructor module' }, 201);
+        await expectStatus('assistant', 'post', `/api/batches/${batchId}/modules`, { title: 'Assistant module' }, 403);
+    });
+
+    test('only the instructor of record can change the staff', async () => {
+        const change = { user_id: users.outsider, role: 'teaching_assistant' };
+        await expectStatus('coinstructor', 'post', `/api/batches/${batchId}/staff`, change, 403);
+        await expectStatus('assistant', 'post', `/api/batches/${batchId}/staff`, change, 403);
+        await expectStatus('instructor', 'delete', `/api/batches/${batchId}/staff/${users.assistant}`, null, 200);
+        await expectStatus('assistant', 'get', `/api/batches/${batchId}/participants`, null, 403);
+    });
+});
@@ -0,0 +1,49 @@
+// Shared setup for the API tests: the app on a throwaway SQLite database, plus request helpers
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const PASSWORD = 'pw123456';
+
+// Require the server against a temporary database, uploads and mail directory; call close() in after()
+function loadTestApp() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'training-portal-test-'));
+    process.env.DB_PATH = path.join(tmpDir, 'test.db');
+    process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+    process.env.MAIL_DIR = path.join(tmpDir, 'mail');
+
+    const server = require('../server');
+    const close = async () => {
+        await new Promise(resolve => server.transactionDb.close(resolve));
+        await new Promise(resolve => server.db.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    };
+    return { ...server, close };
+}
+
+function dateOffset(days) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function api(app, method, url, token, body) {
+    const req = request(app)[method](url).set('Authorization', `Bearer ${token}`);
+    return body ? req.send(body) : req;
+}
+
+// Register a user and log in; resolves to { id, token }
+async function registerAndLogin(app, name, role) {
+    const registered = await request(app).post('/api/register').send({
+        username: name, email: `${name}@example.com`, password: PASSWORD, full_name: `${name} Test`, role: role
+    });
+    assert.strictEqual(registered.status, 201, registered.text);
+
+    const login = await request(app).post('/api/login').send({ username: name, password: PASSWORD });
+    assert.strictEqual(login.status, 200, login.text);
+    return { id: login.body.user.id, token: login.body.token };
+}
+
+module.exports = { PASSWORD, loadTestApp, dateOffset, api, registerAndLogin };
@@ -0,0 +1,75 @@
+// User import: CSV parsing and row validation (pure functions, given the existing users and batches)
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadTestApp } = require('./helpers');
+
+const { databaseReady, parseCsv, validateImportRows, close } = loadTestApp();
+
+before(() => databaseReady);
+after(close);
+
+describe('parseCsv', () => {
+    test('splits rows and fields', () => {
+        assert.deepStrictEqual(parseCsv('name,username\nAda,ada\nAlan,alan'), [['name', 'username'], ['Ada', 'ada'], ['Alan', 'alan']]);
+    });
+
+    test('keeps commas, line breaks and doubled quotes inside quoted fields', () => {
+        assert.deepStrictEqual(parseCsv('name,notes\n"Lovelace, Ada","line one\nline two"\n"Grace ""Amazing"" Hopper",""\n'), [
+            ['name', 'notes'],
+            ['Lovelace, Ada', 'line one\nline two'],
+            ['Grace "Amazing" Hopper', '']
+        ]);
+    });
+
+    test('accepts CRLF line endings and a byte order mark', () => {
+        assert.deepStrictEqual(parseCsv('\uFEFFname,username\r\nAda,ada\r\n"Alan\r\nTuring",alan\r\n'), [
+            ['name', 'username'],
+            ['Ada', 'ada'],
+            ['Alan\r\nTuring', 'alan']
+        ]);
+    });
+
+    test('drops blank lines', () => {
+        assert.deepStrictEqual(parseCsv('name\n\nAda\n , \n\r\nAlan\n'), [['name'], ['Ada'], ['Alan']]);
+    });
+});
+
+describe('validateImportRows', () => {
+    const batch = {
+        id: 7, name: 'Evening Cohort', max_participants: 3, participant_count: 1,
+        status: 'active', archived_at: null, enrolled_ids: [42]
+    };
+    const users = [{ id: 42, username: 'existing', email: 'existing@example.com', role: 'student' }];
+    const row = (line, username, extra = {}) => ({
+        line: line, values: { full_name: `${username} Test`, username: username, email: `${username}@example.com`, ...extra }
+    });
+    const errorsOf = entries => entries.map(e => e.errors);
+
+    test('rejects a username or email repeated in the file, whatever its case', () => {
+        const entries = validateImportRows([
+            row(2, 'ada'),
+            row(3, 'ADA', { email: 'other@example.com' }),
+            row(4, 'alan', { email: 'Ada@Example.com' })
+        ], users, [batch]);
+
+        assert.deepStrictEqual(errorsOf(entries), [[], ['duplicate username in file'], ['duplicate email in file']]);
+        assert.deepStrictEqual(entries.map(e => e.status), ['ok', 'error', 'error']);
+    });
+
+    test('stops enrolling once the batch runs out of seats part-way through the file', () => {
+        const entries = validateImportRows([
+            row(2, 'ada', { batch: 'Evening Cohort' }),
+            row(3, 'bad', { batch: '7', email: 'not-an-email' }),
+            row(4, 'existing', { batch: '7' }),
+            row(5, 'alan', { batch: 'evening cohort' }),
+            row(6, 'grace', { batch: '7' })
+        ], users, [batch]);
+
+        // Two seats are free: rows with other errors and students already enrolled do not use one
+        assert.deepStrictEqual(errorsOf(entries), [
+            [], ['invalid email "not-an-email"'], [], [], ['batch "Evening Cohort" is full']
+        ]);
+        assert.strictEqual(entries[2].alreadyEnrolled, true);
+        assert.deepStrictEqual(entries.map(e => e.batchId), [7, 7, 7, 7, undefined]);
+    });
+});
@@ -0,0 +1,154 @@
+// Request bodies with the wrong types get a 400 instead of crashing the server
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadTestApp, dateOffset, api: request, registerAndLogin } = require('./helpers');
+
+const { app, databaseReady, close } = loadTestApp();
+const api = (method, url, token, body) => request(app, method, url, token, body);
+
+const tokens = {};
+const users = {};
+let batchId;
+let reportId;
+
+before(async () => {
+    await databaseReady;
+
+    for (const [name, role] of [['teacher', 'teacher'], ['student', 'student']]) {
+        const user = await registerAndLogin(app, name, role);
+        tokens[name] = user.token;
+        users[name] = user.id;
+    }
+
+    const batch = await api('post', '/api/batches', tokens.teacher, {
+        name: 'Malformed Input Batch', start_date: dateOffset(-7), end_date: dateOffset(30), status: 'active'
+    });
+    assert.strictEqual(batch.status, 201, batch.text);
+    batchId = batch.body.batchId;
+
+    const enroll = await api('post', `/api/batches/${batchId}/enrollments`, tokens.teacher, { user_ids: [users.student] });
+    assert.strictEqual(enroll.status, 200, enroll.text);
+
+    const report = await api('post', '/api/reports', tokens.student, {
+        batch_id: batchId, report_date: dateOffset(0), tasks_completed: 'Wrote tests', hours_worked: 2
+    });
+    assert.strictEqual(report.status, 200, report.text);
+    reportId = report.body.reportId;
+});
+
+after(close);
+
+// Each request must get `expected`; the last one proves the server is still up
+async function expectRejected(requests, expected = 400) {
+    for (const [name, method, url, body] of requests) {
+        const res = await api(method, url, tokens[name], body);
+        assert.strictEqual(res.status, expected, `${method.toUpperCase()} ${url} ${JSON.stringify(body)} answered ${res.status} ${res.text}`);
+    }
+    const alive = await api('get', '/api/my-enrollments', tokens.student);
+    assert.strictEqual(alive.status, 200);
+}
+
+describe('report feedback', () => {
+    test('non-string comments are rejected', async () => {
+        await expectRejected([
+            ['student', 'post', `/api/reports/${reportId}/comments`, { comment: 123 }],
+            ['student', 'post', `/api/reports/${reportId}/comments`, { comment: ['a'] }],
+            ['teacher', 'post', `/api/reports/${reportId}/review`, { status: 'approved', comment: 5 }],
+            ['teacher', 'post', `/api/reports/${reportId}/review`, { status: 'needs_revision', comment: { text: 'x' } }]
+        ]);
+    });
+
+    test('string comments are trimmed and saved', async () => {
+        const review = await api('post', `/api/reports/${reportId}/review`, tokens.teacher, { status: 'needs_revision', comment: '  Add detail  ' });
+        assert.strictEqual(review.status, 200, review.text);
+
+        const comments = await api('get', `/api/reports/${reportId}/comments`, tokens.student);
+        assert.deepStrictEqual(comments.body.map(c => c.comment), ['Add detail']);
+    });
+});
+
+describe('passwords', () => {
+    test('a non-string current password is rejected', async () => {
+        await expectRejected([
+            ['student', 'post', '/api/change-password', { current_password: 123, new_password: 'abcdefgh' }],
+            ['student', 'post', '/api/change-password', { current_password: ['pw123456'], new_password: 'abcdefgh' }]
+        ]);
+    });
+
+    test('non-string login and reset fields are rejected', async () => {
+        await expectRejected([
+            ['student', 'post', '/api/forgot-password', { email: 123 }],
+            ['student', 'post', '/api/login', { username: 'student' }]
+        ]);
+    });
+});
+
+describe('quizzes', () => {
+    test('non-string titles and malformed questions are rejected', async () => {
+        await expectRejected([
+            ['teacher', 'post', `/api/batches/${batchId}/quizzes`, { title: 5 }],
+            ['teacher', 'post', `/api/batches/${batchId}/quizzes`, { title: 'Quiz', questions: 'none' }],
+            ['teacher', 'post', `/api/batches/${batchId}/quizzes`, { title: 'Quiz', questions: [null] }]
+        ]);
+    });
+
+    test('non-object answers are skipped when grading', async () => {
+        const quiz = await api('post', `/api/batches/${batchId}/quizzes`, tokens.teacher, {
+            title: 'Malformed answers quiz',
+            is_published: true,
+            questions: [{ question_type: 'true_false', prompt: 'Tests catch bugs', correct_answer: true, points: 1 }]
+        });
+        assert.strictEqual(quiz.status, 201, quiz.text);
+
+        const detail = await api('get', `/api/quizzes/${quiz.body.quizId}`, tokens.teacher);
+        const questionId = detail.body.questions[0].id;
+
+        const attempt = await api('post', `/api/quizzes/${quiz.body.quizId}/attempts`, tokens.student);
+        assert.ok([200, 201].includes(attempt.status), attempt.text);
+
+        const submitted = await api('post', `/api/quiz-attempts/${attempt.body.attemptId}/submit`, tokens.student, {
+            answers: [null, 7, 'x', { question_id: questionId, answer: true }]
+        });
+        assert.strictEqual(submitted.status, 200, submitted.text);
+        assert.strictEqual(submitted.body.score, 1);
+    });
+});
+
+describe('assignments', () => {
+    test('non-string titles and malformed rubrics are rejected', async () => {
+        await expectRejected([
+            ['teacher', 'post', `/api/batches/${batchId}/assignments`, { title: 5, due_date: dateOffset(7) }],
+            ['teacher', 'post', `/api/batches/${batchId}/assignments`, { title: 'Essay', due_date: dateOffset(7), rubric: [null] }]
+        ]);
+    });
+
+    test('null rubric scores are skipped when grading', async () => {
+        const assignment = await api('post', `/api/batches/${batchId}/assignments`, tokens.teacher, {
+            title: 'Rubric essay', due_date: dateOffset(7), rubric: [{ criterion: 'Clarity', max_points: 10 }]
+        });
+        assert.strictEqual(assignment.status, 201, assignment.text);
+
+        const submission = await api('post', `/api/assignments/${assignment.body.assignmentId}/submissions`, tokens.student, { content: 'My essay' });
+        assert.ok([200, 201].includes(submission.status), submission.text);
+        const gradeUrl = `/api/submissions/${submission.body.submissionId}/grade`;
+
+        await expectRejected([['teacher', 'post', gradeUrl, { rubric_scores: [null] }]]);
+
+        const graded = await api('post', gradeUrl, tokens.teacher, { rubric_scores: [null, { criterion: 'Clarity', points: 8 }] });
+        assert.strictEqual(graded.status, 200, graded.text);
+    });
+});
+
+describe('curriculum', () => {
+    test('non-string module and lesson titles are rejected', async () => {
+        const module = await api('post', `/api/batches/${batchId}/modules`, tokens.teacher, { title: 'Week 1' });
+        assert.strictEqual(module.status, 201, module.text);
+
+        await expectRejected([
+            ['teacher', 'post', `/api/batches/${batchId}/modules`, { title: 5 }],
+            ['teacher', 'post', `/api/modules/${module.body.moduleId}/lessons`, { title: 5 }],
+            ['teacher', 'post', `/api/modules/${module.body.moduleId}/lessons`, { title: ['Intro'] }],
+            ['teacher', 'patch', `/api/modules/${module.body.moduleId}`, { title: { text: 'Week 1' } }]
+        ]);
+    });
+});
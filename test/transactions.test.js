@@ -0,0 +1,147 @@
+// Transactions: a rollback undoes only the transaction's own statements, and seat checks hold under concurrent requests
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadTestApp, dateOffset, api: request, registerAndLogin } = require('./helpers');
+
+const { app, db, transactionDb, databaseReady, runInTransaction, promoteFromWaitlist, close } = loadTestApp();
+const api = (method, url, token, body) => request(app, method, url, token, body);
+
+const getSetting = key => new Promise((resolve, reject) => {
+    db.get('SELECT value FROM app_settings WHERE key = ?', [key], (err, row) => err ? reject(err) : resolve(row && row.value));
+});
+
+const getAll = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => err ? reject(err) : resolve());
+});
+
+// A batch whose `seats` are all taken, with `waitlisted` more students on its waitlist
+async function fullBatch(prefix, seats, waitlisted) {
+    const teacher = await registerAndLogin(app, `${prefix}teacher`, 'teacher');
+    const batch = await api('post', '/api/batches', teacher.token, {
+        name: `${prefix} batch`, start_date: dateOffset(-7), end_date: dateOffset(30), status: 'active', max_participants: seats
+    });
+    assert.strictEqual(batch.status, 201, batch.text);
+    const batchId = batch.body.batchId;
+
+    const enrolled = [];
+    for (let i = 0; i < seats; i++) enrolled.push(await registerAndLogin(app, `${prefix}enrolled${i}`, 'student'));
+    const enroll = await api('post', `/api/batches/${batchId}/enrollments`, teacher.token, { user_ids: enrolled.map(s => s.id) });
+    assert.strictEqual(enroll.status, 200, enroll.text);
+
+    const waiting = [];
+    for (let i = 0; i < waitlisted; i++) {
+        const student = await registerAndLogin(app, `${prefix}waiting${i}`, 'student');
+        const joined = await api('post', `/api/batches/${batchId}/waitlist`, student.token);
+        assert.strictEqual(joined.status, 201, joined.text);
+        waiting.push(student);
+    }
+    return { teacher, batchId, enrolled, waiting };
+}
+
+before(() => databaseReady);
+after(close);
+
+test('writes from outside a transaction survive its rollback', async () => {
+    let outsideWrite;
+    await new Promise(resolve => runInTransaction((tx, done) => {
+        tx.run("INSERT INTO app_settings (key, value) VALUES ('inside', '1')", (err) => {
+            assert.ifError(err);
+            // Another request writing on the shared connection while the transaction is open
+            outsideWrite = new Promise((resolveWrite, rejectWrite) => {
+                db.run("INSERT INTO app_settings (key, value) VALUES ('outside', '1')", err => err ? rejectWrite(err) : resolveWrite());
+            });
+            done(new Error('roll back'));
+        });
+    }, (err) => {
+        assert.strictEqual(err.message, 'roll back');
+        resolve();
+    }));
+    await outsideWrite;
+
+    assert.strictEqual(await getSetting('inside'), undefined);
+    assert.strictEqual(await getSetting('outside'), '1');
+});
+
+test('concurrent promotions fill only the seats that are free', async () => {
+    const { batchId, enrolled, waiting } = await fullBatch('drops', 2, 3);
+
+    // Both seats free up at once, as when two students drop together
+    await run("UPDATE enrollments SET status = 'dropped' WHERE batch_id = ?", [batchId]);
+    const promote = () => new Promise((resolve, reject) => {
+        promoteFromWaitlist(batchId, (err, promoted) => err ? reject(err) : resolve(promoted));
+    });
+    const promoted = await Promise.all([promote(), promote()]);
+    assert.strictEqual(promoted.flat().length, enrolled.length);
+
+    const approved = await getAll("SELECT user_id FROM enrollments WHERE batch_id = ? AND status = 'approved' ORDER BY user_id", [batchId]);
+    assert.deepStrictEqual(approved.map(r => r.user_id), [waiting[0].id, waiting[1].id]);
+
+    const stillWaiting = await getAll('SELECT user_id FROM batch_waitlist WHERE batch_id = ?', [batchId]);
+    assert.deepStrictEqual(stillWaiting.map(r => r.user_id), [waiting[2].id]);
+});
+
+test('students enrolling at the same time cannot both take the last seat', async () => {
+    const teacher = await registerAndLogin(app, 'lastseatteacher', 'teacher');
+    const batch = await api('post', '/api/batches', teacher.token, {
+        name: 'Last seat batch', start_date: dateOffset(-7), end_date: dateOffset(30), status: 'active', max_participants: 1
+    });
+    assert.strictEqual(batch.status, 201, batch.text);
+
+    const students = [];
+    for (let i = 0; i < 3; i++) students.push(await registerAndLogin(app, `lastseat${i}`, 'student'));
+    const enrolls = await Promise.all(students.map(s => api('post', `/api/batches/${batch.body.batchId}/enroll`, s.token)));
+
+    assert.deepStrictEqual(enrolls.map(res => res.status).sort(), [200, 400, 400]);
+    const approved = await getAll("SELECT user_id FROM enrollments WHERE batch_id = ? AND status = 'approved'", [batch.body.batchId]);
+    assert.strictEqual(approved.length, 1);
+});
+
+test('a report is not saved when its revision cannot be recorded', async () => {
+    const { batchId, enrolled: [student] } = await fullBatch('revisions', 1, 0);
+    const report = { batch_id: batchId, report_date: dateOffset(0), tasks_completed: 'Read the docs', hours_worked: 2 };
+    const runOnTransactions = sql => new Promise((resolve, reject) => transactionDb.run(sql, err => err ? reject(err) : resolve()));
+
+    await runOnTransactions("CREATE TEMP TRIGGER fail_revisions BEFORE INSERT ON report_revisions BEGIN SELECT RAISE(ABORT, 'no revisions'); END");
+    const failed = await api('post', '/api/reports', student.token, report);
+    await runOnTransactions('DROP TRIGGER fail_revisions');
+    assert.strictEqual(failed.status, 500, failed.text);
+    assert.deepStrictEqual(await getAll('SELECT id FROM daily_reports WHERE batch_id = ?', [batchId]), []);
+
+    const saved = await api('post', '/api/reports', student.token, report);
+    assert.strictEqual(saved.status, 200, saved.text);
+    const revisions = await getAll('SELECT revision_number FROM report_revisions WHERE report_id = ?', [saved.body.reportId]);
+    assert.deepStrictEqual(revisions.map(r => r.revision_number), [1]);
+});
+
+test('deleting a user hands each of their seats to that batch waitlist', async () => {
+    const first = await fullBatch('deleted', 1, 1);
+    const [student] = first.enrolled;
+
+    const second = await api('post', '/api/batches', first.teacher.token, {
+        name: 'deleted second batch', start_date: dateOffset(-7), end_date: dateOffset(30), status: 'active', max_participants: 1
+    });
+    assert.strictEqual(second.status, 201, second.text);
+    const secondId = second.body.batchId;
+    const enroll = await api('post', `/api/batches/${secondId}/enrollments`, first.teacher.token, { user_ids: [student.id] });
+    assert.strictEqual(enroll.status, 200, enroll.text);
+    const waiting = await registerAndLogin(app, 'deletedwaiting1', 'student');
+    const joined = await api('post', `/api/batches/${secondId}/waitlist`, waiting.token);
+    assert.strictEqual(joined.status, 201, joined.text);
+
+    const admin = await registerAndLogin(app, 'deletingadmin', 'teacher');
+    await run("UPDATE users SET role = 'admin' WHERE id = ?", [admin.id]);
+    const deleted = await api('delete', `/api/admin/users/${student.id}`, admin.token);
+    assert.strictEqual(deleted.status, 200, deleted.text);
+
+    // Promotions finish after the response
+    const promotedIds = () => getAll(`SELECT user_id FROM enrollments WHERE batch_id IN (?, ?) AND status = 'approved' ORDER BY batch_id`,
+        [first.batchId, secondId]);
+    for (let attempt = 0; attempt < 50 && (await promotedIds()).length < 2; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual((await promotedIds()).map(r => r.user_id), [first.waiting[0].id, waiting.id]);
+});
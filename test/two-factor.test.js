@@ -0,0 +1,94 @@
+// Two-factor authentication: TOTP codes match RFC 6238, work once, and recovery codes are single-use
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { PASSWORD, loadTestApp, api, registerAndLogin } = require('./helpers');
+
+const { app, databaseReady, base32Decode, generateHotp, verifyTotp, close } = loadTestApp();
+
+// RFC 6238 appendix B, SHA-1: the ASCII secret "12345678901234567890"; the app uses the last 6 of the 8 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+const currentCode = secret => generateHotp(secret, Math.floor(Date.now() / 1000 / 30));
+
+before(() => databaseReady);
+after(close);
+
+describe('TOTP', () => {
+    test('base32 secrets decode to their bytes', () => {
+        assert.strictEqual(base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+        assert.strictEqual(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString('ascii'), '12345678901234567890');
+    });
+
+    test('codes match the RFC 6238 test vectors', () => {
+        for (const [time, code] of RFC_VECTORS) {
+            assert.strictEqual(generateHotp(RFC_SECRET, Math.floor(time / 30)), code.slice(-6), `T = ${time}`);
+        }
+    });
+
+    test('a code is accepted once and for one step either side', (t) => {
+        t.mock.method(Date, 'now', () => 1111111111 * 1000);
+        const step = Math.floor(1111111111 / 30);
+
+        assert.strictEqual(verifyTotp(RFC_SECRET, '050471', null), step);
+        assert.strictEqual(verifyTotp(RFC_SECRET, ' 050471 ', null), step);
+        assert.strictEqual(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), null), step - 1);
+        assert.strictEqual(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 2), null), null);
+        assert.strictEqual(verifyTotp(RFC_SECRET, '050472', null), null);
+        assert.strictEqual(verifyTotp(RFC_SECRET, '50471', null), null);
+
+        // Replays: the step was already used, or an older one
+        assert.strictEqual(verifyTotp(RFC_SECRET, '050471', step), null);
+        assert.strictEqual(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), step), null);
+    });
+});
+
+describe('login with two-factor authentication', () => {
+    let enableCode;
+    let recoveryCodes;
+
+    const challenge = async () => {
+        const login = await request(app).post('/api/login').send({ username: 'twofactor', password: PASSWORD });
+        assert.strictEqual(login.status, 200, login.text);
+        assert.strictEqual(login.body.twoFactorRequired, true);
+        return login.body.challengeToken;
+    };
+    const secondStep = async body => request(app).post('/api/login/2fa').send({ challengeToken: await challenge(), ...body });
+
+    before(async () => {
+        const user = await registerAndLogin(app, 'twofactor', 'student');
+        const setup = await api(app, 'post', '/api/2fa/setup', user.token);
+        assert.strictEqual(setup.status, 200, setup.text);
+        enableCode = currentCode(setup.body.secret);
+
+        const enabled = await api(app, 'post', '/api/2fa/enable', user.token, { code: enableCode });
+        assert.strictEqual(enabled.status, 200, enabled.text);
+        recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    test('the code that enabled 2FA cannot be replayed to log in', async () => {
+        const replayed = await secondStep({ code: enableCode });
+        assert.strictEqual(replayed.status, 401, replayed.text);
+    });
+
+    test('a recovery code logs in once', async () => {
+        const first = await secondStep({ recoveryCode: recoveryCodes[0].toUpperCase() });
+        assert.strictEqual(first.status, 200, first.text);
+        assert.ok(first.body.token);
+        assert.strictEqual(first.body.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+        const again = await secondStep({ recoveryCode: recoveryCodes[0] });
+        assert.strictEqual(again.status, 401, again.text);
+
+        const other = await secondStep({ recoveryCode: recoveryCodes[1] });
+        assert.strictEqual(other.status, 200, other.text);
+    });
+});